@@ -0,0 +1,285 @@
+/**
+ * AdcCalibration - Module for per-pin ADC calibration of the reader's modules
+ * Each monitored pack has its own calibration, as identical boards on a bench share the same module addresses.
+ * Stores reference readings per module address and pin, fits a gain and offset from them and recomputes the
+ * tap, cell and pack voltages of text reports from the pins' RAW values
+ */
+
+import { linearRegression } from './regression.js';
+
+// Points closer than this fraction of RAW to an earlier point replace it rather than adding a second point
+export const MIN_POINT_SPREAD = 0.1;
+const MAX_POINTS = 5;
+
+/**
+ * Fit calibration coefficients through reference points
+ * One point scales the RAW value through zero (gain only); two or more points also fit the offset
+ * @param {Array} points - Points as { raw, reference (V) }
+ * @returns {Object|null} Object with gain (V per RAW count) and offset (V), or null without points
+ */
+export function fitCoefficients(points) {
+    if (points.length === 0) {
+        return null;
+    }
+
+    if (points.length === 1) {
+        return { gain: points[0].reference / points[0].raw, offset: 0 };
+    }
+
+    const fit = linearRegression(points.map(point => ({ x: point.raw, y: point.reference })));
+    return fit ? { gain: fit.slope, offset: fit.intercept } : null;
+}
+
+export class AdcCalibration {
+    constructor(storageKey = 'battery-monitor.calibration') {
+        this.storageKey = storageKey;
+        this.modules = {}; // Module address (hex, e.g. '48') to pin name (e.g. 'A0') to { gain, offset, points }
+
+        this.load();
+    }
+
+    /**
+     * Load calibrations from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            this.modules = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Failed to load ADC calibration:', error);
+        }
+    }
+
+    /**
+     * Persist calibrations to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(this.modules));
+    }
+
+    /**
+     * Get the calibration of a pin
+     * @param {string} address - Module address (hex, without 0x)
+     * @param {string} pin - Pin name, e.g. 'A0'
+     * @returns {Object|null} Object with gain, offset and points ({ raw, reference, time }), or null if uncalibrated
+     */
+    get(address, pin) {
+        const pins = this.modules[address.toUpperCase()];
+        return pins && pins[pin] ? pins[pin] : null;
+    }
+
+    /**
+     * Check if any pin is calibrated
+     * @returns {boolean}
+     */
+    hasAny() {
+        return Object.values(this.modules).some(pins => Object.keys(pins).length > 0);
+    }
+
+    /**
+     * Add a reference reading of a pin and refit its coefficients
+     * @param {string} address - Module address (hex, without 0x)
+     * @param {string} pin - Pin name
+     * @param {number} raw - RAW value of the pin (may be averaged over several readings)
+     * @param {number} reference - Voltage measured at the tap with a reference meter (V)
+     * @returns {Object} Updated calibration of the pin (see get())
+     */
+    addPoint(address, pin, raw, reference) {
+        if (!Number.isFinite(raw) || raw <= 0) {
+            throw new Error(`${pin} has no valid RAW reading to calibrate against.`);
+        }
+        if (!Number.isFinite(reference) || reference <= 0) {
+            throw new Error('The reference voltage must be a positive number.');
+        }
+
+        // A new reading at about the same voltage replaces the old one, so the fit is not dominated by noise
+        const previous = this.get(address, pin);
+        const points = (previous ? previous.points : [])
+            .filter(point => Math.abs(point.raw - raw) >= raw * MIN_POINT_SPREAD);
+        points.push({ raw: raw, reference: reference, time: Date.now() });
+        while (points.length > MAX_POINTS) {
+            points.shift();
+        }
+
+        const coefficients = fitCoefficients(points);
+        if (!coefficients || !(coefficients.gain > 0)) {
+            throw new Error(`The readings of ${pin} do not fit a rising line; check the reference values.`);
+        }
+
+        const key = address.toUpperCase();
+        this.modules[key] = { ...this.modules[key], [pin]: { ...coefficients, points: points } };
+        this.save();
+        return this.modules[key][pin];
+    }
+
+    /**
+     * Remove the calibration of one pin
+     * @param {string} address - Module address (hex, without 0x)
+     * @param {string} pin - Pin name
+     */
+    remove(address, pin) {
+        const key = address.toUpperCase();
+        if (!this.modules[key]) {
+            return;
+        }
+
+        delete this.modules[key][pin];
+        if (Object.keys(this.modules[key]).length === 0) {
+            delete this.modules[key];
+        }
+        this.save();
+    }
+
+    /**
+     * Remove every calibration
+     */
+    clear() {
+        this.modules = {};
+        this.save();
+    }
+
+    /**
+     * Recompute the voltages of a parsed reading from the RAW values of calibrated pins
+     * Pins keep the firmware's value as firmwareVoltage. Cells next to a calibrated tap get their individual
+     * voltage from the calibrated taps, and the pack total follows the top tap. Pins reading RAW=-1
+     * (disconnected) and frames without module data are left alone.
+     * @param {Object} data - Parsed data object (modified)
+     * @returns {number} Number of calibrated pins
+     */
+    apply(data) {
+        const calibratedPins = new Map(); // "module id/pin" to calibrated voltage
+        for (const module of data.modules) {
+            for (const pin of module.pins) {
+                const calibration = this.get(module.address, pin.pin);
+                if (!calibration || pin.raw < 0) {
+                    continue;
+                }
+
+                pin.firmwareVoltage = pin.voltage;
+                pin.voltage = calibration.gain * pin.raw + calibration.offset;
+                pin.calibrated = true;
+                calibratedPins.set(`${module.id}/${pin.pin}`, pin.voltage);
+            }
+        }
+
+        if (calibratedPins.size === 0) {
+            return 0;
+        }
+
+        for (const cell of data.cells) {
+            const key = `${cell.module}/${cell.pin}`;
+            cell.calibrated = calibratedPins.has(key);
+            if (cell.calibrated) {
+                cell.voltage = calibratedPins.get(key);
+            }
+        }
+
+        // Individual voltages are the differences between connected taps
+        const cells = new Map(data.cells.map(cell => [cell.number, cell]));
+        for (const cell of data.cells) {
+            const below = cells.get(cell.number - 1);
+            if (!cell.calibrated && !(below && below.calibrated)) {
+                continue;
+            }
+            if (cell.raw < 0 || (cell.number > 1 && (!below || below.raw < 0))) {
+                continue;
+            }
+
+            cell.individualVoltage = cell.voltage - (below ? below.voltage : 0);
+            const individualCell = data.individualCells.find(ic => ic.number === cell.number);
+            if (individualCell) {
+                individualCell.individualVoltage = cell.individualVoltage;
+            }
+        }
+
+        const top = cells.get(data.cellCount);
+        if (top && top.calibrated) {
+            data.totalVoltage = top.voltage;
+        }
+
+        return calibratedPins.size;
+    }
+
+    /**
+     * Take over calibrations stored under another key and remove them there
+     * Kept calibrations win; unreadable stored ones are dropped with a warning
+     * @param {string} storageKey - localStorage key, e.g. of the calibrations once shared by every pack
+     */
+    adopt(storageKey) {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        const stored = localStorage.getItem(storageKey);
+        if (stored === null) {
+            return;
+        }
+
+        if (!this.hasAny()) {
+            try {
+                this.importJSON(stored);
+            } catch (error) {
+                console.warn('Failed to take over ADC calibration:', error);
+            }
+        }
+        localStorage.removeItem(storageKey);
+    }
+
+    /**
+     * Remove every calibration along with its stored copy, e.g. when its pack is removed
+     */
+    discard() {
+        this.modules = {};
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    /**
+     * Export every calibration as JSON, e.g. for the command-line logger
+     * @returns {string} JSON text
+     */
+    exportJSON() {
+        return JSON.stringify(this.modules, null, 2);
+    }
+
+    /**
+     * Replace every calibration with exported ones
+     * @param {string} text - JSON text (see exportJSON())
+     */
+    importJSON(text) {
+        const modules = JSON.parse(text);
+        if (!modules || typeof modules !== 'object' || Array.isArray(modules)) {
+            throw new Error('Calibration file must be an object of module addresses.');
+        }
+
+        const imported = {};
+        for (const [address, pins] of Object.entries(modules)) {
+            for (const [pin, calibration] of Object.entries(pins || {})) {
+                if (!Number.isFinite(calibration.gain) || !Number.isFinite(calibration.offset)) {
+                    throw new Error(`Calibration of 0x${address} ${pin} has no valid gain and offset.`);
+                }
+
+                const key = address.toUpperCase();
+                imported[key] = {
+                    ...imported[key],
+                    [pin]: {
+                        gain: calibration.gain,
+                        offset: calibration.offset,
+                        points: Array.isArray(calibration.points) ? calibration.points : []
+                    }
+                };
+            }
+        }
+
+        this.modules = imported;
+        this.save();
+    }
+}
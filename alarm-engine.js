@@ -0,0 +1,346 @@
+/**
+ * AlarmEngine - Module for evaluating alarm conditions on every reading
+ * Applies thresholds with hysteresis and minimum duration to avoid flapping
+ */
+
+// Alarm rule definitions. 'below' rules trigger under the threshold, 'above' rules over it
+export const ALARM_RULES = {
+    cellUnder: { label: 'Cell undervoltage', direction: 'below', unit: 'V', decimals: 3 },
+    cellOver: { label: 'Cell overvoltage', direction: 'above', unit: 'V', decimals: 3 },
+    packUnder: { label: 'Pack undervoltage', direction: 'below', unit: 'V', decimals: 2 },
+    packOver: { label: 'Pack overvoltage', direction: 'above', unit: 'V', decimals: 2 },
+    spread: { label: 'Cell spread', direction: 'above', unit: 'V', decimals: 3 },
+    tempOver: { label: 'Over-temperature', direction: 'above', unit: '°C', decimals: 1 },
+    stale: { label: 'Stale data', direction: 'above', unit: 's', decimals: 0 }
+};
+
+// Thresholds in the rule's unit, hysteresis in the same unit, minimum duration in seconds
+export const DEFAULT_ALARM_SETTINGS = {
+    rules: {
+        cellUnder: { enabled: true, threshold: 3.0, hysteresis: 0.05, minDuration: 5 },
+        cellOver: { enabled: true, threshold: 4.2, hysteresis: 0.05, minDuration: 5 },
+        packUnder: { enabled: false, threshold: 0, hysteresis: 0.1, minDuration: 5 },
+        packOver: { enabled: false, threshold: 100, hysteresis: 0.1, minDuration: 5 },
+        spread: { enabled: true, threshold: 0.1, hysteresis: 0.01, minDuration: 10 },
+        tempOver: { enabled: true, threshold: 55, hysteresis: 2, minDuration: 5 },
+        stale: { enabled: true, threshold: 10, hysteresis: 0, minDuration: 0 }
+    },
+    sound: true,
+    notifications: false
+};
+
+export class AlarmEngine {
+    constructor(storageKey = 'battery-monitor.alarms') {
+        this.storageKey = storageKey;
+        this.settings = structuredClone(DEFAULT_ALARM_SETTINGS);
+        this.states = new Map(); // Alarm ID to { rule, since, alarm }
+        this.log = [];
+        this.maxLogEntries = 500;
+        this.lastReadingTimes = new Map(); // Scope ID ('' without scope) to time of the last reading
+        this.onAlarmCallback = null;
+
+        this.load();
+    }
+
+    /**
+     * Register callback for alarm events
+     * @param {Function} callback - Function to call with (event, alarm); event is 'raised', 'cleared' or 'acknowledged'
+     */
+    onAlarm(callback) {
+        this.onAlarmCallback = callback;
+    }
+
+    /**
+     * Load settings from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) {
+                this.configure(stored, false);
+            }
+        } catch (error) {
+            console.warn('Failed to load alarm settings:', error);
+        }
+    }
+
+    /**
+     * Persist settings to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Update settings
+     * @param {Object} settings - Partial settings ({ rules: { cellUnder: {...} }, sound, notifications })
+     * @param {boolean} persist - Save to localStorage
+     */
+    configure(settings, persist = true) {
+        const rules = { ...this.settings.rules };
+        for (const [id, rule] of Object.entries(settings.rules || {})) {
+            if (rules[id]) {
+                rules[id] = { ...rules[id], ...rule };
+            }
+        }
+
+        this.settings = { ...this.settings, ...settings, rules };
+
+        // Drop pending and active alarms of rules that were disabled
+        for (const [id, state] of this.states) {
+            if (!this.settings.rules[state.rule].enabled) {
+                this.states.delete(id);
+            }
+        }
+
+        if (persist) {
+            this.save();
+        }
+    }
+
+    /**
+     * Evaluate a reading against all enabled rules
+     * @param {Object} data - Parsed battery data
+     * @param {Object} summary - Summary from BatteryParser.getSummary()
+     * @param {number} now - Current time in ms
+     * @param {Object|null} scope - Object with id and name keeping alarms of several packs apart
+     */
+    evaluate(data, summary, now = Date.now(), scope = null) {
+        this.lastReadingTimes.set(scope ? scope.id : '', now);
+
+        const checks = [];
+        const validCells = data.cells.filter(cell => cell.individualVoltage > 0.1);
+
+        for (const cell of validCells) {
+            checks.push({ rule: 'cellUnder', id: `cellUnder:${cell.name}`, subject: `Cell ${cell.name}`, value: cell.individualVoltage });
+            checks.push({ rule: 'cellOver', id: `cellOver:${cell.name}`, subject: `Cell ${cell.name}`, value: cell.individualVoltage });
+        }
+
+        if (validCells.length > 0) {
+            checks.push({ rule: 'packUnder', id: 'packUnder', subject: 'Pack', value: data.totalVoltage });
+            checks.push({ rule: 'packOver', id: 'packOver', subject: 'Pack', value: data.totalVoltage });
+        }
+
+        if (summary.count >= 2) {
+            checks.push({ rule: 'spread', id: 'spread', subject: 'Pack', value: summary.voltageSpread });
+        }
+
+        for (const sensor of data.temperatures || []) {
+            const subject = sensor.cellNumber !== null ? `Cell ${sensor.name}` : `Sensor ${sensor.name}`;
+            checks.push({ rule: 'tempOver', id: `tempOver:${sensor.name}`, subject: subject, value: sensor.temperature });
+        }
+
+        // Fresh data clears a stale alarm
+        checks.push({ rule: 'stale', id: 'stale', subject: 'Data', value: 0 });
+
+        for (const check of checks) {
+            this.update(this.applyScope(check, scope), now);
+        }
+    }
+
+    /**
+     * Check for stale data; call periodically while connected
+     * @param {number} now - Current time in ms
+     * @param {Object|null} scope - Scope passed to evaluate()
+     */
+    checkStale(now = Date.now(), scope = null) {
+        const key = scope ? scope.id : '';
+        if (!this.lastReadingTimes.has(key)) {
+            this.lastReadingTimes.set(key, now);
+        }
+
+        const value = (now - this.lastReadingTimes.get(key)) / 1000;
+        this.update(this.applyScope({ rule: 'stale', id: 'stale', subject: 'Data', value: value }, scope), now);
+    }
+
+    /**
+     * Stop stale data tracking (e.g. after disconnecting) and clear the stale alarm
+     * @param {Object|null} scope - Scope passed to evaluate()
+     */
+    resetStale(scope = null) {
+        this.lastReadingTimes.delete(scope ? scope.id : '');
+        this.clearAlarm(this.applyScope({ id: 'stale' }, scope).id);
+    }
+
+    /**
+     * Forget every alarm of a scope (e.g. a pack that was removed), clearing active ones
+     * @param {Object} scope - Scope passed to evaluate()
+     */
+    clearScope(scope) {
+        this.lastReadingTimes.delete(scope.id);
+        for (const id of Array.from(this.states.keys())) {
+            if (id.startsWith(`${scope.id}/`)) {
+                this.clearAlarm(id);
+            }
+        }
+    }
+
+    /**
+     * Drop the state of one alarm, emitting 'cleared' if it was raised
+     * @private
+     * @param {string} id - Alarm ID
+     */
+    clearAlarm(id) {
+        const state = this.states.get(id);
+        if (state) {
+            this.states.delete(id);
+            if (state.alarm) {
+                this.emit('cleared', state.alarm);
+            }
+        }
+    }
+
+    /**
+     * Prefix the ID and subject of a check with its scope
+     * @private
+     * @param {Object} check - Object with rule, id, subject and value
+     * @param {Object|null} scope - Object with id and name (an empty name keeps the subject as is)
+     * @returns {Object} Scoped check
+     */
+    applyScope(check, scope) {
+        if (!scope) {
+            return check;
+        }
+
+        return {
+            ...check,
+            id: `${scope.id}/${check.id}`,
+            subject: scope.name ? `${scope.name} / ${check.subject}` : check.subject
+        };
+    }
+
+    /**
+     * Advance the state machine of a single alarm
+     * @private
+     * @param {Object} check - Object with rule, id, subject and value
+     * @param {number} now - Current time in ms
+     */
+    update(check, now) {
+        const config = this.settings.rules[check.rule];
+        if (!config || !config.enabled) {
+            return;
+        }
+
+        const definition = ALARM_RULES[check.rule];
+        const below = definition.direction === 'below';
+        const triggered = below ? check.value < config.threshold : check.value > config.threshold;
+        const cleared = below
+            ? check.value > config.threshold + config.hysteresis
+            : check.value < config.threshold - config.hysteresis;
+
+        const state = this.states.get(check.id);
+
+        if (!state) {
+            if (triggered) {
+                this.states.set(check.id, { rule: check.rule, since: now, alarm: null });
+                this.update(check, now); // Raise immediately when there is no minimum duration
+            }
+            return;
+        }
+
+        if (!state.alarm) {
+            // Pending: raise once the condition has held for the minimum duration
+            if (!triggered) {
+                this.states.delete(check.id);
+            } else if (now - state.since >= config.minDuration * 1000) {
+                state.alarm = {
+                    id: check.id,
+                    rule: check.rule,
+                    label: definition.label,
+                    message: this.formatMessage(check, config),
+                    value: check.value,
+                    raisedAt: new Date(now),
+                    acknowledged: false
+                };
+                this.emit('raised', state.alarm);
+            }
+            return;
+        }
+
+        // Active: track the latest value and clear only past the hysteresis band
+        state.alarm.value = check.value;
+
+        if (cleared) {
+            this.states.delete(check.id);
+            this.emit('cleared', state.alarm);
+        }
+    }
+
+    /**
+     * Build a human-readable alarm message
+     * @private
+     * @param {Object} check - Object with rule, subject and value
+     * @param {Object} config - Rule settings
+     * @returns {string} Message
+     */
+    formatMessage(check, config) {
+        const definition = ALARM_RULES[check.rule];
+        const value = check.value.toFixed(definition.decimals);
+        const threshold = config.threshold.toFixed(definition.decimals);
+        const comparison = definition.direction === 'below' ? '<' : '>';
+
+        return `${definition.label}: ${check.subject} ${value}${definition.unit} ${comparison} ${threshold}${definition.unit}`;
+    }
+
+    /**
+     * Record an event in the log and notify listeners
+     * @private
+     * @param {string} event - 'raised', 'cleared' or 'acknowledged'
+     * @param {Object} alarm - Alarm object
+     */
+    emit(event, alarm) {
+        this.log.unshift({ time: new Date(), event: event, id: alarm.id, message: alarm.message });
+        if (this.log.length > this.maxLogEntries) {
+            this.log.pop();
+        }
+
+        if (this.onAlarmCallback) {
+            this.onAlarmCallback(event, alarm);
+        }
+    }
+
+    /**
+     * Get all active (raised and not yet cleared) alarms
+     * @returns {Array} Array of alarm objects
+     */
+    getActiveAlarms() {
+        return Array.from(this.states.values())
+            .filter(state => state.alarm)
+            .map(state => state.alarm);
+    }
+
+    /**
+     * Check if any active alarm is unacknowledged
+     * @returns {boolean}
+     */
+    hasUnacknowledged() {
+        return this.getActiveAlarms().some(alarm => !alarm.acknowledged);
+    }
+
+    /**
+     * Acknowledge all active alarms
+     */
+    acknowledgeAll() {
+        for (const alarm of this.getActiveAlarms()) {
+            if (!alarm.acknowledged) {
+                alarm.acknowledged = true;
+                this.emit('acknowledged', alarm);
+            }
+        }
+    }
+
+    /**
+     * Clear the alarm log
+     */
+    clearLog() {
+        this.log = [];
+    }
+}
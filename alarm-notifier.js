@@ -0,0 +1,101 @@
+/**
+ * AlarmNotifier - Module for audible and desktop alarm notifications
+ * Plays alarm tones with the Web Audio API and shows browser Notifications
+ */
+
+export class AlarmNotifier {
+    constructor() {
+        this.audioContext = null;
+    }
+
+    /**
+     * Check if desktop notifications are available
+     * @returns {boolean}
+     */
+    isNotificationSupported() {
+        return 'Notification' in window;
+    }
+
+    /**
+     * Ask the user for permission to show desktop notifications
+     * @returns {Promise<boolean>} True if permission was granted
+     */
+    async requestNotificationPermission() {
+        if (!this.isNotificationSupported()) {
+            return false;
+        }
+
+        if (Notification.permission === 'granted') {
+            return true;
+        }
+
+        return (await Notification.requestPermission()) === 'granted';
+    }
+
+    /**
+     * Show a desktop notification
+     * @param {string} title - Notification title
+     * @param {string} body - Notification text
+     */
+    notify(title, body) {
+        if (!this.isNotificationSupported() || Notification.permission !== 'granted') {
+            return;
+        }
+
+        try {
+            // Reusing the tag replaces the previous alarm notification instead of stacking them
+            new Notification(title, { body: body, tag: 'battery-monitor-alarm', requireInteraction: true });
+        } catch (error) {
+            console.warn('Failed to show notification:', error);
+        }
+    }
+
+    /**
+     * Play a short two-tone alarm
+     * The audio context is created lazily; browsers only allow sound after a user interaction with the page
+     */
+    async playAlarm() {
+        try {
+            if (!this.audioContext) {
+                this.audioContext = new AudioContext();
+            }
+
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+
+            const start = this.audioContext.currentTime;
+            [880, 660, 880, 660].forEach((frequency, index) => {
+                this.playTone(frequency, start + index * 0.2, 0.18);
+            });
+        } catch (error) {
+            console.warn('Failed to play alarm sound:', error);
+        }
+    }
+
+    /**
+     * Schedule a single tone
+     * @private
+     * @param {number} frequency - Tone frequency in Hz
+     * @param {number} startTime - Audio context start time in seconds
+     * @param {number} duration - Tone duration in seconds
+     */
+    playTone(frequency, startTime, duration) {
+        const oscillator = this.audioContext.createOscillator();
+        const gain = this.audioContext.createGain();
+
+        oscillator.type = 'square';
+        oscillator.frequency.value = frequency;
+
+        // Short attack and release to avoid clicks
+        gain.gain.setValueAtTime(0, startTime);
+        gain.gain.linearRampToValueAtTime(0.15, startTime + 0.01);
+        gain.gain.setValueAtTime(0.15, startTime + duration - 0.02);
+        gain.gain.linearRampToValueAtTime(0, startTime + duration);
+
+        oscillator.connect(gain);
+        gain.connect(this.audioContext.destination);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration);
+    }
+}
@@ -6,29 +6,153 @@
 import { SerialReader } from './serial-reader.js';
 import { ChartManager } from './chart-manager.js';
 import { BatteryParser } from './battery-parser.js';
+import { SessionStore } from './session-store.js';
+import { LogReplayer } from './log-replayer.js';
+import { ChemistryProfiles } from './chemistry-profiles.js';
+import { LabelSets, LABEL_FIELDS, OPTIONAL_LABEL_FIELDS } from './label-sets.js';
+import { SocEstimator } from './soc-estimator.js';
+import { AlarmEngine, ALARM_RULES } from './alarm-engine.js';
+import { AlarmNotifier } from './alarm-notifier.js';
+import { SerialConsole } from './serial-console.js';
+import { TrafficMonitor } from './traffic-monitor.js';
+import { PortSettings, BAUD_RATES } from './port-settings.js';
+import { DEFAULT_WEBSOCKET_URL, normalizeWebSocketUrl } from './websocket-reader.js';
+import { MqttPublisher } from './mqtt-publisher.js';
+import { PackMonitor } from './pack-monitor.js';
+import { PackList } from './pack-list.js';
+import { EnergyMeter } from './energy-meter.js';
+import { ResistanceEstimator } from './resistance-estimator.js';
 
 class BatteryMonitor {
     constructor() {
         // Initialize modules
-        this.serialReader = new SerialReader();
-        this.parser = new BatteryParser();
+        this.chemistryProfiles = new ChemistryProfiles();
+        this.portSettings = new PortSettings();
+        this.packList = new PackList();
+        this.packs = this.packList.packs.map(definition => new PackMonitor(definition, this.chemistryProfiles));
+        this.activePack = this.packs.find(pack => pack.id === this.packList.activeId) || this.packs[0];
+        // Calibrations were once shared by every pack; the first pack keeps them
+        this.packs[0].calibration.adopt('battery-monitor.calibration');
+        this.labelSets = new LabelSets();
+        this.parser = new BatteryParser(this.chemistryProfiles.getActive(), this.labelSets.getAll());
+        this.socEstimator = new SocEstimator();
+        this.serialConsole = new SerialConsole();
+        this.trafficMonitor = new TrafficMonitor((line) => this.parser.isRecognizedLine(line));
+        this.sessionStore = new SessionStore();
+        this.replayReader = new SerialReader();
+        this.logReplayer = new LogReplayer(this.replayReader);
+        this.alarmEngine = new AlarmEngine();
+        this.alarmNotifier = new AlarmNotifier();
+        this.mqttPublisher = new MqttPublisher();
         this.chartManager = null;
 
         // State
-        this.readingCount = 0;
-        this.lastReading = null;
+        this.activeSession = null;
+        this.recordingPack = null; // Pack the active session records
+        this.replayPack = null; // Pack the replayed log feeds
+        this.logFile = null;
+        this.logText = null;
+        this.editingChemistryId = null;
+        this.editingLabelsId = null;
+        this.trafficPaused = false;
+        this.selectedFrameId = null;
+        this.staleTimer = null;
+        this.alarmSoundTimer = null;
+        this.grantedPorts = [];
+        this.selectedPortIndex = null;
+        this.calibrationWizard = null; // Steps, position and capture count of the running calibration wizard
+        this.calibrationSamples = new Map(); // "address/pin" to recent RAW values while the calibration dialog is open
+        this.calibrationSampleCount = 5; // Readings a captured RAW value is averaged over
 
         // DOM elements
         this.elements = {
             connectBtn: document.getElementById('connectBtn'),
             statusIndicator: document.querySelector('.status-indicator'),
             statusText: document.querySelector('.status-text'),
+            packTabs: document.getElementById('packTabs'),
+            addPackBtn: document.getElementById('addPackBtn'),
+            overviewCard: document.getElementById('overviewCard'),
+            overviewTable: document.getElementById('overviewTable'),
             totalVoltage: document.getElementById('totalVoltage'),
             cellCount: document.getElementById('cellCount'),
+            packSoc: document.getElementById('packSoc'),
+            packChannels: document.getElementById('packChannels'),
+            cutoffEstimate: document.getElementById('cutoffEstimate'),
+            chartViewSelect: document.getElementById('chartViewSelect'),
+            chartWindowSelect: document.getElementById('chartWindowSelect'),
+            chartFollowLive: document.getElementById('chartFollowLive'),
+            ocvCurveInfo: document.getElementById('ocvCurveInfo'),
+            ocvImportBtn: document.getElementById('ocvImportBtn'),
+            ocvResetBtn: document.getElementById('ocvResetBtn'),
+            ocvFileInput: document.getElementById('ocvFileInput'),
             cellsGrid: document.getElementById('cellsGrid'),
+            balanceCapacity: document.getElementById('balanceCapacity'),
+            balanceTolerance: document.getElementById('balanceTolerance'),
+            balanceSummary: document.getElementById('balanceSummary'),
+            statsRateWindow: document.getElementById('statsRateWindow'),
+            statsResetBtn: document.getElementById('statsResetBtn'),
+            statsSummary: document.getElementById('statsSummary'),
+            statsTable: document.getElementById('statsTable'),
+            healthMinStep: document.getElementById('healthMinStep'),
+            healthResetBtn: document.getElementById('healthResetBtn'),
+            healthMetrics: document.getElementById('healthMetrics'),
+            healthSummary: document.getElementById('healthSummary'),
+            healthTable: document.getElementById('healthTable'),
+            balanceRecommendations: document.getElementById('balanceRecommendations'),
+            balanceTable: document.getElementById('balanceTable'),
             modulesContainer: document.getElementById('modulesContainer'),
             lastUpdate: document.getElementById('lastUpdate'),
             readingCount: document.getElementById('readingCount'),
+            unrecognizedBtn: document.getElementById('unrecognizedBtn'),
+            unrecognizedCount: document.getElementById('unrecognizedCount'),
+            trafficBtn: document.getElementById('trafficBtn'),
+            trafficCard: document.getElementById('trafficCard'),
+            trafficStats: document.getElementById('trafficStats'),
+            trafficSearch: document.getElementById('trafficSearch'),
+            trafficPauseBtn: document.getElementById('trafficPauseBtn'),
+            trafficSaveBtn: document.getElementById('trafficSaveBtn'),
+            trafficClearBtn: document.getElementById('trafficClearBtn'),
+            trafficCloseBtn: document.getElementById('trafficCloseBtn'),
+            trafficOutput: document.getElementById('trafficOutput'),
+            trafficInspector: document.getElementById('trafficInspector'),
+            consoleOutput: document.getElementById('consoleOutput'),
+            consoleShowFrames: document.getElementById('consoleShowFrames'),
+            consoleClearBtn: document.getElementById('consoleClearBtn'),
+            consoleMacros: document.getElementById('consoleMacros'),
+            consoleForm: document.getElementById('consoleForm'),
+            consoleInput: document.getElementById('consoleInput'),
+            consoleLineEnding: document.getElementById('consoleLineEnding'),
+            consoleHex: document.getElementById('consoleHex'),
+            consoleSendBtn: document.getElementById('consoleSendBtn'),
+            consoleSaveMacroBtn: document.getElementById('consoleSaveMacroBtn'),
+            calibrateBtn: document.getElementById('calibrateBtn'),
+            calibrationModal: document.getElementById('calibrationModal'),
+            calibrationHint: document.getElementById('calibrationHint'),
+            calibrationStepForm: document.getElementById('calibrationStepForm'),
+            calibrationStepTitle: document.getElementById('calibrationStepTitle'),
+            calibrationStepHint: document.getElementById('calibrationStepHint'),
+            calibrationStepReading: document.getElementById('calibrationStepReading'),
+            calibrationReference: document.getElementById('calibrationReference'),
+            calibrationBackBtn: document.getElementById('calibrationBackBtn'),
+            calibrationSkipBtn: document.getElementById('calibrationSkipBtn'),
+            calibrationFinishBtn: document.getElementById('calibrationFinishBtn'),
+            calibrationCaptureBtn: document.getElementById('calibrationCaptureBtn'),
+            calibrationTable: document.getElementById('calibrationTable'),
+            calibrationImportBtn: document.getElementById('calibrationImportBtn'),
+            calibrationFileInput: document.getElementById('calibrationFileInput'),
+            calibrationExportBtn: document.getElementById('calibrationExportBtn'),
+            calibrationClearBtn: document.getElementById('calibrationClearBtn'),
+            calibrationStartBtn: document.getElementById('calibrationStartBtn'),
+            labelsBtn: document.getElementById('labelsBtn'),
+            labelsModal: document.getElementById('labelsModal'),
+            labelsEditSelect: document.getElementById('labelsEditSelect'),
+            labelsNewBtn: document.getElementById('labelsNewBtn'),
+            labelsDuplicateBtn: document.getElementById('labelsDuplicateBtn'),
+            labelsHint: document.getElementById('labelsHint'),
+            labelsForm: document.getElementById('labelsForm'),
+            labelsLastFrame: document.getElementById('labelsLastFrame'),
+            labelsDeleteBtn: document.getElementById('labelsDeleteBtn'),
+            labelsSaveBtn: document.getElementById('labelsSaveBtn'),
             clearChartBtn: document.getElementById('clearChartBtn'),
             voltageChart: document.getElementById('voltageChart'),
             exportBtn: document.getElementById('exportBtn'),
@@ -37,7 +161,74 @@ class BatteryMonitor {
             exportCurrentCSV: document.getElementById('exportCurrentCSV'),
             exportHistoryJSON: document.getElementById('exportHistoryJSON'),
             exportHistoryCSV: document.getElementById('exportHistoryCSV'),
-            exportChartImage: document.getElementById('exportChartImage')
+            exportChartImage: document.getElementById('exportChartImage'),
+            sessionsBtn: document.getElementById('sessionsBtn'),
+            sessionsModal: document.getElementById('sessionsModal'),
+            sessionsList: document.getElementById('sessionsList'),
+            recordBtn: document.getElementById('recordBtn'),
+            recordPackName: document.getElementById('recordPackName'),
+            recordNotes: document.getElementById('recordNotes'),
+            recordingStatus: document.getElementById('recordingStatus'),
+            openLogBtn: document.getElementById('openLogBtn'),
+            logFileInput: document.getElementById('logFileInput'),
+            replayCard: document.getElementById('replayCard'),
+            replayFileName: document.getElementById('replayFileName'),
+            replayPlayBtn: document.getElementById('replayPlayBtn'),
+            replaySpeed: document.getElementById('replaySpeed'),
+            replayInterval: document.getElementById('replayInterval'),
+            replayTimeline: document.getElementById('replayTimeline'),
+            replayPosition: document.getElementById('replayPosition'),
+            closeReplayBtn: document.getElementById('closeReplayBtn'),
+            sourceSelect: document.getElementById('sourceSelect'),
+            simulatorSettingsBtn: document.getElementById('simulatorSettingsBtn'),
+            websocketSettingsBtn: document.getElementById('websocketSettingsBtn'),
+            websocketModal: document.getElementById('websocketModal'),
+            websocketForm: document.getElementById('websocketForm'),
+            websocketSaveBtn: document.getElementById('websocketSaveBtn'),
+            websocketConnectBtn: document.getElementById('websocketConnectBtn'),
+            portSettingsBtn: document.getElementById('portSettingsBtn'),
+            portModal: document.getElementById('portModal'),
+            portAddBtn: document.getElementById('portAddBtn'),
+            portList: document.getElementById('portList'),
+            portHint: document.getElementById('portHint'),
+            portForm: document.getElementById('portForm'),
+            portSignalsBtn: document.getElementById('portSignalsBtn'),
+            portSaveBtn: document.getElementById('portSaveBtn'),
+            portConnectBtn: document.getElementById('portConnectBtn'),
+            simulatorModal: document.getElementById('simulatorModal'),
+            simulatorForm: document.getElementById('simulatorForm'),
+            simulatorApplyBtn: document.getElementById('simulatorApplyBtn'),
+            simulatorResetBtn: document.getElementById('simulatorResetBtn'),
+            chemistrySelect: document.getElementById('chemistrySelect'),
+            chemistryEditBtn: document.getElementById('chemistryEditBtn'),
+            chemistryModal: document.getElementById('chemistryModal'),
+            chemistryEditSelect: document.getElementById('chemistryEditSelect'),
+            chemistryHint: document.getElementById('chemistryHint'),
+            chemistryForm: document.getElementById('chemistryForm'),
+            chemistryNewBtn: document.getElementById('chemistryNewBtn'),
+            chemistryDuplicateBtn: document.getElementById('chemistryDuplicateBtn'),
+            chemistryDeleteBtn: document.getElementById('chemistryDeleteBtn'),
+            chemistrySaveBtn: document.getElementById('chemistrySaveBtn'),
+            alarmsBtn: document.getElementById('alarmsBtn'),
+            mqttBtn: document.getElementById('mqttBtn'),
+            mqttIndicator: document.getElementById('mqttIndicator'),
+            mqttModal: document.getElementById('mqttModal'),
+            mqttStatus: document.getElementById('mqttStatus'),
+            mqttForm: document.getElementById('mqttForm'),
+            mqttTopics: document.getElementById('mqttTopics'),
+            mqttSaveBtn: document.getElementById('mqttSaveBtn'),
+            mqttConnectBtn: document.getElementById('mqttConnectBtn'),
+            alarmBadge: document.getElementById('alarmBadge'),
+            alarmBanner: document.getElementById('alarmBanner'),
+            alarmBannerList: document.getElementById('alarmBannerList'),
+            alarmAckBtn: document.getElementById('alarmAckBtn'),
+            alarmsModal: document.getElementById('alarmsModal'),
+            alarmsForm: document.getElementById('alarmsForm'),
+            alarmRulesBody: document.getElementById('alarmRulesBody'),
+            alarmTestSoundBtn: document.getElementById('alarmTestSoundBtn'),
+            alarmChemistryBtn: document.getElementById('alarmChemistryBtn'),
+            alarmClearLogBtn: document.getElementById('alarmClearLogBtn'),
+            alarmLog: document.getElementById('alarmLog')
         };
 
         this.init();
@@ -47,22 +238,70 @@ class BatteryMonitor {
      * Initialize application
      */
     init() {
-        // Check browser support
-        if (!this.serialReader.isSupported()) {
-            this.showError('Web Serial API not supported. Please use Chrome or Edge browser.');
-            this.elements.connectBtn.disabled = true;
-            return;
-        }
-
         // Initialize chart
         this.chartManager = new ChartManager(this.elements.voltageChart);
 
+        // Apply the persisted chemistry profile
+        this.chemistryProfiles.onChange((profile) => this.applyChemistryProfile(profile));
+        this.populateChemistrySelects();
+        this.applyChemistryProfile(this.chemistryProfiles.getActive());
+
+        // Keep the parser in sync with edited firmware label sets
+        this.labelSets.onChange((labelSets) => this.parser.setLabelSets(labelSets));
+
+        // Restore console settings and macros
+        this.elements.consoleLineEnding.value = this.serialConsole.settings.lineEnding;
+        this.elements.consoleHex.checked = this.serialConsole.settings.hex;
+        this.elements.consoleShowFrames.checked = this.serialConsole.settings.showFrameLines;
+        this.elements.consoleOutput.classList.toggle('show-frame-lines', this.serialConsole.settings.showFrameLines);
+        this.renderConsoleMacros();
+
+        // Restore cell balance settings
+        this.elements.balanceCapacity.value = this.activePack.imbalanceAnalyzer.settings.capacity || '';
+        this.elements.balanceTolerance.value = this.activePack.imbalanceAnalyzer.settings.tolerance;
+
+        // Restore statistics settings
+        this.elements.statsRateWindow.value = this.activePack.sessionStats.settings.rateWindow;
+
+        // Restore pack health settings
+        this.elements.healthMinStep.value = this.activePack.resistanceEstimator.settings.minStep;
+
         // Setup event listeners
         this.setupEventListeners();
 
-        // Setup serial reader callbacks
-        this.serialReader.onData((data) => this.handleData(data));
-        this.serialReader.onStatusChange((status, message) => this.updateConnectionStatus(status, message));
+        // Setup data source callbacks of every pack
+        for (const pack of this.packs) {
+            this.setupPackReaders(pack);
+        }
+
+        // Setup log replay callbacks (replayed frames carry their capture time)
+        this.replayReader.setLineFrameMatcher((line) => this.parser.isLineFrame(line));
+        this.replayReader.onChunk((chunk, time) => this.handleTrafficChunk(chunk, time));
+        this.replayReader.onData((data) => this.handleData(this.replayPack, data, this.logReplayer.getFrameTime()));
+        this.logReplayer.onProgress((progress) => this.updateReplayProgress(progress));
+        this.logReplayer.onReset(() => this.resetDashboard(this.replayPack));
+
+        // Setup alarm callbacks
+        this.alarmEngine.onAlarm((event, alarm) => this.handleAlarm(event, alarm));
+
+        // Setup MQTT publishing
+        this.mqttPublisher.onStatusChange((status, message) => this.handleMqttStatus(status, message));
+        this.handleMqttStatus(this.mqttPublisher.status, this.mqttPublisher.statusMessage);
+        if (this.mqttPublisher.settings.autoConnect && this.mqttPublisher.isSupported()) {
+            this.mqttPublisher.connect();
+        }
+
+        // Check browser support - fall back to the simulator and log replay without Web Serial
+        if (!this.activePack.serialReader.isSupported()) {
+            console.warn('Web Serial API not supported. Use Chrome or Edge to connect to a device.');
+            const serialOption = this.elements.sourceSelect.querySelector('option[value="serial"]');
+            serialOption.disabled = true;
+            serialOption.textContent = 'Serial port (unsupported)';
+            for (const pack of this.packs.filter(pack => pack.source === 'serial')) {
+                pack.selectSource('simulator');
+            }
+        }
+        this.showPack(this.activePack);
 
         console.log('Battery Monitor initialized');
     }
@@ -77,6 +316,23 @@ class BatteryMonitor {
         // Clear chart button
         this.elements.clearChartBtn.addEventListener('click', () => this.clearChart());
 
+        // Chart series selector
+        this.elements.chartViewSelect.addEventListener('change', () => {
+            this.chartManager.setView(this.elements.chartViewSelect.value);
+        });
+
+        // Chart time window and follow live toggle
+        this.elements.chartWindowSelect.addEventListener('change', () => {
+            const value = this.elements.chartWindowSelect.value;
+            this.chartManager.setTimeWindow(value ? parseInt(value, 10) : null);
+        });
+        this.elements.chartFollowLive.addEventListener('change', () => {
+            this.chartManager.setFollowLive(this.elements.chartFollowLive.checked);
+        });
+        this.chartManager.onFollowChange((follow) => {
+            this.elements.chartFollowLive.checked = follow;
+        });
+
         // Export dropdown toggle
         this.elements.exportBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -90,299 +346,3427 @@ class BatteryMonitor {
             }
         });
 
-        // Export buttons
-        this.elements.exportCurrentJSON.addEventListener('click', () => {
-            this.exportJSON();
-            this.closeExportMenu();
-        });
+        // Export buttons
+        this.elements.exportCurrentJSON.addEventListener('click', () => {
+            this.exportJSON();
+            this.closeExportMenu();
+        });
+
+        this.elements.exportCurrentCSV.addEventListener('click', () => {
+            this.exportCSV();
+            this.closeExportMenu();
+        });
+
+        this.elements.exportHistoryJSON.addEventListener('click', () => {
+            this.exportHistoryJSON();
+            this.closeExportMenu();
+        });
+
+        this.elements.exportHistoryCSV.addEventListener('click', () => {
+            this.exportHistoryCSV();
+            this.closeExportMenu();
+        });
+
+        this.elements.exportChartImage.addEventListener('click', () => {
+            this.exportChartImage();
+            this.closeExportMenu();
+        });
+
+        // Chemistry profiles
+        this.elements.chemistrySelect.addEventListener('change', () => {
+            this.chemistryProfiles.setActive(this.elements.chemistrySelect.value);
+        });
+        this.elements.chemistryEditBtn.addEventListener('click', () => this.openChemistryEditor());
+        this.elements.chemistryEditSelect.addEventListener('change', () => {
+            this.renderChemistryEditor(this.chemistryProfiles.get(this.elements.chemistryEditSelect.value));
+        });
+        this.elements.chemistryNewBtn.addEventListener('click', () => this.renderChemistryEditor(null));
+        this.elements.chemistryDuplicateBtn.addEventListener('click', () => this.duplicateChemistryProfile());
+        this.elements.chemistryDeleteBtn.addEventListener('click', () => this.deleteChemistryProfile());
+        this.elements.chemistrySaveBtn.addEventListener('click', () => this.elements.chemistryForm.requestSubmit());
+        this.elements.chemistryForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveChemistryProfile();
+        });
+        this.elements.ocvImportBtn.addEventListener('click', () => this.elements.ocvFileInput.click());
+        this.elements.ocvFileInput.addEventListener('change', () => {
+            const file = this.elements.ocvFileInput.files[0];
+            this.elements.ocvFileInput.value = '';
+            if (file) {
+                this.importOcvCurve(file);
+            }
+        });
+        this.elements.ocvResetBtn.addEventListener('click', () => this.resetOcvCurve());
+
+        // Raw traffic monitor
+        this.elements.trafficBtn.addEventListener('click', () => this.showTrafficMonitor(this.elements.trafficCard.hidden));
+        this.elements.trafficCloseBtn.addEventListener('click', () => this.showTrafficMonitor(false));
+        this.elements.trafficPauseBtn.addEventListener('click', () => this.toggleTrafficPause());
+        this.elements.trafficSaveBtn.addEventListener('click', () => this.saveTrafficLog());
+        this.elements.trafficClearBtn.addEventListener('click', () => {
+            this.trafficMonitor.clear();
+            this.renderTraffic();
+        });
+        this.elements.trafficSearch.addEventListener('input', () => this.renderTraffic());
+        this.elements.trafficOutput.addEventListener('click', (e) => {
+            const marker = e.target.closest('[data-frame-id]');
+            if (marker) {
+                this.inspectTrafficFrame(parseInt(marker.dataset.frameId));
+            }
+        });
+
+        // Serial console
+        this.elements.consoleForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendConsoleCommand(this.elements.consoleInput.value, this.serialConsole.settings);
+            this.elements.consoleInput.value = '';
+        });
+        this.elements.consoleInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                const command = this.serialConsole.navigateHistory(e.key === 'ArrowUp' ? -1 : 1);
+                if (command !== null) {
+                    e.preventDefault();
+                    this.elements.consoleInput.value = command;
+                }
+            }
+        });
+        this.elements.consoleLineEnding.addEventListener('change', () => {
+            this.serialConsole.configure({ lineEnding: this.elements.consoleLineEnding.value });
+        });
+        this.elements.consoleHex.addEventListener('change', () => {
+            this.serialConsole.configure({ hex: this.elements.consoleHex.checked });
+        });
+        this.elements.consoleShowFrames.addEventListener('change', () => {
+            const show = this.elements.consoleShowFrames.checked;
+            this.serialConsole.configure({ showFrameLines: show });
+            this.elements.consoleOutput.classList.toggle('show-frame-lines', show);
+        });
+        this.elements.consoleClearBtn.addEventListener('click', () => {
+            this.serialConsole.clear();
+            this.elements.consoleOutput.innerHTML = '';
+        });
+        this.elements.consoleSaveMacroBtn.addEventListener('click', () => this.saveConsoleMacro());
+        this.elements.consoleMacros.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-macro-action]');
+            if (button) {
+                this.handleMacroAction(button.dataset.macroAction, parseInt(button.dataset.macroIndex));
+            }
+        });
+
+        // ADC calibration
+        this.elements.calibrateBtn.addEventListener('click', () => this.openCalibration());
+        this.elements.calibrationStartBtn.addEventListener('click', () => this.startCalibrationWizard());
+        this.elements.calibrationBackBtn.addEventListener('click', () => {
+            this.showCalibrationStep(this.calibrationWizard.index - 1);
+        });
+        this.elements.calibrationSkipBtn.addEventListener('click', () => {
+            this.showCalibrationStep(this.calibrationWizard.index + 1);
+        });
+        this.elements.calibrationFinishBtn.addEventListener('click', () => this.finishCalibrationWizard());
+        this.elements.calibrationStepForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.captureCalibrationPoint();
+        });
+        this.elements.calibrationTable.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-calibration-action]');
+            if (button) {
+                this.handleCalibrationAction(button.dataset.calibrationAction, button.dataset.calibrationKey);
+            }
+        });
+        this.elements.calibrationExportBtn.addEventListener('click', () => {
+            this.downloadFile(this.getExportFileName('calibration', 'json'), this.activePack.calibration.exportJSON(), 'application/json');
+        });
+        this.elements.calibrationImportBtn.addEventListener('click', () => this.elements.calibrationFileInput.click());
+        this.elements.calibrationFileInput.addEventListener('change', () => {
+            const file = this.elements.calibrationFileInput.files[0];
+            this.elements.calibrationFileInput.value = '';
+            if (file) {
+                this.importCalibration(file);
+            }
+        });
+        this.elements.calibrationClearBtn.addEventListener('click', () => this.clearCalibration());
+
+        // Firmware label sets
+        this.elements.labelsBtn.addEventListener('click', () => this.openLabelsEditor());
+        this.elements.unrecognizedBtn.addEventListener('click', () => this.openLabelsEditor());
+        this.elements.labelsEditSelect.addEventListener('change', () => {
+            this.renderLabelsEditor(this.labelSets.get(this.elements.labelsEditSelect.value));
+        });
+        this.elements.labelsNewBtn.addEventListener('click', () => this.renderLabelsEditor(null));
+        this.elements.labelsDuplicateBtn.addEventListener('click', () => {
+            const labels = this.labelSets.get(this.elements.labelsEditSelect.value);
+            this.renderLabelsEditor(null, { ...labels, name: `${labels.name} (custom)` });
+        });
+        this.elements.labelsDeleteBtn.addEventListener('click', () => this.deleteLabelSet());
+        this.elements.labelsSaveBtn.addEventListener('click', () => this.elements.labelsForm.requestSubmit());
+        this.elements.labelsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveLabelSet();
+        });
+
+        // Packs
+        this.elements.packTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-pack-id]');
+            if (tab) {
+                this.selectPack(tab.dataset.packId);
+            }
+        });
+        this.elements.addPackBtn.addEventListener('click', () => this.addPack());
+        this.elements.overviewTable.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-pack-action]');
+            if (button) {
+                this.handlePackAction(button.dataset.packAction, button.dataset.packId);
+            }
+        });
+
+        // Data source selection
+        this.elements.sourceSelect.addEventListener('change', () => this.selectSource(this.elements.sourceSelect.value));
+        this.elements.simulatorSettingsBtn.addEventListener('click', () => {
+            this.populateSimulatorForm();
+            this.openModal(this.elements.simulatorModal);
+        });
+        this.elements.simulatorApplyBtn.addEventListener('click', () => this.elements.simulatorForm.requestSubmit());
+        this.elements.simulatorForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.applySimulatorSettings();
+            this.closeModal(this.elements.simulatorModal);
+        });
+        this.elements.simulatorResetBtn.addEventListener('click', () => {
+            this.applySimulatorSettings();
+            this.activePack.simulatedReader.resetCells();
+        });
+
+        // WebSocket settings
+        this.elements.websocketSettingsBtn.addEventListener('click', () => this.openWebSocketSettings());
+        // Save and Save & Connect are submit buttons of the form (form="websocketForm")
+        this.elements.websocketForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveWebSocketSettings(e.submitter === this.elements.websocketConnectBtn);
+        });
+
+        // Serial port settings
+        this.elements.portSettingsBtn.addEventListener('click', () => this.openPortSettings());
+        this.elements.portAddBtn.addEventListener('click', () => this.addPort());
+        this.elements.portList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-port-action]');
+            if (button) {
+                this.handlePortAction(button.dataset.portAction, parseInt(button.dataset.portIndex));
+            }
+        });
+        this.elements.portForm.elements.baudPreset.addEventListener('change', (e) => {
+            this.elements.portForm.elements.baudCustom.disabled = e.target.value !== 'custom';
+        });
+        // Save and Save & Connect are submit buttons of the form (form="portForm"), so the submitter tells them apart
+        this.elements.portForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePortSettings(e.submitter === this.elements.portConnectBtn);
+        });
+        this.elements.portSignalsBtn.addEventListener('click', () => this.applyPortSignals());
+        if (this.activePack.serialReader.isSupported()) {
+            // Keep the port list current while devices are plugged in and out
+            navigator.serial.addEventListener('connect', () => this.refreshPortList());
+            navigator.serial.addEventListener('disconnect', () => this.refreshPortList());
+        }
+
+        // Log replay
+        this.elements.openLogBtn.addEventListener('click', () => this.elements.logFileInput.click());
+        this.elements.logFileInput.addEventListener('change', () => {
+            const file = this.elements.logFileInput.files[0];
+            this.elements.logFileInput.value = '';
+            if (file) {
+                this.openLog(file);
+            }
+        });
+        this.elements.replayPlayBtn.addEventListener('click', () => this.toggleReplay());
+        this.elements.replaySpeed.addEventListener('change', () => {
+            this.logReplayer.setSpeed(parseFloat(this.elements.replaySpeed.value));
+        });
+        this.elements.replayInterval.addEventListener('change', () => this.reloadLog());
+        this.elements.replayTimeline.addEventListener('input', () => {
+            this.elements.replayPosition.textContent = this.formatReplayPosition(
+                parseInt(this.elements.replayTimeline.value), this.logReplayer.frames.length);
+        });
+        this.elements.replayTimeline.addEventListener('change', () => {
+            this.logReplayer.seek(parseInt(this.elements.replayTimeline.value));
+        });
+        this.elements.closeReplayBtn.addEventListener('click', () => this.closeLog());
+
+        // Cell balance settings
+        for (const input of [this.elements.balanceCapacity, this.elements.balanceTolerance]) {
+            input.addEventListener('change', () => this.applyBalanceSettings());
+        }
+
+        // Session statistics
+        this.elements.statsRateWindow.addEventListener('change', () => this.applyStatsSettings());
+        this.elements.statsResetBtn.addEventListener('click', () => this.resetStats());
+
+        // Pack health
+        this.elements.healthMinStep.addEventListener('change', () => this.applyHealthSettings());
+        this.elements.healthResetBtn.addEventListener('click', () => this.resetHealth());
+
+        // Alarms
+        this.elements.alarmsBtn.addEventListener('click', () => this.openAlarmSettings());
+
+        // MQTT publishing
+        this.elements.mqttBtn.addEventListener('click', () => this.openMqttSettings());
+        // Save and Save & Connect are submit buttons of the form (form="mqttForm")
+        this.elements.mqttForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveMqttSettings(e.submitter === this.elements.mqttConnectBtn);
+        });
+        this.elements.mqttConnectBtn.addEventListener('click', (e) => {
+            // The button disconnects while a connection is open or being retried, without submitting
+            if (this.mqttPublisher.client) {
+                e.preventDefault();
+                this.mqttPublisher.disconnect();
+            }
+        });
+        this.elements.alarmAckBtn.addEventListener('click', () => this.alarmEngine.acknowledgeAll());
+        this.elements.alarmsForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveAlarmSettings();
+        });
+        this.elements.alarmsForm.elements.notifications.addEventListener('change', async (e) => {
+            if (e.target.checked && !(await this.alarmNotifier.requestNotificationPermission())) {
+                e.target.checked = false;
+                this.showError('Desktop notifications are blocked or not supported by this browser.');
+            }
+        });
+        this.elements.alarmTestSoundBtn.addEventListener('click', () => this.alarmNotifier.playAlarm());
+        this.elements.alarmChemistryBtn.addEventListener('click', () => this.applyChemistryAlarmLimits());
+        this.elements.alarmClearLogBtn.addEventListener('click', () => {
+            this.alarmEngine.clearLog();
+            this.renderAlarmLog();
+        });
+
+        // Session recording
+        this.elements.recordBtn.addEventListener('click', () => this.toggleRecording());
+
+        // Session browser
+        this.elements.sessionsBtn.addEventListener('click', () => this.openSessionBrowser());
+        this.elements.sessionsList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-session-action]');
+            if (button) {
+                this.handleSessionAction(button.dataset.sessionAction, parseInt(button.dataset.sessionId));
+            }
+        });
+
+        // Modal close buttons and backdrop clicks
+        document.querySelectorAll('.modal').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('[data-close-modal]')) {
+                    this.closeModal(modal);
+                }
+            });
+        });
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            // Ctrl/Cmd + K to connect
+            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
+                e.preventDefault();
+                this.toggleConnection();
+            }
+            // Ctrl/Cmd + L to clear chart
+            if ((e.ctrlKey || e.metaKey) && e.key === 'l') {
+                e.preventDefault();
+                this.clearChart();
+            }
+            // Escape to close dropdown and dialogs
+            if (e.key === 'Escape') {
+                this.closeExportMenu();
+                document.querySelectorAll('.modal.show').forEach(modal => this.closeModal(modal));
+            }
+        });
+    }
+
+    /**
+     * Toggle export menu visibility
+     */
+    toggleExportMenu() {
+        this.elements.exportMenu.classList.toggle('show');
+    }
+
+    /**
+     * Close export menu
+     */
+    closeExportMenu() {
+        this.elements.exportMenu.classList.remove('show');
+    }
+
+    /**
+     * Open a modal dialog
+     * @param {HTMLElement} modal - Modal element
+     */
+    openModal(modal) {
+        modal.classList.add('show');
+    }
+
+    /**
+     * Close a modal dialog
+     * @param {HTMLElement} modal - Modal element
+     */
+    closeModal(modal) {
+        modal.classList.remove('show');
+    }
+
+    /**
+     * Connect the data source callbacks of a pack
+     * Console and traffic monitor only follow the shown pack
+     * @param {PackMonitor} pack - Pack
+     */
+    setupPackReaders(pack) {
+        pack.defaultMaxHistory = this.chartManager.defaultMaxDataPoints;
+        pack.clearHistory();
+
+        for (const reader of pack.getReaders()) {
+            reader.setLineFrameMatcher((line) => this.parser.isLineFrame(line));
+            reader.onData((data) => this.handleData(pack, data));
+            reader.onStatusChange((status, message) => this.handlePackStatus(pack, status, message));
+            reader.onLine((line) => {
+                if (pack === this.activePack) {
+                    this.handleConsoleLine(line);
+                }
+            });
+            reader.onChunk((chunk, time) => {
+                if (pack === this.activePack) {
+                    this.handleTrafficChunk(chunk, time);
+                }
+            });
+        }
+    }
+
+    /**
+     * Show a pack on the dashboard
+     * @param {PackMonitor} pack - Pack to show
+     */
+    showPack(pack) {
+        this.activePack = pack;
+        this.packList.setActive(pack.id);
+
+        this.renderSourceControls();
+        this.updateConnectionStatus(pack.status, pack.statusMessage);
+        this.populateSimulatorForm();
+
+        this.chartManager.loadHistory(pack.history);
+        if (pack.lastReading) {
+            this.updateUI(pack.lastReading);
+        } else {
+            this.clearDashboard();
+        }
+        this.elements.unrecognizedBtn.hidden = pack.unrecognizedFrames === 0;
+        this.elements.unrecognizedCount.textContent = pack.unrecognizedFrames.toString();
+
+        this.renderPackTabs();
+        this.renderOverview();
+    }
+
+    /**
+     * Switch the dashboard to another pack
+     * @param {string} id - Pack ID
+     */
+    selectPack(id) {
+        const pack = this.packs.find(pack => pack.id === id);
+        if (!pack || pack === this.activePack) {
+            return;
+        }
+
+        this.showPack(pack);
+        this.appendConsoleEntry(this.serialConsole.addEntry('info', `Showing ${pack.name}`));
+    }
+
+    /**
+     * Add a pack and show it
+     */
+    addPack() {
+        const name = prompt('Pack name:', `Pack ${this.packs.length + 1}`);
+        if (name === null) {
+            return;
+        }
+
+        const pack = new PackMonitor(this.packList.add(name), this.chemistryProfiles);
+        if (!pack.serialReader.isSupported()) {
+            pack.selectSource('simulator');
+        }
+        this.setupPackReaders(pack);
+        this.packs.push(pack);
+        this.showPack(pack);
+        console.log('Pack added:', pack.name);
+    }
+
+    /**
+     * Handle a click in the pack overview
+     * @param {string} action - 'select', 'rename' or 'remove'
+     * @param {string} id - Pack ID
+     */
+    async handlePackAction(action, id) {
+        const pack = this.packs.find(pack => pack.id === id);
+        if (!pack) {
+            return;
+        }
+
+        if (action === 'select') {
+            this.selectPack(id);
+        } else if (action === 'rename') {
+            this.renamePack(pack);
+        } else if (action === 'remove') {
+            await this.removePack(pack);
+        }
+    }
+
+    /**
+     * Rename a pack
+     * @param {PackMonitor} pack - Pack to rename
+     */
+    renamePack(pack) {
+        const name = prompt('Pack name:', pack.name);
+        if (name === null) {
+            return;
+        }
+
+        try {
+            this.packList.update(pack.id, { name: name.trim() });
+            pack.name = name.trim();
+            this.renderPackTabs();
+            this.renderOverview();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Disconnect and remove a pack
+     * @param {PackMonitor} pack - Pack to remove
+     */
+    async removePack(pack) {
+        if (this.packs.length <= 1) {
+            this.showError('At least one pack is required.');
+            return;
+        }
+
+        if (!confirm(`Remove ${pack.name}? Its readings and chart are discarded; recorded sessions are kept.`)) {
+            return;
+        }
+
+        if (pack === this.recordingPack) {
+            await this.stopRecording();
+        }
+        if (pack === this.replayPack) {
+            this.closeLog();
+        }
+        if (pack.reader.getConnectionStatus() || pack.reader.isReconnecting) {
+            await pack.reader.disconnect();
+        }
+
+        this.alarmEngine.clearScope(this.getAlarmScope(pack));
+        pack.calibration.discard();
+        this.packList.remove(pack.id);
+        this.packs = this.packs.filter(other => other !== pack);
+        this.updateStaleTimer();
+
+        if (pack === this.activePack) {
+            this.showPack(this.packs[0]);
+        } else {
+            this.renderPackTabs();
+            this.renderOverview();
+        }
+        console.log('Pack removed:', pack.name);
+    }
+
+    /**
+     * Render the pack tabs with their connection status
+     */
+    renderPackTabs() {
+        this.elements.packTabs.innerHTML = this.packs.map(pack => `
+            <button class="pack-tab ${pack === this.activePack ? 'active' : ''}" data-pack-id="${pack.id}"
+                title="${this.getStatusText(pack.status)}">
+                <span class="status-indicator status-${pack.status}"></span>
+                ${this.escapeHTML(pack.name)}
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Render the overview with one row per pack; shown while several packs are monitored
+     */
+    renderOverview() {
+        this.elements.overviewCard.hidden = this.packs.length < 2;
+        if (this.elements.overviewCard.hidden) {
+            return;
+        }
+
+        this.elements.overviewTable.innerHTML = this.packs.map(pack => {
+            const data = pack.lastReading;
+            const summary = data ? this.parser.getSummary(data) : null;
+            const source = pack === this.replayPack ? 'Log replay' : this.getSourceText(pack);
+            const cells = summary && summary.count > 0 ? summary : null;
+
+            return `
+                <tr class="${pack === this.activePack ? 'row-selected' : ''}">
+                    <td>
+                        <span class="status-indicator status-${pack.status}" title="${this.getStatusText(pack.status)}"></span>
+                        ${this.escapeHTML(pack.name)}
+                    </td>
+                    <td>${this.escapeHTML(source)}</td>
+                    <td class="mono">${data ? `${this.parser.formatVoltage(data.totalVoltage, 2)}V` : '--'}</td>
+                    <td class="mono">${data ? `${data.cellCount}S` : '--'}</td>
+                    <td class="mono">${cells ? `${this.parser.formatVoltage(cells.minVoltage)}V` : '--'}</td>
+                    <td class="mono">${cells ? `${this.parser.formatVoltage(cells.maxVoltage)}V` : '--'}</td>
+                    <td class="mono">${cells ? `${(cells.voltageSpread * 1000).toFixed(0)} mV` : '--'}</td>
+                    <td class="mono">${data ? `${this.parser.formatPercent(data.soc)}%` : '--'}</td>
+                    <td>${data ? this.parser.formatTimestamp(data.timestamp) : 'Never'}</td>
+                    <td class="mono">${pack.readingCount}</td>
+                    <td class="table-actions">
+                        <button class="btn btn-sm" data-pack-action="select" data-pack-id="${pack.id}" ${pack === this.activePack ? 'disabled' : ''}>Show</button>
+                        <button class="btn btn-sm" data-pack-action="rename" data-pack-id="${pack.id}">Rename</button>
+                        <button class="btn btn-sm" data-pack-action="remove" data-pack-id="${pack.id}">Remove</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Get the display text of a pack's data source
+     * @param {PackMonitor} pack - Pack
+     * @returns {string} Source text
+     */
+    getSourceText(pack) {
+        if (pack.source === 'websocket') {
+            return pack.websocketUrl ? `WebSocket ${pack.websocketUrl}` : 'WebSocket';
+        }
+        return pack.source === 'simulator' ? 'Simulator' : 'Serial port';
+    }
+
+    /**
+     * Select the data source of the shown pack
+     * @param {string} source - 'serial', 'simulator' or 'websocket'
+     */
+    selectSource(source) {
+        this.activePack.selectSource(source);
+        this.packList.update(this.activePack.id, { source: this.activePack.source });
+        this.renderSourceControls();
+        this.renderOverview();
+    }
+
+    /**
+     * Show the data source controls of the shown pack
+     */
+    renderSourceControls() {
+        const pack = this.activePack;
+        this.elements.sourceSelect.value = pack.source;
+        this.elements.simulatorSettingsBtn.hidden = pack.source !== 'simulator';
+        this.elements.websocketSettingsBtn.hidden = pack.source !== 'websocket';
+        this.elements.portSettingsBtn.hidden = pack.source !== 'serial';
+        this.elements.connectBtn.disabled = !pack.reader.isSupported();
+    }
+
+    /**
+     * Fill the simulator settings form from the simulator's current settings
+     */
+    populateSimulatorForm() {
+        const form = this.elements.simulatorForm;
+
+        for (const [key, value] of Object.entries(this.activePack.simulatedReader.settings)) {
+            if (form.elements[key]) {
+                form.elements[key].value = value;
+            }
+        }
+    }
+
+    /**
+     * Apply the simulator settings form
+     */
+    applySimulatorSettings() {
+        const form = this.elements.simulatorForm;
+        const settings = {};
+
+        for (const [key, value] of Object.entries(this.activePack.simulatedReader.settings)) {
+            const input = form.elements[key];
+            if (!input) continue;
+
+            if (typeof value === 'number') {
+                const number = parseFloat(input.value);
+                settings[key] = Number.isFinite(number) ? number : value;
+            } else {
+                settings[key] = input.value;
+            }
+        }
+
+        settings.cellCount = Math.max(1, Math.round(settings.cellCount));
+        settings.interval = Math.max(50, settings.interval);
+        this.activePack.simulatedReader.configure(settings);
+        console.log('Simulator settings applied:', this.activePack.simulatedReader.settings);
+    }
+
+    /**
+     * Fill every chemistry selector with the available profiles
+     */
+    populateChemistrySelects() {
+        const options = this.chemistryProfiles.getAll()
+            .map(profile => `<option value="${profile.id}">${this.escapeHTML(profile.name)}</option>`)
+            .join('');
+
+        const selects = [
+            this.elements.chemistrySelect,
+            this.elements.chemistryEditSelect,
+            this.elements.simulatorForm.elements.chemistry
+        ];
+
+        for (const select of selects) {
+            const value = select.value;
+            select.innerHTML = options;
+            if (this.chemistryProfiles.get(value)) {
+                select.value = value;
+            }
+        }
+
+        this.elements.chemistrySelect.value = this.chemistryProfiles.activeId;
+        this.elements.simulatorForm.elements.chemistry.value = this.activePack.simulatedReader.settings.chemistry;
+    }
+
+    /**
+     * Apply a chemistry profile to status logic, chart and current display
+     * @param {Object} profile - Chemistry profile
+     */
+    applyChemistryProfile(profile) {
+        this.parser.setProfile(profile);
+        this.elements.chemistrySelect.value = profile.id;
+
+        this.chartManager.setReferenceLines([
+            { value: profile.maxVoltage, label: 'Max', color: 'rgba(248, 81, 73, 0.8)' },
+            { value: profile.nominalVoltage, label: 'Nominal', color: 'rgba(141, 150, 160, 0.8)' },
+            { value: profile.minVoltage, label: 'Min', color: 'rgba(210, 153, 34, 0.8)' }
+        ]);
+
+        // Re-evaluate the current readings against the new bands
+        for (const pack of this.packs.filter(pack => pack.lastReading)) {
+            this.parser.updateStatuses(pack.lastReading);
+            this.socEstimator.apply(pack.lastReading, profile);
+        }
+        if (this.activePack.lastReading) {
+            this.updateUI(this.activePack.lastReading);
+        }
+        this.renderOverview();
+
+        console.log('Chemistry profile applied:', profile.name);
+    }
+
+    /**
+     * Open the chemistry profile editor
+     */
+    openChemistryEditor() {
+        this.elements.chemistryEditSelect.value = this.chemistryProfiles.activeId;
+        this.renderChemistryEditor(this.chemistryProfiles.getActive());
+        this.openModal(this.elements.chemistryModal);
+    }
+
+    /**
+     * Show a profile in the editor form
+     * @param {Object|null} profile - Profile to show, or null for a new profile
+     * @param {Object|null} template - Initial values for a new profile (defaults to the active profile)
+     */
+    renderChemistryEditor(profile, template = null) {
+        const form = this.elements.chemistryForm;
+        const editable = !profile || this.chemistryProfiles.isCustom(profile.id);
+        const source = profile || template || { ...this.chemistryProfiles.getActive(), name: '' };
+
+        this.editingChemistryId = profile ? profile.id : null;
+
+        form.elements.name.value = source.name;
+        form.elements.minVoltage.value = source.minVoltage;
+        form.elements.nominalVoltage.value = source.nominalVoltage;
+        form.elements.maxVoltage.value = source.maxVoltage;
+        form.elements.storageVoltage.value = source.storageVoltage;
+        [form.elements.goodMin.value, form.elements.goodMax.value] = source.bands.good;
+        [form.elements.warningMin.value, form.elements.warningMax.value] = source.bands.warning;
+
+        for (const input of form.elements) {
+            input.disabled = !editable;
+        }
+
+        this.elements.chemistrySaveBtn.disabled = !editable;
+        this.elements.chemistryDeleteBtn.disabled = !profile || !editable;
+        this.renderOcvCurveInfo(profile);
+        this.elements.chemistryHint.textContent = editable
+            ? 'Cells inside the good band are shown as good, inside the warning band as warning, and anything else as danger.'
+            : 'Built-in profiles are read-only. Duplicate one to customize it.';
+    }
+
+    /**
+     * Describe the OCV curve used by the profile in the editor
+     * @param {Object|null} profile - Profile in the editor, null for an unsaved profile
+     */
+    renderOcvCurveInfo(profile) {
+        const canImport = profile !== null;
+        this.elements.ocvImportBtn.disabled = !canImport;
+        this.elements.ocvResetBtn.disabled = !canImport || !this.socEstimator.hasCustomCurve(profile.id);
+
+        if (!profile) {
+            this.elements.ocvCurveInfo.textContent = 'Save the profile before importing a curve.';
+            return;
+        }
+
+        const curve = this.socEstimator.getCurve(profile);
+        const source = this.socEstimator.hasCustomCurve(profile.id) ? 'Imported' : 'Built-in';
+        this.elements.ocvCurveInfo.textContent =
+            `${source}, ${curve.length} points (${curve[0][0]}V = ${curve[0][1]}% to ${curve[curve.length - 1][0]}V = ${curve[curve.length - 1][1]}%)`;
+    }
+
+    /**
+     * Import an OCV curve CSV for the profile in the editor
+     * @param {File} file - CSV file with voltage,soc rows
+     */
+    async importOcvCurve(file) {
+        const profile = this.chemistryProfiles.get(this.editingChemistryId);
+        if (!profile) return;
+
+        try {
+            const curve = this.socEstimator.parseCSV(await file.text());
+            this.socEstimator.setCustomCurve(profile.id, curve);
+            this.renderOcvCurveInfo(profile);
+            this.refreshStateOfCharge();
+            console.log(`Imported OCV curve for ${profile.name}:`, curve);
+        } catch (error) {
+            this.showError(`Cannot import OCV curve: ${error.message}`);
+        }
+    }
+
+    /**
+     * Revert the profile in the editor to its built-in OCV curve
+     */
+    resetOcvCurve() {
+        const profile = this.chemistryProfiles.get(this.editingChemistryId);
+        if (!profile) return;
+
+        this.socEstimator.removeCustomCurve(profile.id);
+        this.renderOcvCurveInfo(profile);
+        this.refreshStateOfCharge();
+    }
+
+    /**
+     * Recalculate state of charge of the current readings
+     */
+    refreshStateOfCharge() {
+        for (const pack of this.packs.filter(pack => pack.lastReading)) {
+            this.socEstimator.apply(pack.lastReading, this.parser.profile);
+        }
+        if (this.activePack.lastReading) {
+            this.updateUI(this.activePack.lastReading);
+        }
+        this.renderOverview();
+    }
+
+    /**
+     * Start a new custom profile based on the one in the editor
+     */
+    duplicateChemistryProfile() {
+        const profile = this.chemistryProfiles.get(this.elements.chemistryEditSelect.value);
+        this.renderChemistryEditor(null, { ...profile, name: `${profile.name} (custom)` });
+    }
+
+    /**
+     * Save the profile in the editor and make it active
+     */
+    saveChemistryProfile() {
+        const form = this.elements.chemistryForm;
+        const number = (name) => parseFloat(form.elements[name].value);
+
+        try {
+            const saved = this.chemistryProfiles.saveCustom({
+                id: this.editingChemistryId,
+                name: form.elements.name.value.trim(),
+                minVoltage: number('minVoltage'),
+                nominalVoltage: number('nominalVoltage'),
+                maxVoltage: number('maxVoltage'),
+                storageVoltage: number('storageVoltage'),
+                bands: {
+                    good: [number('goodMin'), number('goodMax')],
+                    warning: [number('warningMin'), number('warningMax')]
+                }
+            });
+
+            this.populateChemistrySelects();
+            this.chemistryProfiles.setActive(saved.id);
+            this.elements.chemistryEditSelect.value = saved.id;
+            this.renderChemistryEditor(saved);
+        } catch (error) {
+            this.showError(`Cannot save profile: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the custom profile in the editor
+     */
+    deleteChemistryProfile() {
+        const profile = this.chemistryProfiles.get(this.editingChemistryId);
+        if (!profile || !confirm(`Delete chemistry profile "${profile.name}"?`)) {
+            return;
+        }
+
+        this.chemistryProfiles.deleteCustom(profile.id);
+        if (this.socEstimator.hasCustomCurve(profile.id)) {
+            this.socEstimator.removeCustomCurve(profile.id);
+        }
+        this.populateChemistrySelects();
+        this.elements.chemistryEditSelect.value = this.chemistryProfiles.activeId;
+        this.renderChemistryEditor(this.chemistryProfiles.getActive());
+    }
+
+    /**
+     * Record a received chunk in the traffic monitor
+     * @param {string} chunk - Received text
+     * @param {Date} time - Receive time
+     */
+    handleTrafficChunk(chunk, time) {
+        this.appendTrafficEntry(this.trafficMonitor.addChunk(chunk, time));
+    }
+
+    /**
+     * Show or hide the traffic monitor
+     * @param {boolean} show - True to show
+     */
+    showTrafficMonitor(show) {
+        this.elements.trafficCard.hidden = !show;
+        this.elements.trafficBtn.classList.toggle('btn-primary', show);
+        if (show) {
+            this.renderTraffic();
+        }
+    }
+
+    /**
+     * Pause or resume live updates of the traffic view (traffic is still recorded)
+     */
+    toggleTrafficPause() {
+        this.trafficPaused = !this.trafficPaused;
+        this.elements.trafficPauseBtn.textContent = this.trafficPaused ? 'Resume' : 'Pause';
+        if (this.trafficPaused) {
+            this.updateTrafficStats();
+        } else {
+            this.renderTraffic();
+        }
+    }
+
+    /**
+     * Check if the traffic view is receiving live updates
+     * @returns {boolean}
+     */
+    isTrafficLive() {
+        return !this.elements.trafficCard.hidden && !this.trafficPaused;
+    }
+
+    /**
+     * Append an entry to the traffic view
+     * @param {Object} entry - Traffic entry
+     */
+    appendTrafficEntry(entry) {
+        if (!this.isTrafficLive()) {
+            return;
+        }
+
+        const output = this.elements.trafficOutput;
+        const atBottom = output.scrollHeight - output.scrollTop - output.clientHeight < 20;
+
+        if (this.trafficMonitor.matches(entry, this.elements.trafficSearch.value)) {
+            output.insertAdjacentHTML('beforeend', this.renderTrafficEntry(entry));
+
+            while (output.childElementCount > this.trafficMonitor.maxEntries) {
+                output.firstElementChild.remove();
+            }
+
+            if (atBottom) {
+                output.scrollTop = output.scrollHeight;
+            }
+        }
+
+        this.updateTrafficStats();
+    }
+
+    /**
+     * Render the whole traffic view
+     */
+    renderTraffic() {
+        const query = this.elements.trafficSearch.value;
+
+        this.elements.trafficOutput.innerHTML = this.trafficMonitor.entries
+            .filter(entry => this.trafficMonitor.matches(entry, query))
+            .map(entry => this.renderTrafficEntry(entry))
+            .join('');
+        this.elements.trafficOutput.scrollTop = this.elements.trafficOutput.scrollHeight;
+        this.updateTrafficStats();
+    }
+
+    /**
+     * Build the HTML of a traffic entry
+     * @param {Object} entry - Traffic entry
+     * @returns {string} HTML
+     */
+    renderTrafficEntry(entry) {
+        const time = this.formatTrafficTime(entry.time);
+        const query = this.elements.trafficSearch.value;
+
+        if (entry.type === 'frame') {
+            const label = entry.format
+                ? `frame · ${entry.format} · ${entry.data.cellCount}S ${this.parser.formatVoltage(entry.data.totalVoltage, 2)}V`
+                : 'frame · unrecognized';
+            const classes = [
+                'traffic-frame',
+                entry.format ? '' : 'traffic-frame-unrecognized',
+                entry.id === this.selectedFrameId ? 'selected' : ''
+            ].join(' ');
+            return `<button class="${classes}" data-frame-id="${entry.id}">${time} ── ${label} ──</button>`;
+        }
+
+        // Make line endings visible and mark lines no parser pattern matched
+        const text = entry.segments.map(segment => {
+            const html = this.highlightText(segment.text.replace(/\r/g, '␍'), query);
+            const eol = segment.lineEnd ? '<span class="traffic-eol">␊</span>\n' : '';
+            return segment.recognized === false
+                ? `<span class="traffic-unrecognized" title="No parser pattern matched this line">${html}</span>${eol}`
+                : html + eol;
+        }).join('');
+
+        return `<div class="traffic-chunk"><span class="traffic-meta">${time} ${entry.text.length}B</span><span class="traffic-text">${text}</span></div>`;
+    }
+
+    /**
+     * Escape text and mark occurrences of a search query
+     * @param {string} text - Plain text
+     * @param {string} query - Search text (case-insensitive)
+     * @returns {string} HTML
+     */
+    highlightText(text, query) {
+        if (!query) {
+            return this.escapeHTML(text);
+        }
+
+        const lower = text.toLowerCase();
+        const needle = query.toLowerCase();
+        let html = '';
+        let index = 0;
+        let match;
+
+        while ((match = lower.indexOf(needle, index)) !== -1) {
+            html += this.escapeHTML(text.slice(index, match));
+            html += `<mark>${this.escapeHTML(text.slice(match, match + needle.length))}</mark>`;
+            index = match + needle.length;
+        }
+
+        return html + this.escapeHTML(text.slice(index));
+    }
+
+    /**
+     * Update the traffic counters
+     */
+    updateTrafficStats() {
+        const stats = this.trafficMonitor.stats;
+        this.elements.trafficStats.textContent =
+            `${stats.bytes} bytes · ${stats.chunks} chunks · ${stats.frames} frames · ${stats.unrecognizedLines} unrecognized lines`
+            + (this.trafficPaused ? ' · paused' : '');
+    }
+
+    /**
+     * Show a frame's raw text and parse result in the inspector
+     * @param {number} id - Traffic entry ID
+     */
+    inspectTrafficFrame(id) {
+        const entry = this.trafficMonitor.get(id);
+        if (!entry) {
+            return;
+        }
+
+        this.selectedFrameId = id;
+        this.elements.trafficOutput.querySelectorAll('.traffic-frame.selected')
+            .forEach(marker => marker.classList.remove('selected'));
+        this.elements.trafficOutput.querySelector(`[data-frame-id="${id}"]`)?.classList.add('selected');
+
+        this.elements.trafficInspector.textContent = [
+            `Received: ${this.formatTrafficTime(entry.time)}`,
+            `Format: ${entry.format || 'unrecognized'}${entry.data.labels ? ` (labels: ${entry.data.labels})` : ''}`,
+            '',
+            '--- Raw frame ---',
+            entry.raw,
+            '',
+            '--- Parsed ---',
+            JSON.stringify(entry.data, null, 2)
+        ].join('\n');
+    }
+
+    /**
+     * Download the recorded traffic exactly as received
+     */
+    saveTrafficLog() {
+        const log = this.trafficMonitor.getRawLog();
+        if (!log) {
+            this.showError('No traffic recorded yet.');
+            return;
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        this.downloadFile(`battery-traffic-${timestamp}.log`, log, 'text/plain');
+    }
+
+    /**
+     * Format a time with milliseconds
+     * @param {Date} date - Date object
+     * @returns {string} Formatted time (HH:MM:SS.mmm)
+     */
+    formatTrafficTime(date) {
+        return `${this.parser.formatTimestamp(date)}.${date.getMilliseconds().toString().padStart(3, '0')}`;
+    }
+
+    /**
+     * Show a received line in the console
+     * @param {string} line - Received line
+     */
+    handleConsoleLine(line) {
+        const type = this.parser.isRecognizedLine(line) ? 'frame-line' : 'received';
+
+        // Blank lines only add noise between frames
+        if (line.trim() !== '') {
+            this.appendConsoleEntry(this.serialConsole.addEntry(type, line));
+        }
+    }
+
+    /**
+     * Append a transcript entry to the console output
+     * @param {Object} entry - Console entry
+     */
+    appendConsoleEntry(entry) {
+        const output = this.elements.consoleOutput;
+        const atBottom = output.scrollHeight - output.scrollTop - output.clientHeight < 20;
+        const prefix = { sent: '> ', error: '! ' }[entry.type] || '';
+
+        output.insertAdjacentHTML('beforeend', `
+            <div class="console-entry console-${entry.type}"><span class="console-time">${this.parser.formatTimestamp(entry.time)}</span>${this.escapeHTML(prefix + entry.text)}</div>
+        `);
+
+        while (output.childElementCount > this.serialConsole.maxEntries) {
+            output.firstElementChild.remove();
+        }
+
+        // Follow new output unless the user scrolled up
+        if (atBottom) {
+            output.scrollTop = output.scrollHeight;
+        }
+    }
+
+    /**
+     * Send a command to the active data source
+     * @param {string} command - Command text, or hex bytes in hex mode
+     * @param {Object} options - Object with lineEnding and hex
+     */
+    async sendConsoleCommand(command, options) {
+        if (!command.trim()) {
+            return;
+        }
+
+        this.serialConsole.addToHistory(command);
+
+        try {
+            await this.activePack.reader.write(command, { lineEnding: options.lineEnding, hex: options.hex });
+            this.appendConsoleEntry(this.serialConsole.addEntry('sent', options.hex ? `[hex] ${command}` : command));
+        } catch (error) {
+            this.appendConsoleEntry(this.serialConsole.addEntry('error', error.message));
+        }
+    }
+
+    /**
+     * Save the console input as a macro button
+     */
+    saveConsoleMacro() {
+        const command = this.elements.consoleInput.value.trim() || prompt('Command:');
+        if (!command) {
+            return;
+        }
+
+        const name = prompt('Macro name:', command);
+        if (!name) {
+            return;
+        }
+
+        this.serialConsole.addMacro({
+            name: name.trim(),
+            command: command,
+            lineEnding: this.serialConsole.settings.lineEnding,
+            hex: this.serialConsole.settings.hex
+        });
+        this.renderConsoleMacros();
+    }
+
+    /**
+     * Render the macro buttons
+     */
+    renderConsoleMacros() {
+        this.elements.consoleMacros.innerHTML = this.serialConsole.macros.map((macro, index) => `
+            <button class="btn btn-sm" data-macro-action="run" data-macro-index="${index}" title="${this.escapeHTML(macro.command)}">
+                ${this.escapeHTML(macro.name)}
+                <span class="console-macro-remove" data-macro-action="remove" data-macro-index="${index}" title="Remove macro">×</span>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Handle a click on a macro button
+     * @param {string} action - 'run' or 'remove'
+     * @param {number} index - Macro index
+     */
+    handleMacroAction(action, index) {
+        const macro = this.serialConsole.macros[index];
+        if (!macro) {
+            return;
+        }
+
+        if (action === 'run') {
+            this.sendConsoleCommand(macro.command, macro);
+        } else if (action === 'remove' && confirm(`Remove macro "${macro.name}"?`)) {
+            this.serialConsole.removeMacro(index);
+            this.renderConsoleMacros();
+        }
+    }
+
+    /**
+     * Count and surface a frame that no registered format recognized
+     * @param {PackMonitor} pack - Pack the frame was received for
+     * @param {string} rawData - Raw frame text
+     */
+    handleUnrecognizedFrame(pack, rawData) {
+        pack.unrecognizedFrames++;
+        console.warn(`Unrecognized frame (${pack.name}):`, rawData.slice(0, 200));
+
+        if (pack === this.activePack) {
+            this.elements.unrecognizedBtn.hidden = false;
+            this.elements.unrecognizedCount.textContent = pack.unrecognizedFrames.toString();
+            this.elements.labelsLastFrame.textContent = rawData;
+        }
+    }
+
+    /**
+     * Fill the label set selector
+     */
+    populateLabelsSelect() {
+        this.elements.labelsEditSelect.innerHTML = this.labelSets.getAll()
+            .map(labels => `<option value="${labels.id}">${this.escapeHTML(labels.name)}</option>`)
+            .join('');
+    }
+
+    /**
+     * Open the firmware label set editor
+     */
+    openLabelsEditor() {
+        this.populateLabelsSelect();
+        const labels = this.labelSets.getAll()[0];
+        this.elements.labelsEditSelect.value = labels.id;
+        this.renderLabelsEditor(labels);
+        this.openModal(this.elements.labelsModal);
+    }
+
+    /**
+     * Show a label set in the editor form
+     * @param {Object|null} labels - Label set to show, or null for a new set
+     * @param {Object|null} template - Initial values for a new set
+     */
+    renderLabelsEditor(labels, template = null) {
+        const form = this.elements.labelsForm;
+        const editable = !labels || this.labelSets.isCustom(labels.id);
+        const source = labels || template || {};
+
+        this.editingLabelsId = labels ? labels.id : null;
+
+        form.elements.name.value = source.name || '';
+        for (const field of [...LABEL_FIELDS, ...OPTIONAL_LABEL_FIELDS]) {
+            form.elements[field].value = source[field] || '';
+        }
+
+        for (const input of form.elements) {
+            input.disabled = !editable;
+        }
+
+        this.elements.labelsSaveBtn.disabled = !editable;
+        this.elements.labelsDeleteBtn.disabled = !labels || !editable;
+        this.elements.labelsHint.textContent = editable
+            ? 'Enter the words your firmware prints in place of the Portuguese labels. Every label set is tried on each frame.'
+            : 'Built-in label sets are read-only. Duplicate one to customize it.';
+    }
+
+    /**
+     * Save the label set in the editor
+     */
+    saveLabelSet() {
+        const form = this.elements.labelsForm;
+        const labels = { id: this.editingLabelsId, name: form.elements.name.value.trim() };
+        for (const field of [...LABEL_FIELDS, ...OPTIONAL_LABEL_FIELDS]) {
+            labels[field] = form.elements[field].value.trim();
+        }
+
+        try {
+            const saved = this.labelSets.saveCustom(labels);
+            this.populateLabelsSelect();
+            this.elements.labelsEditSelect.value = saved.id;
+            this.renderLabelsEditor(saved);
+        } catch (error) {
+            this.showError(`Cannot save label set: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the custom label set in the editor
+     */
+    deleteLabelSet() {
+        const labels = this.labelSets.get(this.editingLabelsId);
+        if (!labels || !confirm(`Delete label set "${labels.name}"?`)) {
+            return;
+        }
+
+        this.labelSets.deleteCustom(labels.id);
+        this.openLabelsEditor();
+    }
+
+    /**
+     * Toggle the connection of the shown pack
+     */
+    async toggleConnection() {
+        const reader = this.activePack.reader;
+        if (reader.getConnectionStatus() || reader.isReconnecting) {
+            await this.disconnect();
+        } else {
+            await this.connect();
+        }
+    }
+
+    /**
+     * Connect the data source of the shown pack
+     * @param {SerialPort|null} port - Previously granted serial port to use (serial source only)
+     */
+    async connect(port = null) {
+        const pack = this.activePack;
+
+        try {
+            this.elements.connectBtn.disabled = true;
+            if (pack.reader === pack.serialReader) {
+                await this.connectSerial(pack, port);
+            } else if (pack.reader === pack.websocketReader) {
+                // Ask for the bridge address the first time
+                if (!pack.websocketUrl) {
+                    this.openWebSocketSettings();
+                    return;
+                }
+                await pack.websocketReader.connect({ url: pack.websocketUrl });
+            } else {
+                await pack.reader.connect();
+            }
+        } catch (error) {
+            console.error('Failed to connect:', error);
+            this.showError(`Connection failed: ${error.message}`);
+        } finally {
+            this.elements.connectBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Connect a pack to a serial port with its remembered settings
+     * Reuses the pack's last device if it is still granted and free, so the port picker only shows when needed
+     * @param {PackMonitor} pack - Pack to connect
+     * @param {SerialPort|null} port - Port to connect, or null to pick one
+     */
+    async connectSerial(pack, port = null) {
+        if (!port) {
+            // A pack that never connected can only take over the global last device while it is the only pack
+            const lastKey = pack.portKey || (this.packs.length === 1 ? this.portSettings.lastPortKey : null);
+            const ports = await pack.serialReader.getPorts();
+            port = ports.find(granted => SerialReader.getPortKey(granted) === lastKey && !this.isPortInUse(granted))
+                || await pack.serialReader.requestPort();
+        }
+
+        if (this.isPortInUse(port)) {
+            throw new Error('This port is already used by another pack.');
+        }
+
+        const key = SerialReader.getPortKey(port);
+        await pack.serialReader.connect({ ...this.portSettings.get(key), port: port });
+        pack.portKey = key;
+        this.packList.update(pack.id, { portKey: key });
+        this.portSettings.setLastPort(key);
+        this.refreshPortList();
+    }
+
+    /**
+     * Open the WebSocket settings dialog of the shown pack
+     */
+    openWebSocketSettings() {
+        this.elements.websocketForm.elements.url.value = this.activePack.websocketUrl || DEFAULT_WEBSOCKET_URL;
+        this.openModal(this.elements.websocketModal);
+        this.elements.websocketForm.elements.url.focus();
+    }
+
+    /**
+     * Save the bridge address of the shown pack
+     * @param {boolean} connect - Connect to the bridge after saving
+     */
+    async saveWebSocketSettings(connect) {
+        const pack = this.activePack;
+
+        try {
+            const url = normalizeWebSocketUrl(this.elements.websocketForm.elements.url.value);
+            pack.websocketUrl = url;
+            this.packList.update(pack.id, { websocketUrl: url });
+            this.closeModal(this.elements.websocketModal);
+            this.renderOverview();
+
+            if (connect) {
+                if (pack.reader.getConnectionStatus() || pack.reader.isReconnecting) {
+                    await this.disconnect();
+                }
+                this.selectSource('websocket');
+                await this.connect();
+            }
+        } catch (error) {
+            console.error('Failed to save WebSocket settings:', error);
+            this.showError(`Cannot save WebSocket settings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open the serial port settings dialog
+     */
+    async openPortSettings() {
+        this.elements.portForm.elements.baudPreset.innerHTML = [
+            ...BAUD_RATES.map(rate => `<option value="${rate}">${rate}</option>`),
+            '<option value="custom">Custom...</option>'
+        ].join('');
+
+        this.selectedPortIndex = null;
+        await this.refreshPortList();
+        this.openModal(this.elements.portModal);
+    }
+
+    /**
+     * Reload the granted port list and show the selected port's settings
+     */
+    async refreshPortList() {
+        this.grantedPorts = await this.activePack.serialReader.getPorts();
+
+        if (this.selectedPortIndex === null || !this.grantedPorts[this.selectedPortIndex]) {
+            const lastKey = this.activePack.portKey || this.portSettings.lastPortKey;
+            const lastIndex = this.grantedPorts.findIndex(port => SerialReader.getPortKey(port) === lastKey);
+            this.selectedPortIndex = lastIndex >= 0 ? lastIndex : (this.grantedPorts.length > 0 ? 0 : null);
+        }
+
+        this.renderPortList();
+        this.renderPortForm();
+    }
+
+    /**
+     * Render the granted port list
+     */
+    renderPortList() {
+        if (!this.activePack.serialReader.isSupported()) {
+            this.elements.portList.innerHTML = '';
+            this.elements.portHint.textContent = 'Web Serial API not supported. Use Chrome/Edge browser.';
+            return;
+        }
+
+        this.elements.portHint.textContent = this.grantedPorts.length === 0
+            ? 'No ports granted yet. Add a port to choose its settings, or just connect.'
+            : 'Settings below apply to the selected device and are remembered for it.';
+
+        this.elements.portList.innerHTML = this.grantedPorts.map((port, index) => {
+            const info = port.getInfo();
+            const key = SerialReader.getPortKey(port);
+            const inUse = this.isPortInUse(port);
+            const selected = index === this.selectedPortIndex;
+            const ids = info.usbVendorId === undefined ? 'Not a USB device' : `0x${key.replace(':', ' / 0x')}`;
+
+            return `
+                <tr class="${selected ? 'row-selected' : ''}">
+                    <td>Port ${index + 1}${inUse ? '<span class="table-secondary">In use</span>' : ''}</td>
+                    <td class="mono">${ids}</td>
+                    <td>${this.formatPortOptions(this.portSettings.get(key))}</td>
+                    <td class="table-actions">
+                        <button class="btn btn-sm" data-port-action="select" data-port-index="${index}" ${selected ? 'disabled' : ''}>Select</button>
+                        <button class="btn btn-sm" data-port-action="connect" data-port-index="${index}" ${inUse ? 'disabled' : ''}>Connect</button>
+                        <button class="btn btn-sm" data-port-action="forget" data-port-index="${index}" ${inUse ? 'disabled' : ''}>Forget</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the selected port's settings in the form
+     */
+    renderPortForm() {
+        const form = this.elements.portForm;
+        const port = this.grantedPorts[this.selectedPortIndex];
+        const options = this.portSettings.get(port ? SerialReader.getPortKey(port) : this.portSettings.lastPortKey);
+        const preset = BAUD_RATES.includes(options.baudRate);
+
+        form.elements.baudPreset.value = preset ? options.baudRate : 'custom';
+        form.elements.baudCustom.value = preset ? '' : options.baudRate;
+        form.elements.baudCustom.disabled = preset;
+        form.elements.dataBits.value = options.dataBits;
+        form.elements.stopBits.value = options.stopBits;
+        form.elements.parity.value = options.parity;
+        form.elements.flowControl.value = options.flowControl;
+        form.elements.bufferSize.value = options.bufferSize;
+        form.elements.dataTerminalReady.checked = options.dataTerminalReady;
+        form.elements.requestToSend.checked = options.requestToSend;
+
+        this.elements.portSignalsBtn.disabled = !port || !this.isPortInUse(port);
+    }
+
+    /**
+     * Read port options from the settings form
+     * @returns {Object} Port options
+     */
+    readPortForm() {
+        const form = this.elements.portForm;
+        const baudPreset = form.elements.baudPreset.value;
+
+        return {
+            baudRate: Number(baudPreset === 'custom' ? form.elements.baudCustom.value : baudPreset),
+            dataBits: Number(form.elements.dataBits.value),
+            stopBits: Number(form.elements.stopBits.value),
+            parity: form.elements.parity.value,
+            flowControl: form.elements.flowControl.value,
+            bufferSize: Number(form.elements.bufferSize.value),
+            dataTerminalReady: form.elements.dataTerminalReady.checked,
+            requestToSend: form.elements.requestToSend.checked
+        };
+    }
+
+    /**
+     * Save the settings form for the selected port, asking for a port if none is granted
+     * @param {boolean} connect - Connect to the port after saving
+     */
+    async savePortSettings(connect) {
+        try {
+            let port = this.grantedPorts[this.selectedPortIndex];
+            if (!port) {
+                port = await this.activePack.serialReader.requestPort();
+            }
+
+            this.portSettings.set(SerialReader.getPortKey(port), this.readPortForm());
+
+            if (connect) {
+                this.closeModal(this.elements.portModal);
+                if (this.activePack.reader.getConnectionStatus() || this.activePack.reader.isReconnecting) {
+                    await this.disconnect();
+                }
+                this.selectSource('serial');
+                await this.connect(port);
+            } else {
+                await this.refreshPortList();
+            }
+        } catch (error) {
+            console.error('Failed to save port settings:', error);
+            this.showError(`Cannot save port settings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Apply the DTR and RTS checkboxes to the open port
+     */
+    async applyPortSignals() {
+        const options = this.readPortForm();
+
+        try {
+            await this.activePack.serialReader.setSignals({
+                dataTerminalReady: options.dataTerminalReady,
+                requestToSend: options.requestToSend
+            });
+        } catch (error) {
+            console.error('Failed to set signals:', error);
+            this.showError(`Cannot set signals: ${error.message}`);
+        }
+    }
+
+    /**
+     * Grant access to another port through the browser's port picker
+     */
+    async addPort() {
+        try {
+            const port = await this.activePack.serialReader.requestPort();
+            this.grantedPorts = await this.activePack.serialReader.getPorts();
+            this.selectedPortIndex = this.grantedPorts.indexOf(port);
+            await this.refreshPortList();
+        } catch (error) {
+            // The picker throws when the user cancels it
+            console.log('No port added:', error.message);
+        }
+    }
+
+    /**
+     * Handle a click in the granted port list
+     * @param {string} action - 'select', 'connect' or 'forget'
+     * @param {number} index - Port index
+     */
+    async handlePortAction(action, index) {
+        const port = this.grantedPorts[index];
+        if (!port) {
+            return;
+        }
+
+        if (action === 'select') {
+            this.selectedPortIndex = index;
+            this.renderPortList();
+            this.renderPortForm();
+        } else if (action === 'connect') {
+            this.selectedPortIndex = index;
+            this.elements.portForm.requestSubmit(this.elements.portConnectBtn);
+        } else if (action === 'forget') {
+            if (!port.forget) {
+                this.showError('This browser cannot revoke port access. Use the site settings instead.');
+                return;
+            }
+            if (confirm(`Revoke access to port ${index + 1}?`)) {
+                await port.forget();
+                this.selectedPortIndex = null;
+                await this.refreshPortList();
+            }
+        }
+    }
+
+    /**
+     * Check if a port is open in the serial reader of any pack
+     * @param {SerialPort} port - Serial port
+     * @returns {boolean}
+     */
+    isPortInUse(port) {
+        return this.packs.some(pack => pack.serialReader.port === port && pack.serialReader.getConnectionStatus());
+    }
+
+    /**
+     * Format port options as a short summary, e.g. "115200 8N1"
+     * @param {Object} options - Port options
+     * @returns {string} Summary
+     */
+    formatPortOptions(options) {
+        const summary = `${options.baudRate} ${options.dataBits}${options.parity[0].toUpperCase()}${options.stopBits}`;
+        return options.flowControl === 'hardware' ? `${summary} RTS/CTS` : summary;
+    }
+
+    /**
+     * Disconnect the data source of the shown pack
+     */
+    async disconnect() {
+        try {
+            this.elements.connectBtn.disabled = true;
+            await this.activePack.reader.disconnect();
+        } catch (error) {
+            console.error('Failed to disconnect:', error);
+        } finally {
+            this.elements.connectBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Handle a connection status change of a pack
+     * @param {PackMonitor} pack - Pack whose data source changed status
+     * @param {string} status - Connection status
+     * @param {string} message - Status message
+     */
+    handlePackStatus(pack, status, message) {
+        pack.status = status;
+        pack.statusMessage = message;
+        this.mqttPublisher.publishPackStatus(this.getPackSlug(pack), status);
+
+        // Keep watching for stale data while reconnecting, so a long outage still raises the alarm
+        if (!pack.isOnline()) {
+            this.alarmEngine.resetStale(this.getAlarmScope(pack));
+        }
+        this.updateStaleTimer();
+
+        if (pack === this.activePack) {
+            this.updateConnectionStatus(status, message);
+
+            // Leave a trace of connection drops in the console transcript
+            if (status === 'reconnecting' && message) {
+                this.appendConsoleEntry(this.serialConsole.addEntry('info', message));
+            }
+        }
+
+        // Show message if error
+        if (status === 'error' && message) {
+            this.showError(pack === this.activePack ? message : `${pack.name}: ${message}`);
+        }
+
+        this.renderPackTabs();
+        this.renderOverview();
+    }
+
+    /**
+     * Update connection status UI
+     * @param {string} status - Connection status
+     * @param {string} message - Status message
+     */
+    updateConnectionStatus(status, message) {
+        // Update indicator
+        this.elements.statusIndicator.className = 'status-indicator status-' + status;
+
+        // Update text
+        this.elements.statusText.textContent = this.getStatusText(status);
+        this.elements.statusText.title = message;
+
+        // Data source can only change while disconnected
+        const active = status === 'connected' || status === 'reconnecting';
+        this.elements.sourceSelect.disabled = active || status === 'connecting';
+
+        // Update button; disconnecting while reconnecting stops the retries
+        if (active) {
+            this.elements.connectBtn.innerHTML = `
+                <svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+                Disconnect
+            `;
+        } else {
+            this.elements.connectBtn.innerHTML = `
+                <svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="12" y1="5" x2="12" y2="19"></line>
+                    <polyline points="19 12 12 19 5 12"></polyline>
+                </svg>
+                Connect
+            `;
+        }
+    }
+
+    /**
+     * Get the display text of a connection status
+     * @param {string} status - Connection status
+     * @returns {string} Status text
+     */
+    getStatusText(status) {
+        const statusTexts = {
+            'connecting': 'Connecting...',
+            'connected': 'Connected',
+            'reconnecting': 'Reconnecting...',
+            'disconnected': 'Disconnected',
+            'error': 'Error'
+        };
+        return statusTexts[status] || status;
+    }
+
+    /**
+     * Handle incoming data from serial port
+     * Only the shown pack updates the dashboard; every pack keeps its own state, alarms and recording
+     * @param {PackMonitor} pack - Pack the data was received for
+     * @param {string} rawData - Raw data string
+     * @param {Date} timestamp - Time the reading was taken (defaults to now)
+     */
+    handleData(pack, rawData, timestamp = new Date()) {
+        const shown = pack === this.activePack;
+
+        try {
+            // Parse data with the pack's own calibration, as identical boards on a bench share module addresses
+            const data = this.parser.parse(rawData, timestamp, pack.calibration);
+            if (shown) {
+                this.appendTrafficEntry(this.trafficMonitor.addFrame(rawData, data));
+            }
+
+            // Frames in no known format (e.g. firmware labels not configured)
+            if (!data.format) {
+                this.handleUnrecognizedFrame(pack, rawData);
+                return;
+            }
+
+            // Validate
+            if (!this.parser.validate(data)) {
+                console.warn('Invalid data received');
+                return;
+            }
+
+            // Estimate state of charge from cell voltages
+            this.socEstimator.apply(data, this.parser.profile);
+
+            // Track cell spread for the balance trend, session statistics, the voltage trend and pack health
+            pack.imbalanceAnalyzer.addSample(data);
+            pack.sessionStats.addSample(data);
+            pack.cutoffPredictor.addSample(data);
+            pack.energyMeter.addSample(data);
+            pack.resistanceEstimator.addSample(data);
+
+            // Update state
+            const point = this.getChartPoint(data);
+            pack.addReading(data, point);
+
+            if (shown) {
+                // Show a one-line summary of the frame in the console
+                const current = data.current !== null ? ` ${this.parser.formatCurrent(data.current)}A` : '';
+                this.appendConsoleEntry(this.serialConsole.addEntry('frame',
+                    `[frame ${data.format}] ${data.cellCount}S ${this.parser.formatVoltage(data.totalVoltage, 2)}V${current}`, timestamp));
+
+                // Update UI
+                this.updateUI(data);
+                if (this.elements.calibrationModal.classList.contains('show')) {
+                    this.updateCalibration(data);
+                }
+
+                // Update chart
+                this.chartManager.updateCells(point.cellsData, point.timestamp, point.socData, point.totalVoltage, {
+                    current: point.current,
+                    temperatures: point.temperatures
+                });
+            }
+            this.renderOverview();
+
+            // Check alarm thresholds
+            const summary = this.parser.getSummary(data);
+            this.alarmEngine.evaluate(data, summary, timestamp.getTime(), this.getAlarmScope(pack));
+
+            // Persist to active session
+            this.recordReading(pack, data);
+
+            // Publish live readings; replayed logs are not live data
+            if (pack.isOnline()) {
+                this.mqttPublisher.publishReading(this.getPackSlug(pack), data, summary);
+            }
+
+            console.log('Reading processed:', data);
+        } catch (error) {
+            console.error('Error handling data:', error);
+        }
+    }
+
+    /**
+     * Update UI with new data
+     * @param {Object} data - Parsed battery data
+     */
+    updateUI(data) {
+        // Update total voltage
+        this.elements.totalVoltage.textContent = this.parser.formatVoltage(data.totalVoltage);
+        this.elements.cellCount.textContent = `${data.cellCount}S`;
+        this.elements.packSoc.textContent = `${this.parser.formatPercent(data.soc)}%`;
+        this.updateChannels(data);
+        this.updateCutoff(this.activePack.cutoffPredictor.predict(this.parser.profile));
+
+        // Update cells grid, balance analysis, statistics and health
+        const analysis = this.activePack.imbalanceAnalyzer.analyze(data);
+        const stats = this.activePack.sessionStats.getAll();
+        const resistance = this.activePack.resistanceEstimator.getAll();
+        this.updateCellsGrid(data.cells, analysis, stats, resistance);
+        this.updateBalance(analysis);
+        this.updateStats(stats);
+        this.updateHealth(this.activePack.energyMeter.get(this.activePack.imbalanceAnalyzer.settings.capacity), resistance);
+
+        // Update modules
+        this.updateModules(data.modules);
+
+        // Update footer
+        this.elements.lastUpdate.textContent = this.parser.formatTimestamp(data.timestamp);
+        this.elements.readingCount.textContent = this.activePack.readingCount.toString();
+    }
+
+    /**
+     * Update cells grid display
+     * @param {Array} cells - Array of cell objects
+     * @param {Object|null} analysis - Imbalance analysis used to highlight outliers
+     * @param {Object|null} stats - Session statistics (see SessionStats.getAll())
+     * @param {Object|null} resistance - Internal resistance estimates (see ResistanceEstimator.getAll())
+     */
+    updateCellsGrid(cells, analysis = null, stats = null, resistance = null) {
+        // Filter out invalid cells (voltage <= 0.1V)
+        const validCells = cells.filter(cell => cell.individualVoltage > 0.1);
+
+        if (!validCells || validCells.length === 0) {
+            this.elements.cellsGrid.innerHTML = `
+                <div class="empty-state">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                        <circle cx="12" cy="12" r="10"></circle>
+                        <line x1="12" y1="8" x2="12" y2="12"></line>
+                        <line x1="12" y1="16" x2="12.01" y2="16"></line>
+                    </svg>
+                    <p>No cells detected</p>
+                </div>
+            `;
+            return;
+        }
+
+        const deviations = new Map((analysis ? analysis.cells : []).map(cell => [cell.name, cell]));
+        const cellStats = new Map((stats ? stats.cells : []).map(cell => [cell.name, cell]));
+        const resistances = new Map((resistance ? resistance.cells : []).map(cell => [cell.name, cell]));
+
+        this.elements.cellsGrid.innerHTML = validCells.map(cell => {
+            const balance = deviations.get(cell.name);
+            const cellStat = cellStats.get(cell.name);
+            const cellResistance = resistances.get(cell.name);
+            return `
+            <div class="cell-card cell-card-${cell.status} ${balance && balance.outlier ? 'cell-card-outlier' : ''}">
+                <span class="cell-label">${cell.name}</span>
+                <div class="cell-voltage">
+                    <span class="cell-voltage-value">${this.parser.formatVoltage(cell.individualVoltage)}</span>
+                    <span class="cell-voltage-unit">V</span>
+                </div>
+                <div class="cell-soc" title="Estimated state of charge">
+                    <div class="cell-soc-track">
+                        <div class="cell-soc-bar" style="width: ${cell.soc ?? 0}%"></div>
+                    </div>
+                    <span class="cell-soc-value">${this.parser.formatPercent(cell.soc)}%</span>
+                </div>
+                ${balance ? `<span class="cell-deviation" title="Deviation from pack mean">${this.formatDeviation(balance.deviation)}</span>` : ''}
+                ${cellStat && cellStat.rate !== null ? `<span class="cell-rate" title="${this.escapeHTML(this.getCellStatsTitle(cellStat))}">${this.formatRate(cellStat.rate)}</span>` : ''}
+                ${cellResistance ? `<span class="cell-resistance ${cellResistance.high ? 'cell-resistance-high' : ''}" title="Internal resistance, median of ${cellResistance.count} load steps">${this.formatResistance(cellResistance.resistance)}</span>` : ''}
+                ${(cell.temperature ?? null) !== null ? `<span class="cell-temperature temperature-${this.parser.getTemperatureStatus(cell.temperature)}" title="Cell temperature">${this.parser.formatTemperature(cell.temperature)} °C</span>` : ''}
+                <span class="cell-status cell-status-${cell.status}">${cell.status}</span>
+            </div>
+        `;
+        }).join('');
+    }
+
+    /**
+     * Update the cell balance card
+     * @param {Object|null} analysis - Imbalance analysis from ImbalanceAnalyzer
+     */
+    updateBalance(analysis) {
+        if (!analysis) {
+            this.elements.balanceSummary.textContent = 'Waiting for data from at least two cells';
+            this.elements.balanceRecommendations.innerHTML = '';
+            this.elements.balanceTable.innerHTML = '';
+            return;
+        }
+
+        let summary = `Spread ${analysis.spread.toFixed(0)} mV · Mean ${this.parser.formatVoltage(analysis.mean)}V`;
+        const analyzer = this.activePack.imbalanceAnalyzer;
+        const trend = analyzer.getSpreadTrend();
+        if (trend) {
+            summary += ` · Session ${trend.min.toFixed(0)}-${trend.max.toFixed(0)} mV`;
+            if (trend.rate !== null) {
+                summary += ` · Trend ${trend.rate >= 0 ? '+' : ''}${trend.rate.toFixed(1)} mV/h`;
+            }
+        }
+        this.elements.balanceSummary.textContent = summary;
+
+        this.elements.balanceRecommendations.innerHTML = analysis.balanced
+            ? `<li class="balanced">Balanced within ${analyzer.settings.tolerance} mV</li>`
+            : analysis.recommendations.map(recommendation => `<li>${recommendation.message}</li>`).join('')
+                + `<li class="balance-note">Relative to the lowest cell, ${analysis.lowest.name}${
+                    analyzer.settings.capacity > 0 ? '' : ' · enter the cell capacity for bleed estimates'}</li>`;
+
+        this.elements.balanceTable.innerHTML = analysis.ranking.map((cell, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${cell.name}</td>
+                <td>${this.parser.formatVoltage(cell.voltage)}V</td>
+                <td class="${cell.outlier ? `deviation-${cell.outlier}` : ''}">${this.formatDeviation(cell.deviation)}</td>
+                <td>${this.parser.formatPercent(cell.soc)}%</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Apply the cell balance settings inputs to every pack
+     */
+    applyBalanceSettings() {
+        const capacity = parseFloat(this.elements.balanceCapacity.value);
+        const tolerance = parseFloat(this.elements.balanceTolerance.value);
+        const current = this.activePack.imbalanceAnalyzer.settings;
+        const settings = {
+            capacity: Number.isFinite(capacity) && capacity > 0 ? capacity : 0,
+            tolerance: Number.isFinite(tolerance) && tolerance > 0 ? tolerance : current.tolerance
+        };
+
+        for (const pack of this.packs) {
+            pack.imbalanceAnalyzer.configure(settings);
+        }
+        this.elements.balanceTolerance.value = settings.tolerance;
+
+        if (this.activePack.lastReading) {
+            this.updateUI(this.activePack.lastReading);
+        }
+    }
+
+    /**
+     * Show the pack current and temperature sensors under the total voltage
+     * Cell sensors are shown on their cell cards; the hottest one is listed here too
+     * @param {Object|null} data - Parsed battery data, or null for none
+     */
+    updateChannels(data) {
+        const parts = [];
+
+        if (data && data.current !== null && data.current !== undefined) {
+            const raw = data.shuntRaw !== null ? ` <span title="Shunt RAW value">(RAW ${data.shuntRaw})</span>` : '';
+            parts.push(`${this.parser.formatCurrent(data.current)} A${raw}`);
+        }
+
+        const temperatures = data ? data.temperatures || [] : [];
+        const sensors = temperatures.filter(sensor => sensor.cellNumber === null);
+        const cellSensors = temperatures.filter(sensor => sensor.cellNumber !== null);
+        if (cellSensors.length > 0) {
+            const hottest = cellSensors.reduce((a, b) => (b.temperature > a.temperature ? b : a));
+            sensors.push({ ...hottest, name: `Cells max (${hottest.name})` });
+        }
+
+        for (const sensor of sensors) {
+            parts.push(`<span class="temperature-${sensor.status}">${this.escapeHTML(sensor.name)} `
+                + `${this.parser.formatTemperature(sensor.temperature)} °C</span>`);
+        }
+
+        this.elements.packChannels.innerHTML = parts.join(' · ');
+    }
+
+    /**
+     * Show the time to cutoff next to the total voltage and its projection on the chart
+     * @param {Object|null} prediction - Prediction from CutoffPredictor, or null for none
+     */
+    updateCutoff(prediction) {
+        const element = this.elements.cutoffEstimate;
+        element.className = 'cutoff-estimate';
+        element.title = '';
+        const estimate = prediction && (prediction.cell || prediction.pack);
+
+        if (!prediction) {
+            element.textContent = '';
+        } else if (prediction.direction === 'stable') {
+            element.textContent = 'Voltage stable';
+        } else if (!estimate) {
+            element.textContent = '';
+        } else {
+            const limit = prediction.direction === 'discharging' ? 'cutoff' : 'full charge';
+            const range = estimate.high === Infinity
+                ? `at least ${this.formatMinutes(estimate.low)}`
+                : `${this.formatMinutes(estimate.low)} to ${this.formatMinutes(estimate.high)}`;
+            element.textContent = `≈ ${this.formatMinutes(estimate.minutes)} to ${limit}`
+                + (prediction.cell ? ` · ${prediction.cell.name} first` : '')
+                + ` · ${range}`;
+            element.classList.add(`cutoff-confidence-${prediction.confidence}`);
+            element.title = `${prediction.confidence} confidence: time until the weakest cell reaches `
+                + `${this.parser.formatVoltage(prediction.target, 2)}V at the trend of the last `
+                + `${this.activePack.cutoffPredictor.window / 1000} s; the range widens when the trend is noisy`;
+        }
+
+        // Weakest cell on the cell views, pack total on the pack voltage view
+        const projections = [];
+        if (prediction && prediction.cell) {
+            const { name, from, to, minutes } = prediction.cell;
+            const color = this.chartManager.getCellColor(name);
+            const label = `${name} ${this.formatMinutes(minutes)}`;
+            projections.push({ view: 'voltage', from, to, label, color });
+            projections.push({ view: 'envelope', from, to, label, color });
+        }
+        if (prediction && prediction.pack) {
+            const { from, to, minutes } = prediction.pack;
+            projections.push({ view: 'total', from, to, label: this.formatMinutes(minutes), color: 'rgba(230, 237, 243, 1)' });
+        }
+        this.chartManager.setProjections(projections);
+    }
+
+    /**
+     * Format a duration in minutes for estimates
+     * @param {number} minutes - Duration in minutes
+     * @returns {string} Rounded duration, e.g. '12 min' or '1 h 05 min'
+     */
+    formatMinutes(minutes) {
+        if (minutes < 1) {
+            return '<1 min';
+        }
+
+        const rounded = Math.round(minutes);
+        if (rounded < 60) {
+            return `${rounded} min`;
+        }
+        return `${Math.floor(rounded / 60)} h ${(rounded % 60).toString().padStart(2, '0')} min`;
+    }
+
+    /**
+     * Update the session statistics card
+     * @param {Object|null} stats - Session statistics (see SessionStats.getAll()), or null for none
+     */
+    updateStats(stats) {
+        if (!stats || !stats.pack) {
+            this.elements.statsSummary.textContent = 'Waiting for data';
+            this.elements.statsTable.innerHTML = '';
+            return;
+        }
+
+        const rateWindow = this.activePack.sessionStats.settings.rateWindow;
+        this.elements.statsSummary.textContent = `${stats.pack.count} readings over ${this.parser.formatDuration(stats.duration)}`
+            + ` · dV/dt over the last ${rateWindow} s`;
+
+        const rows = [...stats.cells, stats.pack];
+        this.elements.statsTable.innerHTML = rows.map(row => {
+            const relative = row.relativeRate ?? null;
+            const fast = relative !== null && Math.abs(relative) >= 1;
+            return `
+            <tr${row === stats.pack ? ' class="stats-pack-row"' : ''}>
+                <td>${this.escapeHTML(row.name)}</td>
+                <td>${this.parser.formatVoltage(row.min)}V</td>
+                <td>${this.parser.formatVoltage(row.max)}V</td>
+                <td>${this.parser.formatVoltage(row.mean)}V</td>
+                <td>${(row.stdDev * 1000).toFixed(1)} mV</td>
+                <td>${row.rate !== null ? this.formatRate(row.rate) : '--'}</td>
+                <td class="${fast ? `deviation-${relative > 0 ? 'high' : 'low'}` : ''}">${relative !== null ? this.formatRate(relative) : ''}</td>
+                <td>${this.parser.formatDuration(row.statusTime.good)}</td>
+                <td>${this.parser.formatDuration(row.statusTime.warning)}</td>
+                <td>${this.parser.formatDuration(row.statusTime.danger)}</td>
+            </tr>
+        `;
+        }).join('');
+    }
+
+    /**
+     * Update the pack health card
+     * @param {Object|null} energy - Totals from EnergyMeter.get(), or null for none
+     * @param {Object|null} resistance - Estimates from ResistanceEstimator.getAll(), or null for none
+     */
+    updateHealth(energy, resistance) {
+        if (!energy) {
+            this.elements.healthMetrics.innerHTML = '';
+            this.elements.healthSummary.textContent = 'Waiting for current readings';
+            this.elements.healthTable.innerHTML = '';
+            return;
+        }
+
+        const metrics = [
+            ['Discharged', `${energy.discharged.ah.toFixed(3)} Ah · ${energy.discharged.wh.toFixed(2)} Wh`],
+            ['Charged', `${energy.charged.ah.toFixed(3)} Ah · ${energy.charged.wh.toFixed(2)} Wh`],
+            ['Power', energy.power !== null ? `${energy.power.toFixed(1)} W` : '--'],
+            ['Peak current', `${this.parser.formatCurrent(energy.peakCurrent)} A`],
+            ['Remaining', energy.remaining !== null
+                ? `${(energy.remaining / 1000).toFixed(2)} Ah (${energy.remainingPercent.toFixed(0)}%)` : '--'],
+            ['Measured capacity', energy.measuredCapacity !== null ? `${(energy.measuredCapacity / 1000).toFixed(2)} Ah` : '--']
+        ];
+        this.elements.healthMetrics.innerHTML = metrics.map(([label, value]) => `
+            <div class="health-metric">
+                <span class="health-metric-label">${label}</span>
+                <span class="health-metric-value">${value}</span>
+            </div>
+        `).join('');
+
+        const capacity = this.activePack.imbalanceAnalyzer.settings.capacity;
+        const minStep = this.activePack.resistanceEstimator.settings.minStep;
+        this.elements.healthSummary.textContent = `Counted over ${this.parser.formatDuration(energy.duration)}`
+            + (capacity > 0 ? ` · Remaining of ${capacity} mAh` : ' · Remaining of the measured capacity (enter the capacity in Cell Balance to use the rated one)')
+            + ` · ${resistance.stepCount} load steps of ${minStep} A or more`;
+
+        const rows = resistance.pack ? [...resistance.cells, resistance.pack] : resistance.cells;
+        this.elements.healthTable.innerHTML = rows.map(row => `
+            <tr${row === resistance.pack ? ' class="stats-pack-row"' : ''}>
+                <td>${this.escapeHTML(row.name)}</td>
+                <td>${this.formatResistance(row.resistance)}</td>
+                <td class="${row.high ? 'deviation-high' : ''}">${row.ratio !== null && row.ratio !== undefined ? `×${row.ratio.toFixed(2)}` : ''}</td>
+                <td>${row.min.toFixed(1)}-${row.max.toFixed(1)} mΩ</td>
+                <td>${row.count}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Format an internal resistance
+     * @param {number} resistance - Resistance in mΩ
+     * @returns {string} Resistance with unit
+     */
+    formatResistance(resistance) {
+        return `${resistance.toFixed(1)} mΩ`;
+    }
+
+    /**
+     * Apply the pack health settings input to every pack
+     */
+    applyHealthSettings() {
+        const minStep = parseFloat(this.elements.healthMinStep.value);
+        const current = this.activePack.resistanceEstimator.settings;
+        const settings = {
+            minStep: Number.isFinite(minStep) && minStep > 0 ? minStep : current.minStep
+        };
+
+        for (const pack of this.packs) {
+            pack.resistanceEstimator.configure(settings);
+        }
+        this.elements.healthMinStep.value = settings.minStep;
+
+        if (this.activePack.lastReading) {
+            this.updateUI(this.activePack.lastReading);
+        }
+    }
+
+    /**
+     * Restart energy counting and resistance estimates of the shown pack
+     */
+    resetHealth() {
+        this.activePack.energyMeter.reset();
+        this.activePack.resistanceEstimator.reset();
+        if (this.activePack.lastReading) {
+            this.updateUI(this.activePack.lastReading);
+        } else {
+            this.updateHealth(null, null);
+        }
+    }
+
+    /**
+     * Build the tooltip of a cell card's rate of change
+     * @param {Object} stats - Cell statistics (see SessionStats.get())
+     * @returns {string} Tooltip text
+     */
+    getCellStatsTitle(stats) {
+        const rateWindow = this.activePack.sessionStats.settings.rateWindow;
+        return `Rate of change over the last ${rateWindow} s`
+            + (stats.relativeRate !== null ? ` (${this.formatRate(stats.relativeRate)} vs. mean cell)` : '')
+            + ` · Session ${this.parser.formatVoltage(stats.min)}-${this.parser.formatVoltage(stats.max)}V,`
+            + ` σ ${(stats.stdDev * 1000).toFixed(1)} mV`;
+    }
+
+    /**
+     * Apply the statistics settings input to every pack
+     */
+    applyStatsSettings() {
+        const rateWindow = parseFloat(this.elements.statsRateWindow.value);
+        const current = this.activePack.sessionStats.settings;
+        const settings = {
+            rateWindow: Number.isFinite(rateWindow) && rateWindow >= 5 ? rateWindow : current.rateWindow
+        };
+
+        for (const pack of this.packs) {
+            pack.sessionStats.configure(settings);
+        }
+        this.elements.statsRateWindow.value = settings.rateWindow;
+
+        if (this.activePack.lastReading) {
+            this.updateUI(this.activePack.lastReading);
+        }
+    }
+
+    /**
+     * Restart the session statistics of the shown pack
+     */
+    resetStats() {
+        this.activePack.sessionStats.reset();
+        if (this.activePack.lastReading) {
+            this.updateUI(this.activePack.lastReading);
+        } else {
+            this.updateStats(null);
+        }
+    }
+
+    /**
+     * Format a rate of change
+     * @param {number} rate - Rate in mV/min
+     * @returns {string} Signed rate with unit
+     */
+    formatRate(rate) {
+        return `${rate > 0 ? '+' : ''}${rate.toFixed(1)} mV/min`;
+    }
+
+    /**
+     * Format a deviation from the pack mean
+     * @param {number} deviation - Deviation in mV
+     * @returns {string} Signed deviation with unit
+     */
+    formatDeviation(deviation) {
+        const rounded = Math.round(deviation);
+        return `${rounded > 0 ? '+' : ''}${rounded} mV`;
+    }
+
+    /**
+     * Update modules display
+     * @param {Array} modules - Array of module objects
+     */
+    updateModules(modules) {
+        if (!modules || modules.length === 0) {
+            this.elements.modulesContainer.innerHTML = `
+                <div class="empty-state">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                        <rect x="3" y="3" width="7" height="7"></rect>
+                        <rect x="14" y="3" width="7" height="7"></rect>
+                        <rect x="3" y="14" width="7" height="7"></rect>
+                        <rect x="14" y="14" width="7" height="7"></rect>
+                    </svg>
+                    <p>No modules detected</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.modulesContainer.innerHTML = modules.map(module => `
+            <div class="module-card">
+                <div class="module-header">
+                    <h3 class="module-title">Module ${module.id} (0x${module.address})</h3>
+                </div>
+                <div class="module-pins">
+                    ${module.pins.map(pin => `
+                        <div class="pin-item">
+                            <span class="pin-label">${pin.pin} (${pin.cell})</span>
+                            <span class="pin-value">
+                                ${this.parser.formatVoltage(pin.voltage)}V
+                                <span class="pin-raw">RAW: ${pin.raw}</span>
+                                ${pin.calibrated ? `<span class="pin-calibrated" title="Firmware: ${this.parser.formatVoltage(pin.firmwareVoltage)}V">CAL</span>` : ''}
+                            </span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Open the ADC calibration dialog for the shown pack
+     * RAW values are averaged over the readings received while the dialog is open, starting with the latest one
+     */
+    openCalibration() {
+        this.calibrationSamples.clear();
+        this.calibrationWizard = null;
+        this.elements.calibrationStepForm.hidden = true;
+
+        const data = this.activePack.lastReading;
+        if (data) {
+            this.updateCalibration(data);
+        } else {
+            this.renderCalibrationTable();
+        }
+
+        this.elements.calibrationHint.textContent = this.getCalibrationPins().length > 0
+            ? `Calibrations are stored for ${this.activePack.name} per module address and pin, and apply to its frames only. `
+                + 'Start the wizard with the pack at rest, or calibrate a single tap from its row.'
+            : 'No module data yet. Calibration needs the RAW values of the text report; JSON and key=value frames carry none.';
+        this.openModal(this.elements.calibrationModal);
+    }
+
+    /**
+     * Get the pins of the shown pack's latest reading
+     * @returns {Array} Pins as { key, address, moduleId, pin, cell, cellNumber, raw, voltage, firmwareVoltage }, by tap
+     */
+    getCalibrationPins() {
+        const data = this.activePack.lastReading;
+        if (!data) {
+            return [];
+        }
+
+        return data.modules.flatMap(module => module.pins.map(pin => ({
+            key: `${module.address}/${pin.pin}`,
+            address: module.address,
+            moduleId: module.id,
+            pin: pin.pin,
+            cell: pin.cell,
+            cellNumber: pin.cellNumber,
+            raw: pin.raw,
+            voltage: pin.voltage,
+            firmwareVoltage: pin.calibrated ? pin.firmwareVoltage : pin.voltage
+        }))).sort((a, b) => a.cellNumber - b.cellNumber);
+    }
+
+    /**
+     * Collect the RAW values of a reading of the shown pack and refresh the calibration dialog
+     * @param {Object} data - Parsed battery data
+     */
+    updateCalibration(data) {
+        for (const module of data.modules) {
+            for (const pin of module.pins) {
+                if (pin.raw < 0) {
+                    continue;
+                }
+
+                const key = `${module.address}/${pin.pin}`;
+                const samples = this.calibrationSamples.get(key) || [];
+                samples.push(pin.raw);
+                if (samples.length > this.calibrationSampleCount) {
+                    samples.shift();
+                }
+                this.calibrationSamples.set(key, samples);
+            }
+        }
+
+        this.renderCalibrationTable();
+        if (this.calibrationWizard) {
+            this.renderCalibrationStepReading();
+        }
+    }
+
+    /**
+     * Get the mean RAW value of a pin over the collected readings
+     * @param {string} key - "address/pin"
+     * @returns {number|null} Mean RAW value, or null without readings
+     */
+    getCalibrationRaw(key) {
+        const samples = this.calibrationSamples.get(key);
+        if (!samples || samples.length === 0) {
+            return null;
+        }
+
+        return samples.reduce((sum, raw) => sum + raw, 0) / samples.length;
+    }
+
+    /**
+     * Render the pin table of the calibration dialog
+     * Calibrated pins of modules missing from the latest reading (e.g. of another pack) are listed as well
+     */
+    renderCalibrationTable() {
+        const rows = this.getCalibrationPins()
+            .map(pin => ({ ...pin, calibration: this.activePack.calibration.get(pin.address, pin.pin) }));
+
+        for (const [address, pins] of Object.entries(this.activePack.calibration.modules)) {
+            for (const [pin, calibration] of Object.entries(pins)) {
+                if (!rows.some(row => row.address.toUpperCase() === address && row.pin === pin)) {
+                    rows.push({ key: `${address}/${pin}`, address: address, moduleId: null, pin: pin, cell: null, raw: -1, calibration: calibration });
+                }
+            }
+        }
+
+        const step = this.calibrationWizard ? this.calibrationWizard.steps[this.calibrationWizard.index] : null;
+        this.elements.calibrationTable.innerHTML = rows.map(row => {
+            const connected = row.raw >= 0;
+            const raw = this.getCalibrationRaw(row.key) ?? (connected ? row.raw : null);
+            const calibration = row.calibration;
+            const key = this.escapeHTML(row.key);
+            return `
+                <tr${step && step.key === row.key ? ' class="row-selected"' : ''}>
+                    <td class="mono">${row.moduleId !== null ? `${row.moduleId} · ` : ''}0x${this.escapeHTML(row.address)}</td>
+                    <td>${this.escapeHTML(row.pin)}</td>
+                    <td>${row.cell || '--'}</td>
+                    <td class="mono">${raw !== null ? raw.toFixed(0) : '--'}</td>
+                    <td class="mono">${connected ? `${this.parser.formatVoltage(row.firmwareVoltage)}V` : '--'}</td>
+                    <td class="mono">${connected && calibration ? `${this.parser.formatVoltage(calibration.gain * row.raw + calibration.offset)}V` : '--'}</td>
+                    <td class="mono">${calibration ? (calibration.gain * 1e6).toFixed(2) : '--'}</td>
+                    <td class="mono">${calibration ? (calibration.offset * 1000).toFixed(1) : '--'}</td>
+                    <td>${calibration ? this.getCalibrationMethod(calibration) : 'None'}</td>
+                    <td>
+                        <div class="table-actions">
+                            ${connected ? `<button class="btn btn-sm" data-calibration-action="calibrate" data-calibration-key="${key}">Calibrate</button>` : ''}
+                            ${calibration ? `<button class="btn btn-sm btn-danger" data-calibration-action="remove" data-calibration-key="${key}">Clear</button>` : ''}
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Describe how a pin calibration was fitted
+     * @param {Object} calibration - Pin calibration (see AdcCalibration.get())
+     * @returns {string} Description
+     */
+    getCalibrationMethod(calibration) {
+        const count = calibration.points.length;
+        if (count === 0) {
+            return 'Imported';
+        }
+        return count === 1 ? '1 (gain only)' : `${count} (gain and offset)`;
+    }
+
+    /**
+     * Handle a button in the calibration pin table
+     * @param {string} action - 'calibrate' or 'remove'
+     * @param {string} key - "address/pin"
+     */
+    handleCalibrationAction(action, key) {
+        const [address, pin] = key.split('/');
+
+        if (action === 'calibrate') {
+            this.startCalibrationWizard(key);
+        } else if (action === 'remove') {
+            this.activePack.calibration.remove(address, pin);
+            this.renderCalibrationTable();
+        }
+    }
+
+    /**
+     * Start the calibration wizard, stepping through every connected tap from the bottom of the pack
+     * @param {string|null} key - "address/pin" to calibrate a single tap, or null for all
+     */
+    startCalibrationWizard(key = null) {
+        const steps = this.getCalibrationPins().filter(pin => pin.raw >= 0 && (key === null || pin.key === key));
+        if (steps.length === 0) {
+            this.showError('No connected pins to calibrate. Connect a reader that sends module data first.');
+            return;
+        }
+
+        this.calibrationWizard = { steps: steps, index: 0, captured: new Set() };
+        this.elements.calibrationStepForm.hidden = false;
+        this.showCalibrationStep(0);
+    }
+
+    /**
+     * Show a step of the calibration wizard, finishing after the last one
+     * @param {number} index - Step index
+     */
+    showCalibrationStep(index) {
+        const wizard = this.calibrationWizard;
+        if (index >= wizard.steps.length) {
+            this.finishCalibrationWizard();
+            return;
+        }
+
+        wizard.index = Math.max(0, index);
+        const step = wizard.steps[wizard.index];
+        this.elements.calibrationStepTitle.textContent = `Step ${wizard.index + 1} of ${wizard.steps.length}: tap ${step.cell}`;
+        this.elements.calibrationStepHint.textContent = `Measure from the pack negative to the ${step.cell} tap `
+            + `(module ${step.moduleId} at 0x${step.address}, pin ${step.pin}) with the reference meter and enter its reading.`;
+        this.elements.calibrationBackBtn.disabled = wizard.index === 0;
+        this.elements.calibrationReference.value = '';
+
+        this.renderCalibrationStepReading();
+        this.renderCalibrationTable();
+        this.elements.calibrationReference.focus();
+    }
+
+    /**
+     * Show the live reading of the pin of the current wizard step
+     */
+    renderCalibrationStepReading() {
+        const step = this.calibrationWizard.steps[this.calibrationWizard.index];
+        const raw = this.getCalibrationRaw(step.key);
+        const pin = this.getCalibrationPins().find(p => p.key === step.key);
+
+        this.elements.calibrationCaptureBtn.disabled = raw === null;
+        if (raw === null || !pin) {
+            this.elements.calibrationStepReading.textContent = 'Waiting for a reading of this pin...';
+            return;
+        }
+
+        const count = this.calibrationSamples.get(step.key).length;
+        const parts = [`RAW ${raw.toFixed(0)} (mean of ${count})`, `Firmware ${this.parser.formatVoltage(pin.firmwareVoltage)}V`];
+        const calibration = this.activePack.calibration.get(step.address, step.pin);
+        if (calibration) {
+            parts.push(`Calibrated ${this.parser.formatVoltage(calibration.gain * raw + calibration.offset)}V`);
+        }
+        this.elements.calibrationStepReading.textContent = parts.join(' · ');
+    }
+
+    /**
+     * Add the reference reading of the current wizard step and move on to the next tap
+     */
+    captureCalibrationPoint() {
+        const wizard = this.calibrationWizard;
+        const step = wizard.steps[wizard.index];
+
+        try {
+            const calibration = this.activePack.calibration.addPoint(step.address, step.pin,
+                this.getCalibrationRaw(step.key), parseFloat(this.elements.calibrationReference.value));
+            wizard.captured.add(step.key);
+            console.log(`Calibrated 0x${step.address} ${step.pin}:`, calibration);
+            this.showCalibrationStep(wizard.index + 1);
+        } catch (error) {
+            this.showError(`Cannot calibrate ${step.pin}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Close the calibration wizard
+     */
+    finishCalibrationWizard() {
+        const wizard = this.calibrationWizard;
+        this.calibrationWizard = null;
+        this.elements.calibrationStepForm.hidden = true;
+        this.elements.calibrationHint.textContent = `Captured ${wizard.captured.size} of ${wizard.steps.length} taps; `
+            + 'the calibration applies from the next frame. Run the wizard again at a clearly different pack voltage '
+            + '(e.g. after charging) to fit the offset as well as the gain.';
+        this.renderCalibrationTable();
+    }
+
+    /**
+     * Replace every calibration with an exported calibration file
+     * @param {File} file - JSON file
+     */
+    async importCalibration(file) {
+        try {
+            this.activePack.calibration.importJSON(await file.text());
+            this.renderCalibrationTable();
+            console.log('Imported ADC calibration:', this.activePack.calibration.modules);
+        } catch (error) {
+            this.showError(`Cannot import calibration: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove every calibration of the shown pack after confirmation
+     */
+    clearCalibration() {
+        if (!this.activePack.calibration.hasAny() || !confirm(`Remove the calibration of every pin of ${this.activePack.name}?`)) {
+            return;
+        }
+
+        this.activePack.calibration.clear();
+        this.renderCalibrationTable();
+    }
+
+    /**
+     * Build the chart point for a reading
+     * @param {Object} data - Parsed battery data
+     * @returns {Object} Object with cellsData, socData, totalVoltage, current, temperatures and reading timestamp
+     */
+    getChartPoint(data) {
+        return {
+            cellsData: this.getChartCellsData(data),
+            socData: this.getChartSocData(data),
+            totalVoltage: data.totalVoltage,
+            current: data.current ?? null,
+            temperatures: Object.fromEntries((data.temperatures || []).map(sensor => [sensor.name, sensor.temperature])),
+            timestamp: data.timestamp
+        };
+    }
+
+    /**
+     * Build the chart data point for a reading
+     * @param {Object} data - Parsed battery data
+     * @returns {Object} Object with cell names as keys and voltages as values
+     */
+    getChartCellsData(data) {
+        const cellsData = {};
+        for (const cell of data.cells) {
+            // Only add valid voltages (> 0.1V to filter out disconnected cells)
+            if (cell.individualVoltage > 0.1) {
+                cellsData[cell.name] = cell.individualVoltage;
+            }
+        }
+        return cellsData;
+    }
+
+    /**
+     * Build the state of charge chart data point for a reading
+     * @param {Object} data - Parsed battery data with SoC applied
+     * @returns {Object} Object with cell names as keys and SoC (%) as values
+     */
+    getChartSocData(data) {
+        const socData = {};
+        for (const cell of data.cells) {
+            if (cell.soc !== null && cell.soc !== undefined) {
+                socData[cell.name] = cell.soc;
+            }
+        }
+        return socData;
+    }
+
+    /**
+     * Clear chart data
+     */
+    clearChart() {
+        this.chartManager.clear();
+        this.activePack.clearHistory();
+        console.log('Chart cleared');
+    }
+
+    /**
+     * Reset the readings and chart of a pack to an empty state
+     * @param {PackMonitor} pack - Pack to reset
+     */
+    resetDashboard(pack) {
+        pack.reset();
+        this.renderOverview();
+
+        if (pack === this.activePack) {
+            this.chartManager.clear();
+            this.clearDashboard();
+        }
+    }
+
+    /**
+     * Show empty displays
+     */
+    clearDashboard() {
+        this.elements.totalVoltage.textContent = this.parser.formatVoltage(0);
+        this.elements.cellCount.textContent = '0S';
+        this.elements.packSoc.textContent = '--%';
+        this.updateChannels(null);
+        this.updateCutoff(null);
+        this.elements.unrecognizedBtn.hidden = true;
+        this.updateCellsGrid([]);
+        this.updateBalance(null);
+        this.updateStats(null);
+        this.updateHealth(null, null);
+        this.updateModules([]);
+        this.elements.lastUpdate.textContent = 'Never';
+        this.elements.readingCount.textContent = '0';
+    }
+
+    /**
+     * Open a raw serial capture for replay
+     * @param {File} file - Text file captured from the device
+     */
+    async openLog(file) {
+        // A reconnecting source would mix live frames into the replay once it is back
+        const reader = this.activePack.reader;
+        if (reader.getConnectionStatus() || reader.isReconnecting) {
+            this.showError('Disconnect from the data source before replaying a log.');
+            return;
+        }
+
+        try {
+            this.logText = await file.text();
+            this.logFile = file;
+            this.replayPack = this.activePack;
+            this.resetDashboard(this.replayPack);
+            this.logReplayer.load(this.logText, {
+                fileName: file.name,
+                endTime: new Date(file.lastModified),
+                frameInterval: this.getReplayInterval()
+            });
+
+            this.elements.replayFileName.textContent = this.packs.length > 1
+                ? `${file.name} · ${this.replayPack.name}` : file.name;
+            this.elements.replayCard.hidden = false;
+        } catch (error) {
+            console.error('Failed to open log:', error);
+            this.showError(`Failed to open log: ${error.message}`);
+        }
+    }
+
+    /**
+     * Reload the current log (e.g. after changing the frame interval)
+     */
+    reloadLog() {
+        if (!this.logFile) {
+            return;
+        }
+
+        this.resetDashboard(this.replayPack);
+        this.logReplayer.load(this.logText, {
+            fileName: this.logFile.name,
+            endTime: new Date(this.logFile.lastModified),
+            frameInterval: this.getReplayInterval()
+        });
+    }
+
+    /**
+     * Close the replayed log, keeping the data already shown
+     */
+    closeLog() {
+        this.logReplayer.unload();
+        this.logText = null;
+        this.logFile = null;
+        this.replayPack = null;
+        this.elements.replayCard.hidden = true;
+    }
+
+    /**
+     * Get the configured time between replayed frames
+     * @returns {number} Interval in milliseconds
+     */
+    getReplayInterval() {
+        const seconds = parseFloat(this.elements.replayInterval.value);
+        return seconds > 0 ? seconds * 1000 : 1000;
+    }
+
+    /**
+     * Toggle replay play/pause
+     */
+    toggleReplay() {
+        if (this.logReplayer.isPlaying) {
+            this.logReplayer.pause();
+        } else {
+            this.logReplayer.play();
+        }
+    }
+
+    /**
+     * Update replay controls from playback progress
+     * @param {Object} progress - Object with position, total and isPlaying
+     */
+    updateReplayProgress({ position, total, isPlaying }) {
+        this.elements.replayPlayBtn.textContent = isPlaying ? 'Pause' : 'Play';
+        this.elements.replayTimeline.max = total.toString();
+        this.elements.replayTimeline.value = position.toString();
+        this.elements.replayPosition.textContent = this.formatReplayPosition(position, total);
+    }
+
+    /**
+     * Format replay position for display
+     * @param {number} position - Frames played
+     * @param {number} total - Total frames
+     * @returns {string} Position text with elapsed capture time
+     */
+    formatReplayPosition(position, total) {
+        const elapsed = this.parser.formatDuration(position * this.logReplayer.frameInterval);
+        return `${position} / ${total} · ${elapsed}`;
+    }
+
+    /**
+     * Start or stop session recording
+     */
+    async toggleRecording() {
+        if (this.activeSession) {
+            await this.stopRecording();
+        } else {
+            await this.startRecording();
+        }
+    }
+
+    /**
+     * Start recording a new session to IndexedDB
+     */
+    async startRecording() {
+        if (!this.sessionStore.isSupported()) {
+            this.showError('IndexedDB not supported. Sessions cannot be recorded in this browser.');
+            return;
+        }
+
+        try {
+            this.elements.recordBtn.disabled = true;
+            const pack = this.activePack;
+            const packName = this.elements.recordPackName.value.trim() || (this.packs.length > 1 ? pack.name : '');
+            this.recordingPack = pack;
+            this.activeSession = await this.sessionStore.createSession({
+                name: packName ? `${packName} - ${new Date().toLocaleString('pt-BR')}` : '',
+                packName: packName,
+                notes: this.elements.recordNotes.value.trim()
+            });
+            console.log('Recording started:', this.activeSession);
+        } catch (error) {
+            console.error('Failed to start recording:', error);
+            this.recordingPack = null;
+            this.showError(`Failed to start recording: ${error.message}`);
+        } finally {
+            this.elements.recordBtn.disabled = false;
+            this.updateRecordingStatus();
+        }
+    }
+
+    /**
+     * Stop the active recording session
+     */
+    async stopRecording() {
+        const session = this.activeSession;
+        this.activeSession = null;
+        this.recordingPack = null;
+
+        try {
+            await this.sessionStore.stopSession(session.id);
+            console.log('Recording stopped:', session.id);
+        } catch (error) {
+            console.error('Failed to stop recording:', error);
+        } finally {
+            this.updateRecordingStatus();
+        }
+    }
+
+    /**
+     * Append a reading to the active session, if any
+     * @param {PackMonitor} pack - Pack the reading belongs to
+     * @param {Object} data - Parsed battery data
+     */
+    recordReading(pack, data) {
+        if (!this.activeSession || pack !== this.recordingPack) {
+            return;
+        }
+
+        const session = this.activeSession;
+        session.readingCount++;
+        session.lastReadingAt = data.timestamp;
+        this.updateRecordingStatus();
+
+        this.sessionStore.addReading(session.id, data).catch(error => {
+            console.error('Failed to record reading:', error);
+        });
+    }
+
+    /**
+     * Update recording controls and status text
+     */
+    updateRecordingStatus() {
+        const session = this.activeSession;
+        const recording = session !== null;
+
+        this.elements.recordPackName.disabled = recording;
+        this.elements.recordNotes.disabled = recording;
+        this.elements.recordingStatus.classList.toggle('recording', recording);
+        this.elements.recordBtn.classList.toggle('btn-danger', recording);
+        this.elements.recordBtn.innerHTML = recording ? `
+            <svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="6" y="6" width="12" height="12"></rect>
+            </svg>
+            Stop Recording
+        ` : `
+            <svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <circle cx="12" cy="12" r="6"></circle>
+            </svg>
+            Start Recording
+        `;
+
+        if (recording) {
+            const elapsed = (session.lastReadingAt || new Date()) - session.startedAt;
+            const packName = this.packs.length > 1 ? ` ${this.recordingPack.name}` : '';
+            this.elements.recordingStatus.textContent =
+                `Recording${packName} · ${session.readingCount} readings · ${this.parser.formatDuration(elapsed)}`;
+        } else {
+            this.elements.recordingStatus.textContent = 'Not recording';
+        }
+    }
+
+    /**
+     * React to alarm engine events
+     * @param {string} event - 'raised', 'cleared' or 'acknowledged'
+     * @param {Object} alarm - Alarm object
+     */
+    handleAlarm(event, alarm) {
+        const { sound, notifications } = this.alarmEngine.settings;
+
+        if (event === 'raised') {
+            console.warn('Alarm raised:', alarm.message);
+            if (sound) {
+                this.alarmNotifier.playAlarm();
+            }
+            if (notifications) {
+                this.alarmNotifier.notify('Battery alarm', alarm.message);
+            }
+        } else {
+            console.log(`Alarm ${event}:`, alarm.message);
+        }
+
+        // Keep beeping until every active alarm is acknowledged
+        if (this.alarmEngine.hasUnacknowledged() && sound) {
+            this.startAlarmSound();
+        } else {
+            this.stopAlarmSound();
+        }
+
+        this.renderAlarmBanner();
+        this.renderAlarmLog();
+    }
+
+    /**
+     * Show active alarms in the banner and header badge
+     */
+    renderAlarmBanner() {
+        const alarms = this.alarmEngine.getActiveAlarms();
+        const unacknowledged = this.alarmEngine.hasUnacknowledged();
+
+        this.elements.alarmBanner.hidden = alarms.length === 0;
+        this.elements.alarmBanner.classList.toggle('acknowledged', !unacknowledged);
+        this.elements.alarmAckBtn.hidden = !unacknowledged;
+        this.elements.alarmBadge.hidden = alarms.length === 0;
+        this.elements.alarmBadge.textContent = alarms.length.toString();
+
+        this.elements.alarmBannerList.innerHTML = alarms.map(alarm => `
+            <li class="${alarm.acknowledged ? 'acknowledged' : ''}">
+                ${this.escapeHTML(alarm.message)} · since ${this.parser.formatTimestamp(alarm.raisedAt)}
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Repeat the alarm sound every few seconds
+     */
+    startAlarmSound() {
+        if (!this.alarmSoundTimer) {
+            this.alarmSoundTimer = setInterval(() => this.alarmNotifier.playAlarm(), 5000);
+        }
+    }
+
+    /**
+     * Stop repeating the alarm sound
+     */
+    stopAlarmSound() {
+        if (this.alarmSoundTimer) {
+            clearInterval(this.alarmSoundTimer);
+            this.alarmSoundTimer = null;
+        }
+    }
+
+    /**
+     * Check for stale data while any pack is connected
+     */
+    updateStaleTimer() {
+        const watching = this.packs.some(pack => pack.isOnline());
+
+        if (watching && !this.staleTimer) {
+            this.staleTimer = setInterval(() => {
+                for (const pack of this.packs.filter(pack => pack.isOnline())) {
+                    this.alarmEngine.checkStale(Date.now(), this.getAlarmScope(pack));
+                }
+            }, 1000);
+        } else if (!watching && this.staleTimer) {
+            clearInterval(this.staleTimer);
+            this.staleTimer = null;
+        }
+    }
+
+    /**
+     * Get the alarm scope of a pack
+     * Pack names are only added to alarm messages while several packs are monitored
+     * @param {PackMonitor} pack - Pack
+     * @returns {Object} Scope object with id and name
+     */
+    getAlarmScope(pack) {
+        return { id: pack.id, name: this.packs.length > 1 ? pack.name : '' };
+    }
+
+    /**
+     * Open the alarm settings dialog
+     */
+    openAlarmSettings() {
+        const settings = this.alarmEngine.settings;
+        this.renderAlarmRules(settings.rules);
+        this.elements.alarmsForm.elements.sound.checked = settings.sound;
+        this.elements.alarmsForm.elements.notifications.checked = settings.notifications;
+        this.renderAlarmLog();
+        this.openModal(this.elements.alarmsModal);
+    }
+
+    /**
+     * Render the alarm rule rows
+     * @param {Object} rules - Rule settings by rule ID
+     */
+    renderAlarmRules(rules) {
+        this.elements.alarmRulesBody.innerHTML = Object.entries(ALARM_RULES).map(([id, definition]) => {
+            const rule = rules[id];
+            const step = definition.unit === 's' ? '1' : '0.001';
+            return `
+                <tr>
+                    <td><input type="checkbox" name="${id}.enabled" ${rule.enabled ? 'checked' : ''}></td>
+                    <td>${definition.label} (${definition.direction} threshold)</td>
+                    <td><input class="form-input" type="number" name="${id}.threshold" step="${step}" min="0" value="${rule.threshold}"> ${definition.unit}</td>
+                    <td><input class="form-input" type="number" name="${id}.hysteresis" step="${step}" min="0" value="${rule.hysteresis}"> ${definition.unit}</td>
+                    <td><input class="form-input" type="number" name="${id}.minDuration" step="1" min="0" value="${rule.minDuration}"></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Read rule settings from the alarm settings form
+     * @returns {Object} Rule settings by rule ID
+     */
+    readAlarmRules() {
+        const form = this.elements.alarmsForm;
+        const rules = {};
+
+        for (const [id, current] of Object.entries(this.alarmEngine.settings.rules)) {
+            const number = (field) => {
+                const value = parseFloat(form.elements[`${id}.${field}`].value);
+                return Number.isFinite(value) && value >= 0 ? value : current[field];
+            };
+
+            rules[id] = {
+                enabled: form.elements[`${id}.enabled`].checked,
+                threshold: number('threshold'),
+                hysteresis: number('hysteresis'),
+                minDuration: number('minDuration')
+            };
+        }
 
-        this.elements.exportCurrentCSV.addEventListener('click', () => {
-            this.exportCSV();
-            this.closeExportMenu();
-        });
+        return rules;
+    }
 
-        this.elements.exportHistoryJSON.addEventListener('click', () => {
-            this.exportHistoryJSON();
-            this.closeExportMenu();
-        });
+    /**
+     * Save the alarm settings form
+     */
+    saveAlarmSettings() {
+        const form = this.elements.alarmsForm;
 
-        this.elements.exportHistoryCSV.addEventListener('click', () => {
-            this.exportHistoryCSV();
-            this.closeExportMenu();
+        this.alarmEngine.configure({
+            rules: this.readAlarmRules(),
+            sound: form.elements.sound.checked,
+            notifications: form.elements.notifications.checked
         });
 
-        this.elements.exportChartImage.addEventListener('click', () => {
-            this.exportChartImage();
-            this.closeExportMenu();
-        });
+        if (!this.alarmEngine.settings.sound) {
+            this.stopAlarmSound();
+        }
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => {
-            // Ctrl/Cmd + K to connect
-            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
-                e.preventDefault();
-                this.toggleConnection();
-            }
-            // Ctrl/Cmd + L to clear chart
-            if ((e.ctrlKey || e.metaKey) && e.key === 'l') {
-                e.preventDefault();
-                this.clearChart();
-            }
-            // Escape to close dropdown
-            if (e.key === 'Escape') {
-                this.closeExportMenu();
-            }
-        });
+        this.renderAlarmBanner();
+        this.closeModal(this.elements.alarmsModal);
+        console.log('Alarm settings saved:', this.alarmEngine.settings);
     }
 
     /**
-     * Toggle export menu visibility
+     * Fill voltage thresholds from the active chemistry profile
+     * Pack limits use the cell count of the last reading
      */
-    toggleExportMenu() {
-        this.elements.exportMenu.classList.toggle('show');
+    applyChemistryAlarmLimits() {
+        const profile = this.chemistryProfiles.getActive();
+        const rules = this.readAlarmRules();
+
+        rules.cellUnder.threshold = profile.minVoltage;
+        rules.cellOver.threshold = profile.maxVoltage;
+
+        const lastReading = this.activePack.lastReading;
+        if (lastReading && lastReading.cellCount > 0) {
+            const cellCount = lastReading.cellCount;
+            rules.packUnder.threshold = parseFloat((profile.minVoltage * cellCount).toFixed(2));
+            rules.packOver.threshold = parseFloat((profile.maxVoltage * cellCount).toFixed(2));
+        }
+
+        this.renderAlarmRules(rules);
     }
 
     /**
-     * Close export menu
+     * Render the alarm event log
      */
-    closeExportMenu() {
-        this.elements.exportMenu.classList.remove('show');
+    renderAlarmLog() {
+        const log = this.alarmEngine.log;
+
+        if (log.length === 0) {
+            this.elements.alarmLog.innerHTML = '<li>No alarm events</li>';
+            return;
+        }
+
+        this.elements.alarmLog.innerHTML = log.map(entry => `
+            <li class="log-${entry.event}">
+                ${this.parser.formatTimestamp(entry.time)} · ${entry.event} · ${this.escapeHTML(entry.message)}
+            </li>
+        `).join('');
     }
 
     /**
-     * Toggle serial connection
+     * Open the MQTT publishing dialog
      */
-    async toggleConnection() {
-        if (this.serialReader.getConnectionStatus()) {
-            await this.disconnect();
-        } else {
-            await this.connect();
+    openMqttSettings() {
+        const form = this.elements.mqttForm;
+        const settings = this.mqttPublisher.settings;
+
+        for (const field of ['url', 'topicPrefix', 'clientId', 'username', 'password', 'qos']) {
+            form.elements[field].value = settings[field];
         }
+        form.elements.retain.checked = settings.retain;
+        form.elements.autoConnect.checked = settings.autoConnect;
+
+        this.renderMqttTopics();
+        this.openModal(this.elements.mqttModal);
     }
 
     /**
-     * Connect to serial port
+     * Save the MQTT publishing form
+     * @param {boolean} connect - Connect to the broker after saving
      */
-    async connect() {
+    saveMqttSettings(connect) {
+        const form = this.elements.mqttForm;
+
         try {
-            this.elements.connectBtn.disabled = true;
-            await this.serialReader.connect();
+            this.mqttPublisher.configure({
+                url: form.elements.url.value,
+                topicPrefix: form.elements.topicPrefix.value,
+                clientId: form.elements.clientId.value.trim(),
+                username: form.elements.username.value.trim(),
+                password: form.elements.password.value,
+                qos: parseInt(form.elements.qos.value),
+                retain: form.elements.retain.checked,
+                autoConnect: form.elements.autoConnect.checked
+            });
+            this.renderMqttTopics();
+
+            if (connect) {
+                this.mqttPublisher.connect();
+            }
         } catch (error) {
-            console.error('Failed to connect:', error);
-            this.showError(`Connection failed: ${error.message}`);
-        } finally {
-            this.elements.connectBtn.disabled = false;
+            console.error('Failed to save MQTT settings:', error);
+            this.showError(`Cannot save MQTT settings: ${error.message}`);
         }
     }
 
     /**
-     * Disconnect from serial port
+     * Show the topics readings are published to
      */
-    async disconnect() {
-        try {
-            this.elements.connectBtn.disabled = true;
-            await this.serialReader.disconnect();
-        } catch (error) {
-            console.error('Failed to disconnect:', error);
-        } finally {
-            this.elements.connectBtn.disabled = false;
-        }
+    renderMqttTopics() {
+        const base = `${this.mqttPublisher.settings.topicPrefix}/${this.getPackSlug(this.activePack)}`;
+        this.elements.mqttTopics.innerHTML = `
+            Topics for ${this.escapeHTML(this.activePack.name)}:
+            <code>${this.escapeHTML(base)}/reading</code> (JSON),
+            <code>total_voltage</code>, <code>soc</code>, <code>spread</code>,
+            <code>cells/&lt;n&gt;/voltage</code>, <code>cells/&lt;n&gt;/status</code>,
+            <code>modules/&lt;address&gt;/&lt;pin&gt;/raw</code> and <code>source_status</code>.
+            Availability (<code>online</code>/<code>offline</code>) is retained on
+            <code>${this.escapeHTML(this.mqttPublisher.getStatusTopic())}</code>.
+        `;
     }
 
     /**
-     * Update connection status UI
+     * Handle an MQTT connection status change
      * @param {string} status - Connection status
      * @param {string} message - Status message
      */
-    updateConnectionStatus(status, message) {
-        // Update indicator
-        this.elements.statusIndicator.className = 'status-indicator status-' + status;
-
-        // Update text
-        const statusTexts = {
-            'connecting': 'Connecting...',
-            'connected': 'Connected',
-            'disconnected': 'Disconnected',
-            'error': 'Error'
-        };
-        this.elements.statusText.textContent = statusTexts[status] || status;
+    handleMqttStatus(status, message) {
+        const queued = this.mqttPublisher.queue.length;
+        const text = `${this.getStatusText(status)}${message ? ` - ${message}` : ''}`;
 
-        // Update button
-        if (status === 'connected') {
-            this.elements.connectBtn.innerHTML = `
-                <svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <line x1="18" y1="6" x2="6" y2="18"></line>
-                    <line x1="6" y1="6" x2="18" y2="18"></line>
-                </svg>
-                Disconnect
-            `;
-        } else {
-            this.elements.connectBtn.innerHTML = `
-                <svg class="btn-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <line x1="12" y1="5" x2="12" y2="19"></line>
-                    <polyline points="19 12 12 19 5 12"></polyline>
-                </svg>
-                Connect
-            `;
-        }
+        this.elements.mqttIndicator.className = `status-indicator status-${status}`;
+        this.elements.mqttBtn.title = `MQTT: ${text}`;
+        this.elements.mqttStatus.textContent = queued > 0 ? `${text} (${queued} updates queued)` : text;
+        this.elements.mqttConnectBtn.textContent = status === 'disconnected' || status === 'error' ? 'Save & Connect' : 'Disconnect';
 
-        // Show message if error
         if (status === 'error' && message) {
-            this.showError(message);
+            this.showError(`MQTT: ${message}`);
         }
     }
 
     /**
-     * Handle incoming data from serial port
-     * @param {string} rawData - Raw data string
+     * Open the session browser dialog
      */
-    handleData(rawData) {
-        try {
-            // Parse data
-            const data = this.parser.parse(rawData);
-
-            // Validate
-            if (!this.parser.validate(data)) {
-                console.warn('Invalid data received');
-                return;
-            }
+    async openSessionBrowser() {
+        this.openModal(this.elements.sessionsModal);
+        await this.renderSessionList();
+    }
 
-            // Update state
-            this.lastReading = data;
-            this.readingCount++;
+    /**
+     * Render the list of recorded sessions
+     */
+    async renderSessionList() {
+        let sessions;
+        try {
+            sessions = await this.sessionStore.listSessions();
+        } catch (error) {
+            console.error('Failed to list sessions:', error);
+            this.elements.sessionsList.innerHTML = `
+                <div class="empty-state"><p>Sessions unavailable: ${this.escapeHTML(error.message)}</p></div>
+            `;
+            return;
+        }
 
-            // Update UI
-            this.updateUI(data);
+        if (sessions.length === 0) {
+            this.elements.sessionsList.innerHTML = `
+                <div class="empty-state">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                        <ellipse cx="12" cy="5" rx="9" ry="3"></ellipse>
+                        <path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"></path>
+                    </svg>
+                    <p>No recorded sessions yet</p>
+                </div>
+            `;
+            return;
+        }
 
-            // Update chart
-            this.updateChart(data);
+        this.elements.sessionsList.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Session</th>
+                        <th>Started</th>
+                        <th>Duration</th>
+                        <th>Readings</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sessions.map(session => {
+                        const end = session.stoppedAt || session.lastReadingAt || session.startedAt;
+                        const isActive = this.activeSession && this.activeSession.id === session.id;
+                        return `
+                            <tr>
+                                <td>
+                                    ${this.escapeHTML(session.name)}
+                                    <span class="table-secondary">${this.escapeHTML([session.packName, session.notes].filter(Boolean).join(' · '))}</span>
+                                </td>
+                                <td class="mono">${session.startedAt.toLocaleString('pt-BR')}</td>
+                                <td class="mono">${this.parser.formatDuration(end - session.startedAt)}${isActive ? ' (recording)' : ''}</td>
+                                <td class="mono">${session.readingCount}</td>
+                                <td>
+                                    <div class="table-actions">
+                                        <button class="btn btn-sm" data-session-action="open" data-session-id="${session.id}">Open</button>
+                                        <button class="btn btn-sm" data-session-action="rename" data-session-id="${session.id}">Rename</button>
+                                        <button class="btn btn-sm" data-session-action="exportJSON" data-session-id="${session.id}">JSON</button>
+                                        <button class="btn btn-sm" data-session-action="exportCSV" data-session-id="${session.id}">CSV</button>
+                                        <button class="btn btn-sm" data-session-action="exportHealth" data-session-id="${session.id}" title="Energy and internal resistance as CSV">Health</button>
+                                        <button class="btn btn-sm btn-danger" data-session-action="delete" data-session-id="${session.id}" ${isActive ? 'disabled' : ''}>Delete</button>
+                                    </div>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
 
-            console.log('Reading processed:', data);
+    /**
+     * Handle a session browser action
+     * @param {string} action - Action name
+     * @param {number} id - Session ID
+     */
+    async handleSessionAction(action, id) {
+        try {
+            switch (action) {
+                case 'open':
+                    await this.openSession(id);
+                    this.closeModal(this.elements.sessionsModal);
+                    return;
+                case 'rename':
+                    await this.renameSession(id);
+                    break;
+                case 'exportJSON':
+                    await this.exportSessionJSON(id);
+                    break;
+                case 'exportCSV':
+                    await this.exportSessionCSV(id);
+                    break;
+                case 'exportHealth':
+                    await this.exportSessionHealthCSV(id);
+                    break;
+                case 'delete':
+                    await this.deleteSession(id);
+                    break;
+            }
+            await this.renderSessionList();
         } catch (error) {
-            console.error('Error handling data:', error);
+            console.error(`Session action "${action}" failed:`, error);
+            this.showError(`Session action failed: ${error.message}`);
         }
     }
 
     /**
-     * Update UI with new data
-     * @param {Object} data - Parsed battery data
+     * Load a recorded session into the dashboard
+     * @param {number} id - Session ID
      */
-    updateUI(data) {
-        // Update total voltage
-        this.elements.totalVoltage.textContent = this.parser.formatVoltage(data.totalVoltage);
-        this.elements.cellCount.textContent = `${data.cellCount}S`;
+    async openSession(id) {
+        // Live or replayed frames would be appended to the restored history and analyzers
+        const reader = this.activePack.reader;
+        if (reader.getConnectionStatus() || reader.isReconnecting) {
+            this.showError('Disconnect from the data source before opening a session.');
+            return;
+        }
+        if (this.activePack === this.replayPack) {
+            this.showError('Close the replayed log before opening a session.');
+            return;
+        }
 
-        // Update cells grid
-        this.updateCellsGrid(data.cells);
+        const { session, readings } = await this.sessionStore.exportSession(id);
 
-        // Update modules
-        this.updateModules(data.modules);
+        if (readings.length === 0) {
+            this.showError('This session has no readings.');
+            return;
+        }
 
-        // Update footer
-        this.elements.lastUpdate.textContent = this.parser.formatTimestamp(data.timestamp);
-        this.elements.readingCount.textContent = this.readingCount.toString();
+        const pack = this.activePack;
+        pack.reset();
+        const points = readings.map(reading => {
+            // Statuses follow the active chemistry profile, as for live frames
+            this.parser.updateStatuses(reading);
+            this.socEstimator.apply(reading, this.parser.profile);
+            pack.imbalanceAnalyzer.addSample(reading);
+            pack.sessionStats.addSample(reading);
+            pack.cutoffPredictor.addSample(reading);
+            pack.energyMeter.addSample(reading);
+            pack.resistanceEstimator.addSample(reading);
+            return this.getChartPoint(reading);
+        });
+        pack.loadHistory(points);
+        this.chartManager.loadHistory(points);
+
+        pack.lastReading = readings[readings.length - 1];
+        pack.readingCount = readings.length;
+        this.updateUI(pack.lastReading);
+        this.renderOverview();
+
+        // Alarms of the data shown before no longer apply; check the restored reading instead. It is evaluated
+        // as of now so stale data tracking is not fooled by its recording time.
+        const scope = this.getAlarmScope(pack);
+        this.alarmEngine.clearScope(scope);
+        this.alarmEngine.evaluate(pack.lastReading, this.parser.getSummary(pack.lastReading), Date.now(), scope);
+        console.log(`Opened session "${session.name}" with ${readings.length} readings`);
     }
 
     /**
-     * Update cells grid display
-     * @param {Array} cells - Array of cell objects
+     * Rename a recorded session
+     * @param {number} id - Session ID
      */
-    updateCellsGrid(cells) {
-        // Filter out invalid cells (voltage <= 0.1V)
-        const validCells = cells.filter(cell => cell.individualVoltage > 0.1);
+    async renameSession(id) {
+        const session = await this.sessionStore.getSession(id);
+        const name = prompt('Session name:', session.name);
 
-        if (!validCells || validCells.length === 0) {
-            this.elements.cellsGrid.innerHTML = `
-                <div class="empty-state">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                        <circle cx="12" cy="12" r="10"></circle>
-                        <line x1="12" y1="8" x2="12" y2="12"></line>
-                        <line x1="12" y1="16" x2="12.01" y2="16"></line>
-                    </svg>
-                    <p>No cells detected</p>
-                </div>
-            `;
+        if (name === null || !name.trim()) {
             return;
         }
 
-        this.elements.cellsGrid.innerHTML = validCells.map(cell => `
-            <div class="cell-card">
-                <span class="cell-label">${cell.name}</span>
-                <div class="cell-voltage">
-                    <span class="cell-voltage-value">${this.parser.formatVoltage(cell.individualVoltage)}</span>
-                    <span class="cell-voltage-unit">V</span>
-                </div>
-                <span class="cell-status cell-status-${cell.status}">${cell.status}</span>
-            </div>
-        `).join('');
+        await this.sessionStore.updateSession(id, { name: name.trim() });
+        if (this.activeSession && this.activeSession.id === id) {
+            this.activeSession.name = name.trim();
+        }
     }
 
     /**
-     * Update modules display
-     * @param {Array} modules - Array of module objects
+     * Delete a recorded session after confirmation
+     * @param {number} id - Session ID
      */
-    updateModules(modules) {
-        if (!modules || modules.length === 0) {
-            this.elements.modulesContainer.innerHTML = `
-                <div class="empty-state">
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                        <rect x="3" y="3" width="7" height="7"></rect>
-                        <rect x="14" y="3" width="7" height="7"></rect>
-                        <rect x="3" y="14" width="7" height="7"></rect>
-                        <rect x="14" y="14" width="7" height="7"></rect>
-                    </svg>
-                    <p>No modules detected</p>
-                </div>
-            `;
+    async deleteSession(id) {
+        const session = await this.sessionStore.getSession(id);
+        if (!confirm(`Delete session "${session.name}" and all ${session.readingCount} readings?`)) {
             return;
         }
 
-        this.elements.modulesContainer.innerHTML = modules.map(module => `
-            <div class="module-card">
-                <div class="module-header">
-                    <h3 class="module-title">Module ${module.id} (0x${module.address})</h3>
-                </div>
-                <div class="module-pins">
-                    ${module.pins.map(pin => `
-                        <div class="pin-item">
-                            <span class="pin-label">${pin.pin} (${pin.cell})</span>
-                            <span class="pin-value">
-                                ${this.parser.formatVoltage(pin.voltage)}V
-                                <span class="pin-raw">RAW: ${pin.raw}</span>
-                            </span>
-                        </div>
-                    `).join('')}
-                </div>
-            </div>
-        `).join('');
+        await this.sessionStore.deleteSession(id);
+        console.log('Deleted session', id);
     }
 
     /**
-     * Update chart with new data
-     * @param {Object} data - Parsed battery data
+     * Export a full recorded session as JSON
+     * @param {number} id - Session ID
      */
-    updateChart(data) {
-        const timestamp = this.parser.formatTimestamp(data.timestamp);
+    async exportSessionJSON(id) {
+        const sessionData = await this.sessionStore.exportSession(id);
+        const json = JSON.stringify({ ...sessionData, health: this.getSessionHealth(sessionData.readings) }, null, 2);
+        const timestamp = sessionData.session.startedAt.toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        this.downloadFile(`battery-session-${timestamp}.json`, json, 'application/json');
+        console.log('Exported session as JSON');
+    }
 
-        // Prepare data for chart - use individual cell voltages
-        const cellsData = {};
-        for (const cell of data.cells) {
-            // Only add valid voltages (> 0.1V to filter out disconnected cells)
-            if (cell.individualVoltage > 0.1) {
-                cellsData[cell.name] = cell.individualVoltage;
-            }
+    /**
+     * Export a full recorded session as CSV
+     * @param {number} id - Session ID
+     */
+    async exportSessionCSV(id) {
+        const { session, readings } = await this.sessionStore.exportSession(id);
+        const csv = this.parser.exportReadingsCSV(readings);
+        const timestamp = session.startedAt.toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        this.downloadFile(`battery-session-${timestamp}.csv`, csv, 'text/csv');
+        console.log('Exported session as CSV');
+    }
+
+    /**
+     * Export the energy totals and internal resistance estimates of a recorded session as CSV
+     * @param {number} id - Session ID
+     */
+    async exportSessionHealthCSV(id) {
+        const { session, readings } = await this.sessionStore.exportSession(id);
+        const { energy, resistance } = this.getSessionHealth(readings);
+        if (!energy) {
+            this.showError('This session has no current readings.');
+            return;
+        }
+
+        const value = (number, decimals) => (number !== null ? number.toFixed(decimals) : '');
+        const rows = [
+            ['Metric', 'Value'],
+            ['Discharged (Ah)', value(energy.discharged.ah, 4)],
+            ['Discharged (Wh)', value(energy.discharged.wh, 3)],
+            ['Charged (Ah)', value(energy.charged.ah, 4)],
+            ['Charged (Wh)', value(energy.charged.wh, 3)],
+            ['Peak current (A)', value(energy.peakCurrent, 3)],
+            ['Measured capacity (mAh)', value(energy.measuredCapacity, 0)],
+            ['Remaining (mAh)', value(energy.remaining, 0)],
+            ['Load steps', resistance.stepCount],
+            [],
+            ['Cell', 'Internal Resistance (mOhm)', 'vs. Median', 'Min (mOhm)', 'Max (mOhm)', 'Steps']
+        ];
+
+        for (const row of resistance.pack ? [...resistance.cells, resistance.pack] : resistance.cells) {
+            rows.push([row.name, value(row.resistance, 2), value(row.ratio ?? null, 3), value(row.min, 2), value(row.max, 2), row.count]);
         }
 
-        // Update chart
-        this.chartManager.updateCells(cellsData, timestamp);
+        const csv = rows.map(row => row.join(',')).join('\n');
+        const timestamp = session.startedAt.toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        this.downloadFile(`battery-session-${timestamp}-health.csv`, csv, 'text/csv');
+        console.log('Exported session health as CSV');
     }
 
     /**
-     * Clear chart data
+     * Replay recorded readings through a fresh energy meter and resistance estimator
+     * @param {Array} readings - Parsed data objects of a session
+     * @returns {Object} Object with energy (see EnergyMeter.get(), null without current) and resistance
+     *                   (see ResistanceEstimator.getAll())
      */
-    clearChart() {
-        this.chartManager.clear();
-        console.log('Chart cleared');
+    getSessionHealth(readings) {
+        const energyMeter = new EnergyMeter();
+        const resistanceEstimator = new ResistanceEstimator();
+
+        for (const reading of readings) {
+            this.socEstimator.apply(reading, this.parser.profile);
+            energyMeter.addSample(reading);
+            resistanceEstimator.addSample(reading);
+        }
+
+        return {
+            energy: energyMeter.get(this.activePack.imbalanceAnalyzer.settings.capacity),
+            resistance: resistanceEstimator.getAll()
+        };
+    }
+
+    /**
+     * Escape text for safe insertion into HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
     /**
@@ -400,14 +3784,13 @@ class BatteryMonitor {
      * Export current reading as JSON
      */
     exportJSON() {
-        if (!this.lastReading) {
+        if (!this.activePack.lastReading) {
             this.showError('No data to export. Please connect and receive at least one reading.');
             return;
         }
 
-        const json = this.parser.exportJSON(this.lastReading);
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        this.downloadFile(`battery-reading-${timestamp}.json`, json, 'application/json');
+        const json = this.parser.exportJSON(this.activePack.lastReading);
+        this.downloadFile(this.getExportFileName('reading', 'json'), json, 'application/json');
         console.log('Exported current reading as JSON');
     }
 
@@ -415,14 +3798,13 @@ class BatteryMonitor {
      * Export current reading as CSV
      */
     exportCSV() {
-        if (!this.lastReading) {
+        if (!this.activePack.lastReading) {
             this.showError('No data to export. Please connect and receive at least one reading.');
             return;
         }
 
-        const csv = this.parser.exportCSV(this.lastReading);
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        this.downloadFile(`battery-reading-${timestamp}.csv`, csv, 'text/csv');
+        const csv = this.parser.exportCSV(this.activePack.lastReading);
+        this.downloadFile(this.getExportFileName('reading', 'csv'), csv, 'text/csv');
         console.log('Exported current reading as CSV');
     }
 
@@ -438,8 +3820,7 @@ class BatteryMonitor {
         }
 
         const json = JSON.stringify(historyData, null, 2);
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        this.downloadFile(`battery-history-${timestamp}.json`, json, 'application/json');
+        this.downloadFile(this.getExportFileName('history', 'json'), json, 'application/json');
         console.log('Exported chart history as JSON');
     }
 
@@ -467,8 +3848,7 @@ class BatteryMonitor {
         }
 
         const csv = rows.map(row => row.join(',')).join('\n');
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-        this.downloadFile(`battery-history-${timestamp}.csv`, csv, 'text/csv');
+        this.downloadFile(this.getExportFileName('history', 'csv'), csv, 'text/csv');
         console.log('Exported chart history as CSV');
     }
 
@@ -485,10 +3865,9 @@ class BatteryMonitor {
             }
 
             // Convert base64 to blob and download
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
             const link = document.createElement('a');
             link.href = imageData;
-            link.download = `battery-chart-${timestamp}.png`;
+            link.download = this.getExportFileName('chart', 'png');
             link.click();
             console.log('Exported chart as image');
         } catch (error) {
@@ -497,6 +3876,27 @@ class BatteryMonitor {
         }
     }
 
+    /**
+     * Build an export file name, naming the pack while several packs are monitored
+     * @param {string} kind - What is exported, e.g. 'reading' or 'history'
+     * @param {string} extension - File extension
+     * @returns {string} File name with a timestamp
+     */
+    getExportFileName(kind, extension) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        const pack = this.packs.length > 1 ? `-${this.getPackSlug(this.activePack)}` : '';
+        return `battery-${kind}${pack}-${timestamp}.${extension}`;
+    }
+
+    /**
+     * Get a file name and topic safe form of a pack name
+     * @param {PackMonitor} pack - Pack
+     * @returns {string} Lowercase name with dashes, or the pack ID if nothing is left
+     */
+    getPackSlug(pack) {
+        return pack.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || pack.id;
+    }
+
     /**
      * Download file helper
      * @param {string} filename - File name
@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+/**
+ * battery-logger - Headless command-line logger
+ * Reads the reader's output from a serial device, a file or stdin, shows a live cell table and writes
+ * CSV/NDJSON logs with rotation. Frames go through the same FrameSplitter, BatteryParser and SocEstimator
+ * as the dashboard, so both parse identically.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { parseArgs } from 'node:util';
+import { FrameSplitter } from './frame-splitter.js';
+import { BatteryParser } from './battery-parser.js';
+import { SocEstimator } from './soc-estimator.js';
+import { BUILT_IN_PROFILES, DEFAULT_PROFILE_ID, getBuiltInProfile } from './chemistry-profiles.js';
+import { BUILT_IN_LABEL_SETS, LABEL_FIELDS } from './label-sets.js';
+import { AdcCalibration } from './adc-calibration.js';
+
+const USAGE = `Usage: battery-logger [options] [source]
+
+Reads battery reader output and logs every reading.
+source is a serial device (e.g. /dev/ttyUSB0), a capture file, or - / nothing for stdin.
+
+Options:
+  -b, --baud <rate>          Baud rate of a serial device (default 115200, set with stty)
+  -c, --chemistry <id>       Chemistry profile for cell status and SoC (default ${DEFAULT_PROFILE_ID})
+                             ${BUILT_IN_PROFILES.map(profile => profile.id).join(', ')}
+  -l, --labels <file>        JSON file with extra firmware label sets (object or array with
+                             ${LABEL_FIELDS.join(', ')})
+      --calibration <file>   ADC calibration exported from the dashboard (JSON)
+      --csv <file>           Append one row per reading (same columns as the dashboard history CSV)
+      --ndjson <file>        Append one JSON reading per line
+      --max-size <size>      Rotate logs larger than this, e.g. 500K, 10M, 1G
+      --rotate <period>      Rotate logs every hour or day: hourly, daily
+  -q, --quiet                Do not show the live table
+  -h, --help                 Show this help
+`;
+
+/**
+ * Parse a size such as "10M" into bytes
+ * @param {string} text - Size with optional K, M or G suffix
+ * @returns {number} Bytes
+ */
+function parseSize(text) {
+    const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(text.trim());
+    if (!match) {
+        throw new Error(`Invalid size: ${text}`);
+    }
+
+    const units = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+    return Math.round(parseFloat(match[1]) * units[match[2].toLowerCase()]);
+}
+
+/**
+ * Log file that is renamed and restarted when it grows too large or a new period begins
+ * Rotated files are named after the time they were started, e.g. pack-2026-01-31T22-00-00.csv
+ */
+class RotatingLog {
+    /**
+     * @param {string} filePath - Path of the active log file
+     * @param {Object} options - Rotation options
+     * @param {number} options.maxSize - Size in bytes that triggers rotation (0 for none)
+     * @param {string} options.period - 'hourly', 'daily' or '' for none
+     */
+    constructor(filePath, { maxSize = 0, period = '' } = {}) {
+        this.filePath = filePath;
+        this.maxSize = maxSize;
+        this.period = period;
+        this.header = null; // First line of every file (CSV only)
+        this.size = 0;
+        this.startedAt = new Date();
+
+        // Continue a file from an earlier run
+        if (fs.existsSync(filePath)) {
+            const stat = fs.statSync(filePath);
+            this.size = stat.size;
+            this.startedAt = stat.birthtime.getTime() > 0 ? stat.birthtime : stat.mtime;
+            this.header = this.readFirstLine();
+        }
+    }
+
+    /**
+     * Read the first line of the active file
+     * @private
+     * @returns {string} First line
+     */
+    readFirstLine() {
+        const buffer = Buffer.alloc(4096);
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+            return buffer.toString('utf8', 0, bytes).split('\n')[0];
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Get the start of the rotation period a time falls in
+     * @param {Date} time - Time
+     * @returns {number} Period start in ms, or 0 without periodic rotation
+     */
+    getPeriodStart(time) {
+        if (!this.period) {
+            return 0;
+        }
+
+        const start = new Date(time);
+        start.setMinutes(0, 0, 0);
+        if (this.period === 'daily') {
+            start.setHours(0);
+        }
+        return start.getTime();
+    }
+
+    /**
+     * Move the active file aside and start a new one
+     * @private
+     */
+    rotate() {
+        const { dir, name, ext } = path.parse(this.filePath);
+        const stamp = this.startedAt.toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        let target = path.join(dir, `${name}-${stamp}${ext}`);
+        for (let n = 1; fs.existsSync(target); n++) {
+            target = path.join(dir, `${name}-${stamp}-${n}${ext}`);
+        }
+
+        fs.renameSync(this.filePath, target);
+        this.size = 0;
+        this.startedAt = new Date();
+    }
+
+    /**
+     * Append lines, rotating first if needed
+     * @param {Array<string>} lines - Lines without line endings
+     * @param {Date} time - Time of the data
+     * @param {string|null} header - Header the file must start with; a different header starts a new file
+     */
+    write(lines, time, header = null) {
+        const text = lines.join('\n') + '\n';
+        const exists = this.size > 0;
+
+        if (exists) {
+            const tooLarge = this.maxSize > 0 && this.size + Buffer.byteLength(text) > this.maxSize;
+            const newPeriod = this.getPeriodStart(time) !== this.getPeriodStart(this.startedAt);
+            const newHeader = header !== null && this.header !== null && header !== this.header;
+            if (tooLarge || newPeriod || newHeader) {
+                this.rotate();
+            }
+        }
+
+        // Files written by an earlier run keep their header; a new file gets one
+        const output = header !== null && this.size === 0 ? `${header}\n${text}` : text;
+        if (this.size === 0) {
+            this.startedAt = time;
+        }
+        fs.appendFileSync(this.filePath, output);
+        this.size += Buffer.byteLength(output);
+        this.header = header;
+    }
+}
+
+/**
+ * Set up a serial device with stty so it can be read as a file
+ * @param {string} device - Device path
+ * @param {number} baud - Baud rate
+ */
+function configureSerialDevice(device, baud) {
+    const flag = process.platform === 'darwin' ? '-f' : '-F';
+    execFileSync('stty', [flag, device, String(baud), 'raw', '-echo', 'cs8', '-cstopb', '-parenb'], { stdio: 'inherit' });
+}
+
+/**
+ * Open the input stream
+ * @param {string} source - Device, file path, or '-' for stdin
+ * @param {number} baud - Baud rate for serial devices
+ * @returns {ReadableStream} Node readable stream
+ */
+function openSource(source, baud) {
+    if (source === '-') {
+        return process.stdin;
+    }
+
+    if (fs.statSync(source).isCharacterDevice()) {
+        configureSerialDevice(source, baud);
+    }
+    return fs.createReadStream(source);
+}
+
+/**
+ * Load extra label sets from a JSON file
+ * @param {string} file - JSON file path
+ * @returns {Array<Object>} Label sets
+ */
+function loadLabelSets(file) {
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const sets = Array.isArray(stored) ? stored : [stored];
+
+    return sets.map((labels, index) => {
+        const missing = LABEL_FIELDS.filter(field => !labels[field]);
+        if (missing.length > 0) {
+            throw new Error(`Label set ${index + 1} in ${file} is missing: ${missing.join(', ')}`);
+        }
+        return { id: `file-${index + 1}`, name: file, ...labels };
+    });
+}
+
+/**
+ * Get the reading columns of a CSV log from its header
+ * @param {string} header - Header line written by BatteryParser.exportReadingsCSV()
+ * @returns {Object} Object with cellNames, hasCurrent and sensorNames
+ */
+function readCsvColumns(header) {
+    const names = header.split(',').slice(2);
+    return {
+        cellNames: names.filter(name => /^\d+S$/.test(name)),
+        hasCurrent: names.includes('Current (A)'),
+        sensorNames: names.map(name => name.match(/^(.+) Temperature \(C\)$/)).filter(Boolean).map(match => match[1])
+    };
+}
+
+/**
+ * Render the live cell table
+ * @param {BatteryParser} parser - Parser for formatting and the summary
+ * @param {Object} data - Latest reading
+ * @param {Object} stats - Reading and unrecognized frame counts
+ * @returns {string} Table text
+ */
+function renderTable(parser, data, stats) {
+    const summary = parser.getSummary(data);
+    const lines = [
+        `Battery Logger - ${parser.formatTimestamp(data.timestamp)} - ${data.format} frame`,
+        '',
+        `Total ${parser.formatVoltage(data.totalVoltage)}V  ${data.cellCount}S  SoC ${parser.formatPercent(data.soc)}%  ` +
+            `Spread ${(summary.voltageSpread * 1000).toFixed(0)} mV`
+    ];
+
+    const channels = data.temperatures
+        .filter(sensor => sensor.cellNumber === null)
+        .map(sensor => `${sensor.name} ${parser.formatTemperature(sensor.temperature)}C (${sensor.status})`);
+    if (data.current !== null) {
+        channels.unshift(`Current ${parser.formatCurrent(data.current)}A`);
+    }
+    if (channels.length > 0) {
+        lines.push(channels.join('  '));
+    }
+
+    const hasTemperatures = data.cells.some(cell => cell.temperature !== null);
+    lines.push('', `Cell   Voltage    SoC   Status${hasTemperatures ? '   Temp' : ''}`);
+
+    for (const cell of data.cells) {
+        lines.push([
+            cell.name.padEnd(6),
+            `${parser.formatVoltage(cell.individualVoltage)}V`.padStart(8),
+            `${parser.formatPercent(cell.soc)}%`.padStart(6),
+            `  ${cell.status.padEnd(7)}`,
+            hasTemperatures ? `${parser.formatTemperature(cell.temperature)}C`.padStart(6) : ''
+        ].join(' ').trimEnd());
+    }
+
+    lines.push('', `Readings: ${stats.readings}  Unrecognized frames: ${stats.unrecognized}`);
+    return lines.join('\n');
+}
+
+function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            baud: { type: 'string', short: 'b', default: '115200' },
+            chemistry: { type: 'string', short: 'c', default: DEFAULT_PROFILE_ID },
+            labels: { type: 'string', short: 'l' },
+            calibration: { type: 'string' },
+            csv: { type: 'string' },
+            ndjson: { type: 'string' },
+            'max-size': { type: 'string' },
+            rotate: { type: 'string' },
+            quiet: { type: 'boolean', short: 'q', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const profile = getBuiltInProfile(values.chemistry);
+    if (!profile) {
+        throw new Error(`Unknown chemistry: ${values.chemistry}`);
+    }
+    const baud = parseInt(values.baud);
+    if (!Number.isInteger(baud) || baud <= 0) {
+        throw new Error(`Invalid baud rate: ${values.baud}`);
+    }
+    if (values.rotate && !['hourly', 'daily'].includes(values.rotate)) {
+        throw new Error(`Invalid rotation period: ${values.rotate}`);
+    }
+
+    const labelSets = values.labels ? [...BUILT_IN_LABEL_SETS, ...loadLabelSets(values.labels)] : BUILT_IN_LABEL_SETS;
+    const parser = new BatteryParser(profile, labelSets);
+    if (values.calibration) {
+        const calibration = new AdcCalibration();
+        calibration.importJSON(fs.readFileSync(values.calibration, 'utf8'));
+        parser.setCalibration(calibration);
+    }
+    const socEstimator = new SocEstimator();
+    const splitter = new FrameSplitter();
+    splitter.setLineFrameMatcher((line) => parser.isLineFrame(line));
+
+    const rotation = {
+        maxSize: values['max-size'] ? parseSize(values['max-size']) : 0,
+        period: values.rotate || ''
+    };
+    const csvLog = values.csv ? new RotatingLog(values.csv, rotation) : null;
+    // Columns of the CSV log so far; current and temperatures a reading lacks are left empty, so only a different
+    // set of cells or a newly seen sensor changes the header and starts a new file
+    let csvColumns = csvLog && csvLog.header ? readCsvColumns(csvLog.header) : null;
+    const ndjsonLog = values.ndjson ? new RotatingLog(values.ndjson, rotation) : null;
+
+    // The live table redraws in place on a terminal; piped output gets one line per reading
+    const live = !values.quiet && process.stdout.isTTY;
+    const stats = { readings: 0, unrecognized: 0 };
+
+    const handleFrame = (frame) => {
+        const data = parser.parse(frame, new Date());
+        if (!data.format) {
+            stats.unrecognized++;
+            const reason = data.error ? ` (${data.error})` : '';
+            console.warn(`Unrecognized frame${reason}: ${frame.split('\n')[0].slice(0, 80)}`);
+            return;
+        }
+        if (!parser.validate(data)) {
+            return;
+        }
+
+        socEstimator.apply(data, parser.profile);
+        stats.readings++;
+
+        if (csvLog) {
+            const cellNames = data.cells.map(cell => cell.name);
+            if (csvColumns && (cellNames.length !== csvColumns.cellNames.length
+                || cellNames.some(name => !csvColumns.cellNames.includes(name)))) {
+                csvColumns = null;
+            }
+            csvColumns = parser.getReadingsColumns([data], csvColumns);
+            const [header, row] = parser.exportReadingsCSV([data], csvColumns).split('\n');
+            csvLog.write([row], data.timestamp, header);
+        }
+        if (ndjsonLog) {
+            ndjsonLog.write([JSON.stringify(data)], data.timestamp);
+        }
+
+        if (live) {
+            process.stdout.write('\x1b[2J\x1b[H' + renderTable(parser, data, stats) + '\n');
+        } else if (!values.quiet) {
+            console.log(`${data.timestamp.toISOString()} ${data.cellCount}S ${parser.formatVoltage(data.totalVoltage)}V ` +
+                data.cells.map(cell => parser.formatVoltage(cell.individualVoltage)).join(' '));
+        }
+    };
+
+    const source = positionals[0] || '-';
+    const input = openSource(source, baud);
+    input.setEncoding('utf8');
+    input.on('data', (chunk) => {
+        for (const frame of splitter.push(chunk)) {
+            // One bad frame must not end an unattended run
+            try {
+                handleFrame(frame);
+            } catch (error) {
+                stats.unrecognized++;
+                console.warn(`Skipped frame: ${error.message}`);
+            }
+        }
+    });
+    input.on('end', () => {
+        console.error(`End of input: ${stats.readings} readings, ${stats.unrecognized} unrecognized frames`);
+    });
+    input.on('error', (error) => {
+        console.error(`Read error: ${error.message}`);
+        process.exitCode = 1;
+    });
+
+    process.on('SIGINT', () => {
+        console.error(`\nStopped: ${stats.readings} readings, ${stats.unrecognized} unrecognized frames`);
+        process.exit(0);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`battery-logger: ${error.message}`);
+    process.exit(1);
+}
@@ -1,39 +1,193 @@
 /**
  * BatteryParser - Module for parsing battery reading data
- * Parses the text format from the battery reader into structured data
+ * Detects the frame format and parses readings into structured data
  */
 
+import { getBuiltInProfile, DEFAULT_PROFILE_ID, DEFAULT_TEMPERATURE_BANDS } from './chemistry-profiles.js';
+import { JSON_LINES_FORMAT, KEY_VALUE_FORMAT, addTemperature } from './frame-formats.js';
+import { BUILT_IN_LABEL_SETS, buildPatterns } from './label-sets.js';
+import { FRAME_SEPARATOR } from './frame-splitter.js';
+
 export class BatteryParser {
-    constructor() {
-        // Regex patterns for parsing
-        this.patterns = {
-            totalVoltage: /BATERIA TOTAL \((\d+)S\):\s+([-\d.]+)V/,
-            individualCell: /Cel\s+(\d+):\s+([-\d.]+)V/,
-            moduleHeader: /Módulo\s+(\d+)\s+\(0x([0-9A-Fa-f]+)\):/,
-            pinData: /A(\d+)\s+\((\d+)S\):\s+RAW=([-\d]+)\s+Tensão=([-\d.]+)V/
-        };
+    constructor(profile = getBuiltInProfile(DEFAULT_PROFILE_ID), labelSets = BUILT_IN_LABEL_SETS) {
+        // Chemistry profile used for cell status
+        this.profile = profile;
+
+        // Optional per-pin ADC calibration (see adc-calibration.js)
+        this.calibration = null;
+
+        // Firmware label sets with their regex patterns for the text report
+        this.labelSets = [];
+        this.setLabelSets(labelSets);
+
+        // Registered frame formats, tried in order
+        this.formats = [];
+        this.registerFormat({
+            id: 'text',
+            name: 'Text report',
+            lineBased: false,
+            detect: (frame) => this.detectLabelSet(frame) !== null,
+            parse: (frame, data) => this.parseText(frame, data)
+        });
+        this.registerFormat(JSON_LINES_FORMAT);
+        this.registerFormat(KEY_VALUE_FORMAT);
+    }
+
+    /**
+     * Set the firmware label sets accepted by the text report parser
+     * @param {Array} labelSets - Label set objects (see label-sets.js)
+     */
+    setLabelSets(labelSets) {
+        this.labelSets = labelSets.map(labels => ({ labels: labels, patterns: buildPatterns(labels) }));
+    }
+
+    /**
+     * Find the label set a text report was printed with
+     * Scores every set by its pattern matches, with the header as a tie-breaker
+     * @param {string} text - Raw frame text
+     * @returns {Object|null} Object with labels and patterns, or null if no set matches
+     */
+    detectLabelSet(text) {
+        let best = null;
+        let bestScore = 0;
+
+        for (const set of this.labelSets) {
+            const matches = Object.values(set.patterns).filter(pattern => pattern.test(text)).length;
+            if (matches === 0) continue;
+
+            const score = matches + (text.includes(set.labels.header) ? 0.5 : 0);
+            if (score > bestScore) {
+                best = set;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Register a frame format, replacing any format with the same ID
+     * @param {Object} format - Format object:
+     *   id, name, lineBased (frames are single lines without a separator),
+     *   detect(frame) returning true if the frame is in this format,
+     *   parse(frame, data) filling the cells, individualCells, modules, cellCount and totalVoltage of data,
+     *   and the optional current, shuntRaw and temperatures (see addTemperature()) when the frame has them;
+     *   parse throws if it cannot read a detected frame, which then counts as unrecognized
+     */
+    registerFormat(format) {
+        const index = this.formats.findIndex(f => f.id === format.id);
+        if (index >= 0) {
+            this.formats[index] = format;
+        } else {
+            this.formats.push(format);
+        }
+    }
+
+    /**
+     * Find the format of a frame
+     * @param {string} frame - Raw frame text
+     * @returns {Object|null} Format object, or null if no format matches
+     */
+    detectFormat(frame) {
+        return this.formats.find(format => format.detect(frame)) || null;
+    }
+
+    /**
+     * Check if a line is a complete frame of a line-based format
+     * Used by readers to split frames that have no separator
+     * @param {string} line - Trimmed line
+     * @returns {boolean}
+     */
+    isLineFrame(line) {
+        return line !== '' && this.formats.some(format => format.lineBased && format.detect(line));
+    }
+
+    /**
+     * Check if a received line belongs to a frame rather than being a command response or log message
+     * @param {string} line - Received line
+     * @returns {boolean}
+     */
+    isRecognizedLine(line) {
+        const trimmed = line.trim();
+
+        // Blank lines, separators and section titles such as "--- Tensões Individuais ---"
+        if (trimmed === '' || trimmed.includes(FRAME_SEPARATOR) || /^---.*---$/.test(trimmed)) {
+            return true;
+        }
+
+        return this.isLineFrame(trimmed)
+            || this.labelSets.some(set => Object.values(set.patterns).some(pattern => pattern.test(trimmed)));
     }
 
     /**
-     * Parse complete reading text
-     * @param {string} text - Raw reading text
-     * @returns {Object} Parsed data structure
+     * Create an empty parsed data object
+     * @private
+     * @param {Date} timestamp - Time the reading was taken
+     * @returns {Object} Parsed data structure with no format
      */
-    parse(text) {
-        const data = {
-            timestamp: new Date(),
+    createData(timestamp) {
+        return {
+            timestamp: timestamp,
+            format: null,
             totalVoltage: 0,
             cellCount: 0,
             cells: [],
             individualCells: [],
-            modules: []
+            modules: [],
+            current: null, // Pack current (A), positive while discharging; null without a current sensor
+            shuntRaw: null, // RAW value of the current shunt ADC
+            temperatures: [] // Temperature sensors as { name, cellNumber, temperature (°C), status }
         };
+    }
+
+    /**
+     * Parse a complete frame in any registered format
+     * A frame that a format claims but cannot parse (e.g. a garbled JSON line) counts as unrecognized
+     * @param {string} text - Raw frame text
+     * @param {Date} timestamp - Time the reading was taken (defaults to now)
+     * @param {AdcCalibration|null} calibration - ADC calibration of the frame's device (defaults to the one set
+     *                                            with setCalibration())
+     * @returns {Object} Parsed data structure (format is null if the frame was not recognized, with the reason
+     *                   as error if its format failed to parse it)
+     */
+    parse(text, timestamp = new Date(), calibration = this.calibration) {
+        const data = this.createData(timestamp);
+
+        const frame = text.trim();
+        const format = this.detectFormat(frame);
+
+        if (format) {
+            try {
+                format.parse(frame, data);
+            } catch (error) {
+                return { ...this.createData(timestamp), error: error.message };
+            }
+
+            data.format = format.id;
+            if (calibration) {
+                calibration.apply(data);
+            }
+            this.mergeCellTemperatures(data);
+            this.updateStatuses(data);
+        }
+
+        return data;
+    }
+
+    /**
+     * Parse a frame in the reader firmware's text report format
+     * @param {string} text - Raw frame text
+     * @param {Object} data - Parsed data object to fill
+     */
+    parseText(text, data) {
+        const { labels, patterns } = this.detectLabelSet(text);
+        data.labels = labels.id;
 
         // Split into lines
         const lines = text.split('\n').map(line => line.trim()).filter(line => line);
 
         // Parse total voltage
-        const totalMatch = text.match(this.patterns.totalVoltage);
+        const totalMatch = text.match(patterns.totalVoltage);
         if (totalMatch) {
             data.cellCount = parseInt(totalMatch[1]);
             data.totalVoltage = parseFloat(totalMatch[2]);
@@ -41,7 +195,7 @@ export class BatteryParser {
 
         // Parse individual cell voltages (from "Tensões Individuais" section)
         for (const line of lines) {
-            const cellMatch = line.match(this.patterns.individualCell);
+            const cellMatch = line.match(patterns.individualCell);
             if (cellMatch) {
                 const cellNumber = parseInt(cellMatch[1]);
                 const voltage = parseFloat(cellMatch[2]);
@@ -55,12 +209,35 @@ export class BatteryParser {
             }
         }
 
+        // Parse the optional current and temperature lines
+        for (const line of lines) {
+            const currentMatch = patterns.packCurrent && line.match(patterns.packCurrent);
+            if (currentMatch) {
+                data.current = parseFloat(currentMatch[1]);
+                if (currentMatch[2] !== undefined) {
+                    data.shuntRaw = parseInt(currentMatch[2]);
+                }
+                continue;
+            }
+
+            const cellTemperatureMatch = patterns.cellTemperature && line.match(patterns.cellTemperature);
+            if (cellTemperatureMatch) {
+                addTemperature(data, parseInt(cellTemperatureMatch[1]), null, parseFloat(cellTemperatureMatch[2]));
+                continue;
+            }
+
+            const sensorTemperatureMatch = patterns.sensorTemperature && line.match(patterns.sensorTemperature);
+            if (sensorTemperatureMatch) {
+                addTemperature(data, null, sensorTemperatureMatch[1], parseFloat(sensorTemperatureMatch[2]));
+            }
+        }
+
         // Parse modules and pin data
         let currentModule = null;
 
         for (const line of lines) {
             // Check for module header
-            const moduleMatch = line.match(this.patterns.moduleHeader);
+            const moduleMatch = line.match(patterns.moduleHeader);
             if (moduleMatch) {
                 if (currentModule) {
                     data.modules.push(currentModule);
@@ -74,7 +251,7 @@ export class BatteryParser {
             }
 
             // Check for pin data
-            const pinMatch = line.match(this.patterns.pinData);
+            const pinMatch = line.match(patterns.pinData);
             if (pinMatch && currentModule) {
                 const pin = {
                     pin: `A${pinMatch[1]}`,
@@ -123,8 +300,6 @@ export class BatteryParser {
             // Fallback: calculate differential if individual cells section is missing
             this.calculateIndividualVoltages(data.cells);
         }
-
-        return data;
     }
 
     /**
@@ -147,6 +322,33 @@ export class BatteryParser {
         }
     }
 
+    /**
+     * Copy the reading of each cell temperature sensor onto its cell
+     * @param {Object} data - Parsed data object
+     */
+    mergeCellTemperatures(data) {
+        for (const cell of data.cells) {
+            const sensor = data.temperatures.find(t => t.cellNumber === cell.number);
+            cell.temperature = sensor ? sensor.temperature : null;
+        }
+    }
+
+    /**
+     * Set the chemistry profile used for cell status
+     * @param {Object} profile - Chemistry profile
+     */
+    setProfile(profile) {
+        this.profile = profile;
+    }
+
+    /**
+     * Set the ADC calibration applied to the pins of every parsed frame, e.g. the logger's single device
+     * @param {AdcCalibration|null} calibration - Calibration, or null to use the firmware's voltages
+     */
+    setCalibration(calibration) {
+        this.calibration = calibration;
+    }
+
     /**
      * Determine cell health status based on voltage
      * @param {number} voltage - Cell voltage
@@ -154,18 +356,55 @@ export class BatteryParser {
      */
     getCellStatus(voltage) {
         const absVoltage = Math.abs(voltage);
+        const [goodMin, goodMax] = this.profile.bands.good;
+        const [warningMin, warningMax] = this.profile.bands.warning;
 
-        // Typical Li-ion cell voltage ranges: 3.0V - 4.2V
-        // Adjust thresholds based on your battery chemistry
         if (absVoltage < 0.1) {
             return 'danger'; // Very low or no voltage
-        } else if (absVoltage >= 3.0 && absVoltage <= 4.3) {
-            return 'good'; // Normal range
-        } else if (absVoltage > 4.3 || (absVoltage > 0.1 && absVoltage < 2.5)) {
+        } else if (absVoltage >= goodMin && absVoltage <= goodMax) {
+            return 'good'; // Normal range for the chemistry
+        } else if (absVoltage >= warningMin && absVoltage <= warningMax) {
             return 'warning'; // Out of normal range
         }
 
-        return 'good';
+        return 'danger';
+    }
+
+    /**
+     * Determine temperature status from the chemistry's temperature bands
+     * Profiles without temperature bands use DEFAULT_TEMPERATURE_BANDS
+     * @param {number} temperature - Temperature (°C)
+     * @returns {string} Status: 'good', 'warning', 'danger'
+     */
+    getTemperatureStatus(temperature) {
+        const bands = this.profile.temperatureBands || DEFAULT_TEMPERATURE_BANDS;
+        const [goodMin, goodMax] = bands.good;
+        const [warningMin, warningMax] = bands.warning;
+
+        if (temperature >= goodMin && temperature <= goodMax) {
+            return 'good';
+        } else if (temperature >= warningMin && temperature <= warningMax) {
+            return 'warning';
+        }
+
+        return 'danger';
+    }
+
+    /**
+     * Recalculate cell and temperature statuses (e.g. after the chemistry profile changed)
+     * @param {Object} data - Parsed data object
+     */
+    updateStatuses(data) {
+        for (const cell of data.cells) {
+            cell.status = this.getCellStatus(cell.individualVoltage);
+        }
+        for (const cell of data.individualCells) {
+            cell.status = this.getCellStatus(cell.individualVoltage);
+        }
+        // Readings recorded before temperature support have no temperatures
+        for (const sensor of data.temperatures || []) {
+            sensor.status = this.getTemperatureStatus(sensor.temperature);
+        }
     }
 
     /**
@@ -188,13 +427,17 @@ export class BatteryParser {
      * @returns {Object} Summary statistics
      */
     getSummary(data) {
+        const temperatures = (data.temperatures || []).map(t => t.temperature);
+        const maxTemperature = temperatures.length > 0 ? Math.max(...temperatures) : null;
+
         if (!data.cells || data.cells.length === 0) {
             return {
                 count: 0,
                 avgVoltage: 0,
                 minVoltage: 0,
                 maxVoltage: 0,
-                voltageSpread: 0
+                voltageSpread: 0,
+                maxTemperature: maxTemperature
             };
         }
 
@@ -206,7 +449,8 @@ export class BatteryParser {
                 avgVoltage: 0,
                 minVoltage: 0,
                 maxVoltage: 0,
-                voltageSpread: 0
+                voltageSpread: 0,
+                maxTemperature: maxTemperature
             };
         }
 
@@ -219,7 +463,8 @@ export class BatteryParser {
             avgVoltage: avgVoltage,
             minVoltage: minVoltage,
             maxVoltage: maxVoltage,
-            voltageSpread: maxVoltage - minVoltage
+            voltageSpread: maxVoltage - minVoltage,
+            maxTemperature: maxTemperature
         };
     }
 
@@ -233,6 +478,36 @@ export class BatteryParser {
         return voltage.toFixed(decimals);
     }
 
+    /**
+     * Format a current for display
+     * @param {number|null} current - Current (A), null if not measured
+     * @param {number} decimals - Number of decimal places
+     * @returns {string} Formatted current string (without the A unit)
+     */
+    formatCurrent(current, decimals = 2) {
+        return current === null || current === undefined ? '--' : current.toFixed(decimals);
+    }
+
+    /**
+     * Format a temperature for display
+     * @param {number|null} temperature - Temperature (°C), null if not measured
+     * @param {number} decimals - Number of decimal places
+     * @returns {string} Formatted temperature string (without the °C unit)
+     */
+    formatTemperature(temperature, decimals = 1) {
+        return temperature === null || temperature === undefined ? '--' : temperature.toFixed(decimals);
+    }
+
+    /**
+     * Format a percentage for display
+     * @param {number|null} value - Percentage value, null if unknown
+     * @param {number} decimals - Number of decimal places
+     * @returns {string} Formatted percentage string (without the % sign)
+     */
+    formatPercent(value, decimals = 0) {
+        return value === null || value === undefined ? '--' : value.toFixed(decimals);
+    }
+
     /**
      * Format timestamp for display
      * @param {Date} date - Date object
@@ -246,6 +521,20 @@ export class BatteryParser {
         });
     }
 
+    /**
+     * Format a duration for display
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Formatted duration (HH:MM:SS)
+     */
+    formatDuration(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        return [hours, minutes, seconds].map(n => n.toString().padStart(2, '0')).join(':');
+    }
+
     /**
      * Export data as JSON
      * @param {Object} data - Parsed data object
@@ -261,7 +550,7 @@ export class BatteryParser {
      * @returns {string} CSV string
      */
     exportCSV(data) {
-        const headers = ['Timestamp', 'Cell', 'Cumulative Voltage (V)', 'Individual Voltage (V)', 'RAW', 'Module', 'Pin', 'Status'];
+        const headers = ['Timestamp', 'Cell', 'Cumulative Voltage (V)', 'Individual Voltage (V)', 'RAW', 'Module', 'Pin', 'Status', 'Temperature (C)'];
         const rows = [headers];
 
         const timestamp = this.formatTimestamp(data.timestamp);
@@ -275,10 +564,78 @@ export class BatteryParser {
                 cell.raw,
                 cell.module,
                 cell.pin,
-                cell.status
+                cell.status,
+                (cell.temperature ?? null) !== null ? cell.temperature.toFixed(1) : ''
             ]);
         }
 
         return rows.map(row => row.join(',')).join('\n');
     }
+
+    /**
+     * Get the CSV columns of a series of readings
+     * @param {Array} readings - Array of parsed data objects
+     * @param {Object|null} columns - Columns to extend, e.g. those of a log file so far (not modified)
+     * @returns {Object} Object with cellNames (sorted by cell number), hasCurrent and sensorNames
+     */
+    getReadingsColumns(readings, columns = null) {
+        const cellNames = columns ? [...columns.cellNames] : [];
+        const sensorNames = columns ? [...columns.sensorNames] : [];
+        let hasCurrent = columns ? columns.hasCurrent : false;
+        for (const reading of readings) {
+            for (const cell of reading.cells) {
+                if (!cellNames.includes(cell.name)) {
+                    cellNames.push(cell.name);
+                }
+            }
+            for (const sensor of reading.temperatures || []) {
+                if (!sensorNames.includes(sensor.name)) {
+                    sensorNames.push(sensor.name);
+                }
+            }
+            hasCurrent = hasCurrent || (reading.current ?? null) !== null;
+        }
+        cellNames.sort((a, b) => parseInt(a) - parseInt(b));
+
+        return { cellNames: cellNames, hasCurrent: hasCurrent, sensorNames: sensorNames };
+    }
+
+    /**
+     * Export a series of readings as CSV (one row per reading)
+     * Current and temperature columns are only added when some reading has them, unless the columns are given;
+     * values a reading does not have are left empty
+     * @param {Array} readings - Array of parsed data objects
+     * @param {Object} columns - Columns to write (see getReadingsColumns())
+     * @returns {string} CSV string
+     */
+    exportReadingsCSV(readings, columns = this.getReadingsColumns(readings)) {
+        const { cellNames, hasCurrent, sensorNames } = columns;
+
+        const headers = [
+            'Timestamp',
+            'Total Voltage (V)',
+            ...cellNames,
+            ...(hasCurrent ? ['Current (A)'] : []),
+            ...sensorNames.map(name => `${name} Temperature (C)`)
+        ];
+        const rows = [headers];
+
+        for (const reading of readings) {
+            const row = [reading.timestamp.toISOString(), reading.totalVoltage.toFixed(3)];
+            for (const name of cellNames) {
+                const cell = reading.cells.find(c => c.name === name);
+                row.push(cell ? cell.individualVoltage.toFixed(3) : '');
+            }
+            if (hasCurrent) {
+                row.push((reading.current ?? null) !== null ? reading.current.toFixed(3) : '');
+            }
+            for (const name of sensorNames) {
+                const sensor = (reading.temperatures || []).find(t => t.name === name);
+                row.push(sensor ? sensor.temperature.toFixed(1) : '');
+            }
+            rows.push(row);
+        }
+
+        return rows.map(row => row.join(',')).join('\n');
+    }
 }
@@ -1,17 +1,57 @@
 /**
  * ChartManager - Module for managing Chart.js voltage history charts
  * Handles chart creation, updates, and styling
+ * Plots readings on a time axis (date-fns adapter) with zoom and pan (chartjs-plugin-zoom)
+ * Full-resolution data is kept for export; the chart draws a min/max decimated copy of the visible range
  */
 
+import { decimateMinMax } from './decimation.js';
+
 export class ChartManager {
     constructor(canvasElement) {
         this.canvas = canvasElement;
         this.chart = null;
-        this.maxDataPoints = 50; // Maximum points to show in chart
-        this.datasets = new Map(); // Map of cell name to dataset
-        this.labels = []; // Time labels
+        // Each reading is kept in every view's datasets and again in its pack's history, for every pack; record a
+        // session to keep a whole run
+        this.defaultMaxDataPoints = 20000;
+        this.maxDataPoints = this.defaultMaxDataPoints; // Maximum readings kept for zooming back in time
+        this.datasets = new Map(); // Map of cell name to voltage dataset
+        this.points = new Map(); // Map of dataset to its full-resolution points
+        this.renderPending = false;
+        this.renderCost = 0; // Duration of the last render (ms)
+        this.renderedAt = 0; // End of the last render
+        this.timestamps = []; // Reading times (ms), oldest first
+        this.timeWindow = null; // Time span shown while following live data (ms), null for all
+        this.followLive = true; // Keep the newest reading in view
+        this.onFollowChangeCallback = null;
         this.colors = this.generateColors();
         this.colorIndex = 0;
+        this.cellColors = new Map(); // Cell name to color, shared by all views
+        this.referenceLines = []; // Horizontal lines, e.g. chemistry limits
+        this.projections = []; // Projected trends as { view, from, to, label, color }
+        this.view = 'voltage';
+        this.views = {
+            voltage: { title: 'Voltage (V)', unit: 'V', decimals: 3, tickDecimals: 2, beginAtZero: true, referenceLines: true },
+            soc: { title: 'State of Charge (%)', unit: '%', decimals: 1, tickDecimals: 0, min: 0, max: 100 },
+            total: { title: 'Pack Voltage (V)', unit: 'V', decimals: 3, tickDecimals: 1 },
+            spread: { title: 'Cell Spread (mV)', unit: 'mV', decimals: 1, tickDecimals: 0, beginAtZero: true },
+            envelope: { title: 'Cell Voltage (V)', unit: 'V', decimals: 3, tickDecimals: 2, referenceLines: true },
+            deviation: { title: 'Deviation from Mean (mV)', unit: 'mV', decimals: 1, tickDecimals: 0 },
+            current: { title: 'Current (A)', unit: 'A', decimals: 2, tickDecimals: 1 },
+            temperature: { title: 'Temperature (°C)', unit: '°C', decimals: 1, tickDecimals: 0 }
+        };
+        // Map of view to its datasets, keyed by cell or series name
+        this.viewDatasets = Object.fromEntries(Object.keys(this.views).map(view => [view, new Map()]));
+        this.viewDatasets.voltage = this.datasets;
+        // Pack-wide series; the envelope band is filled from Max down to Min
+        this.seriesStyles = {
+            Total: { color: 'rgba(47, 129, 247, 1)' },
+            Spread: { color: 'rgba(242, 130, 37, 1)' },
+            Min: { color: 'rgba(248, 81, 73, 1)' },
+            Mean: { color: 'rgba(230, 237, 243, 1)', borderDash: [4, 4], borderWidth: 1 },
+            Max: { color: 'rgba(63, 185, 80, 1)', fill: '-2', backgroundColor: 'rgba(47, 129, 247, 0.12)' },
+            Current: { color: 'rgba(210, 153, 34, 1)' }
+        };
 
         this.initChart();
     }
@@ -45,6 +85,132 @@ export class ChartManager {
         return color;
     }
 
+    /**
+     * Get the color assigned to a cell, assigning the next palette color if new
+     * @param {string} cellName - Cell identifier
+     * @returns {string} Color string
+     */
+    getCellColor(cellName) {
+        if (!this.cellColors.has(cellName)) {
+            this.cellColors.set(cellName, this.getNextColor());
+        }
+        return this.cellColors.get(cellName);
+    }
+
+    /**
+     * Get or create the dataset for a cell or pack-wide series in one of the views
+     * @param {string} view - View the dataset belongs to
+     * @param {string} name - Cell identifier, or series name for pack-wide series
+     * @param {Object|null} style - Series style (see this.seriesStyles), or null for a cell
+     * @returns {Object} Chart.js dataset
+     */
+    getDataset(view, name, style = null) {
+        const datasets = this.viewDatasets[view];
+        let dataset = datasets.get(name);
+
+        if (!dataset) {
+            const { color = this.getCellColor(name), ...options } = style || {};
+            dataset = {
+                label: name,
+                data: [],
+                borderColor: color,
+                backgroundColor: color.replace('1)', '0.1)'),
+                fill: false,
+                ...options
+            };
+            datasets.set(name, dataset);
+            this.points.set(dataset, []);
+
+            if (this.view === view) {
+                this.chart.data.datasets.push(dataset);
+            }
+        }
+
+        return dataset;
+    }
+
+    /**
+     * Create an inline plugin that draws horizontal reference lines
+     * @returns {Object} Chart.js plugin
+     */
+    createReferenceLinesPlugin() {
+        return {
+            id: 'referenceLines',
+            afterDatasetsDraw: (chart) => {
+                const { ctx, chartArea, scales } = chart;
+                if (!chartArea || !this.views[this.view].referenceLines || this.referenceLines.length === 0) return;
+
+                ctx.save();
+                ctx.font = '10px ui-monospace, SFMono-Regular, monospace';
+                ctx.textAlign = 'right';
+                ctx.textBaseline = 'bottom';
+
+                for (const line of this.referenceLines) {
+                    const y = scales.y.getPixelForValue(line.value);
+                    if (y < chartArea.top || y > chartArea.bottom) continue;
+
+                    ctx.strokeStyle = line.color;
+                    ctx.fillStyle = line.color;
+                    ctx.lineWidth = 1;
+                    ctx.setLineDash([6, 4]);
+                    ctx.beginPath();
+                    ctx.moveTo(chartArea.left, y);
+                    ctx.lineTo(chartArea.right, y);
+                    ctx.stroke();
+                    ctx.fillText(`${line.label} ${line.value.toFixed(2)}V`, chartArea.right - 4, y - 2);
+                }
+
+                ctx.restore();
+            }
+        };
+    }
+
+    /**
+     * Create an inline plugin that draws projected trends from the newest reading into the future
+     * @returns {Object} Chart.js plugin
+     */
+    createProjectionsPlugin() {
+        return {
+            id: 'projections',
+            afterDatasetsDraw: (chart) => {
+                const { ctx, chartArea, scales } = chart;
+                const projections = this.projections.filter(projection => projection.view === this.view);
+                if (!chartArea || projections.length === 0) return;
+
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+                ctx.clip();
+                ctx.font = '10px ui-monospace, SFMono-Regular, monospace';
+                ctx.textBaseline = 'bottom';
+
+                for (const projection of projections) {
+                    const fromX = scales.x.getPixelForValue(projection.from.x);
+                    const fromY = scales.y.getPixelForValue(projection.from.y);
+                    const toX = scales.x.getPixelForValue(projection.to.x);
+                    const toY = scales.y.getPixelForValue(projection.to.y);
+
+                    ctx.strokeStyle = projection.color;
+                    ctx.fillStyle = projection.color;
+                    ctx.lineWidth = 2;
+                    ctx.setLineDash([2, 4]);
+                    ctx.beginPath();
+                    ctx.moveTo(fromX, fromY);
+                    ctx.lineTo(toX, toY);
+                    ctx.stroke();
+
+                    // Label the end of the projection, or the right edge if it runs past it
+                    const labelX = Math.min(toX, chartArea.right - 4);
+                    const labelY = fromY + (toY - fromY) * ((labelX - fromX) / ((toX - fromX) || 1));
+                    ctx.textAlign = labelX < toX ? 'right' : 'center';
+                    ctx.fillText(projection.label, labelX, labelY - 4);
+                }
+
+                ctx.restore();
+            }
+        };
+    }
+
     /**
      * Initialize Chart.js instance with dark theme
      */
@@ -54,12 +220,13 @@ export class ChartManager {
         this.chart = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: this.labels,
                 datasets: []
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                parsing: false, // Points are already { x: ms, y }
+                normalized: true, // Points are sorted by time
                 interaction: {
                     mode: 'index',
                     intersect: false,
@@ -91,15 +258,52 @@ export class ChartManager {
                         callbacks: {
                             label: (context) => {
                                 const label = context.dataset.label || '';
-                                const value = context.parsed.y.toFixed(3);
-                                return ` ${label}: ${value}V`;
+                                const { unit, decimals } = this.views[this.view];
+                                const value = context.parsed.y.toFixed(decimals);
+                                return ` ${label}: ${value}${unit}`;
                             }
                         }
+                    },
+                    zoom: {
+                        limits: {
+                            x: { minRange: 1000 }
+                        },
+                        pan: {
+                            enabled: true,
+                            mode: 'x',
+                            onPanStart: () => this.setFollowLive(false),
+                            onPan: () => this.scheduleRender()
+                        },
+                        zoom: {
+                            wheel: { enabled: true },
+                            pinch: { enabled: true },
+                            drag: {
+                                enabled: true,
+                                modifierKey: 'shift',
+                                backgroundColor: 'rgba(47, 129, 247, 0.15)',
+                                borderColor: 'rgba(47, 129, 247, 0.6)',
+                                borderWidth: 1
+                            },
+                            mode: 'x',
+                            onZoomStart: () => this.setFollowLive(false),
+                            onZoom: () => this.scheduleRender()
+                        }
                     }
                 },
                 scales: {
                     x: {
+                        type: 'time',
                         display: true,
+                        time: {
+                            tooltipFormat: 'HH:mm:ss.SSS',
+                            displayFormats: {
+                                millisecond: 'HH:mm:ss.SSS',
+                                second: 'HH:mm:ss',
+                                minute: 'HH:mm',
+                                hour: 'HH:mm',
+                                day: 'dd/MM HH:mm'
+                            }
+                        },
                         title: {
                             display: true,
                             text: 'Time',
@@ -138,7 +342,10 @@ export class ChartManager {
                             font: {
                                 size: 10
                             },
-                            callback: (value) => value.toFixed(2) + 'V'
+                            callback: (value) => {
+                                const { unit, tickDecimals } = this.views[this.view];
+                                return value.toFixed(tickDecimals) + unit;
+                            }
                         },
                         grid: {
                             color: '#21262d',
@@ -161,7 +368,8 @@ export class ChartManager {
                 animation: {
                     duration: 300
                 }
-            }
+            },
+            plugins: [this.createReferenceLinesPlugin(), this.createProjectionsPlugin()]
         });
     }
 
@@ -169,97 +377,325 @@ export class ChartManager {
      * Add or update data point for a cell
      * @param {string} cellName - Cell identifier (e.g., '1S', '2S')
      * @param {number} voltage - Voltage value
-     * @param {string} timestamp - Time label
+     * @param {Date|number} timestamp - Reading time
      */
     addDataPoint(cellName, voltage, timestamp) {
-        // Add timestamp to labels if new
-        if (!this.labels.includes(timestamp)) {
-            this.labels.push(timestamp);
+        const time = new Date(timestamp).getTime();
 
-            // Trim labels if exceeding max
-            if (this.labels.length > this.maxDataPoints) {
-                this.labels.shift();
-            }
+        // Add timestamp if new
+        if (this.timestamps[this.timestamps.length - 1] !== time) {
+            this.addTimestamp(time);
         }
 
-        // Get or create dataset for this cell
-        let dataset = this.datasets.get(cellName);
+        // Get or create dataset for this cell and add data point
+        this.pushPoint(this.getDataset('voltage', cellName), time, voltage);
 
-        if (!dataset) {
-            const color = this.getNextColor();
-            dataset = {
-                label: cellName,
-                data: [],
-                borderColor: color,
-                backgroundColor: color.replace('1)', '0.1)'),
-                fill: false
-            };
-            this.datasets.set(cellName, dataset);
-            this.chart.data.datasets.push(dataset);
+        // Update chart
+        this.scheduleRender();
+    }
+
+    /**
+     * Update multiple cells at once
+     * @param {Object} cellsData - Object with cell names as keys and voltages as values
+     * @param {Date|number} timestamp - Reading time
+     * @param {Object} socData - Object with cell names as keys and state of charge (%) as values
+     * @param {number|null} totalVoltage - Pack voltage, or null for the sum of the cells
+     * @param {Object} channels - Optional current (A) and temperatures (object with sensor names as keys and °C as values)
+     */
+    updateCells(cellsData, timestamp, socData = {}, totalVoltage = null, channels = {}) {
+        this.appendCells(cellsData, timestamp, socData, totalVoltage, channels);
+
+        // Update chart once
+        this.scheduleRender();
+    }
+
+    /**
+     * Append a point for multiple cells without redrawing the chart
+     * @param {Object} cellsData - Object with cell names as keys and voltages as values
+     * @param {Date|number} timestamp - Reading time
+     * @param {Object} socData - Object with cell names as keys and state of charge (%) as values
+     * @param {number|null} totalVoltage - Pack voltage, or null for the sum of the cells
+     * @param {Object} channels - Optional current (A) and temperatures (object with sensor names as keys and °C as values)
+     */
+    appendCells(cellsData, timestamp, socData = {}, totalVoltage = null, channels = {}) {
+        const time = new Date(timestamp).getTime();
+        this.addTimestamp(time);
+
+        // Update each cell
+        for (const [cellName, voltage] of Object.entries(cellsData)) {
+            this.pushPoint(this.getDataset('voltage', cellName), time, voltage);
+        }
+
+        for (const [cellName, soc] of Object.entries(socData)) {
+            this.pushPoint(this.getDataset('soc', cellName), time, soc);
         }
 
-        // Add data point
-        dataset.data.push(voltage);
+        this.appendPackSeries(cellsData, time, totalVoltage);
 
-        // Trim data if exceeding max
-        if (dataset.data.length > this.maxDataPoints) {
-            dataset.data.shift();
+        if (channels.current !== null && channels.current !== undefined) {
+            this.pushPoint(this.getDataset('current', 'Current', this.seriesStyles.Current), time, channels.current);
         }
 
-        // Update chart
-        this.chart.update('none'); // 'none' for no animation on updates
+        // Cell sensors are named after their cell and share its color
+        for (const [name, temperature] of Object.entries(channels.temperatures || {})) {
+            this.pushPoint(this.getDataset('temperature', name), time, temperature);
+        }
     }
 
     /**
-     * Update multiple cells at once
+     * Append the pack total, spread, envelope and per-cell deviation of a reading
      * @param {Object} cellsData - Object with cell names as keys and voltages as values
-     * @param {string} timestamp - Time label
+     * @param {number} time - Reading time (ms)
+     * @param {number|null} totalVoltage - Pack voltage, or null for the sum of the cells
      */
-    updateCells(cellsData, timestamp) {
-        // Add timestamp
-        this.labels.push(timestamp);
-        if (this.labels.length > this.maxDataPoints) {
-            this.labels.shift();
+    appendPackSeries(cellsData, time, totalVoltage) {
+        const voltages = Object.values(cellsData);
+        if (voltages.length === 0) {
+            return;
         }
 
-        // Update each cell
+        const sum = voltages.reduce((total, voltage) => total + voltage, 0);
+        const mean = sum / voltages.length;
+        const min = Math.min(...voltages);
+        const max = Math.max(...voltages);
+        const series = this.seriesStyles;
+
+        this.pushPoint(this.getDataset('total', 'Total', series.Total), time, totalVoltage ?? sum);
+        this.pushPoint(this.getDataset('spread', 'Spread', series.Spread), time, (max - min) * 1000);
+        this.pushPoint(this.getDataset('envelope', 'Min', series.Min), time, min);
+        this.pushPoint(this.getDataset('envelope', 'Mean', series.Mean), time, mean);
+        this.pushPoint(this.getDataset('envelope', 'Max', series.Max), time, max);
+
         for (const [cellName, voltage] of Object.entries(cellsData)) {
-            let dataset = this.datasets.get(cellName);
-
-            if (!dataset) {
-                const color = this.getNextColor();
-                dataset = {
-                    label: cellName,
-                    data: [],
-                    borderColor: color,
-                    backgroundColor: color.replace('1)', '0.1)'),
-                    fill: false
-                };
-                this.datasets.set(cellName, dataset);
-                this.chart.data.datasets.push(dataset);
-            }
+            this.pushPoint(this.getDataset('deviation', cellName), time, (voltage - mean) * 1000);
+        }
+    }
+
+    /**
+     * Add a point to the full-resolution data of a dataset
+     * @param {Object} dataset - Chart.js dataset
+     * @param {number} time - Reading time (ms)
+     * @param {number} value - Value to add
+     */
+    pushPoint(dataset, time, value) {
+        this.points.get(dataset).push({ x: time, y: value });
+    }
 
-            dataset.data.push(voltage);
+    /**
+     * Record a reading time, dropping the oldest reading of every dataset past the point limit
+     * @param {number} time - Reading time (ms)
+     */
+    addTimestamp(time) {
+        this.timestamps.push(time);
+        if (this.timestamps.length <= this.maxDataPoints) {
+            return;
+        }
 
-            if (dataset.data.length > this.maxDataPoints) {
-                dataset.data.shift();
+        this.timestamps.shift();
+        const oldest = this.timestamps[0];
+        for (const points of this.points.values()) {
+            while (points.length > 0 && points[0].x < oldest) {
+                points.shift();
             }
         }
+    }
 
-        // Update chart once
-        this.chart.update('none');
+    /**
+     * Redraw the chart on the next animation frame
+     * Readings arriving faster than the display refreshes are drawn together, and slow renders
+     * (long visible ranges) are spaced out so drawing takes at most a fifth of the time
+     */
+    scheduleRender() {
+        if (this.renderPending) {
+            return;
+        }
+
+        this.renderPending = true;
+        const nextFrame = typeof requestAnimationFrame === 'function'
+            ? requestAnimationFrame
+            : (callback) => setTimeout(callback, 16);
+        const wait = Math.max(0, this.renderedAt + this.renderCost * 4 - performance.now());
+        setTimeout(() => nextFrame(() => this.render()), wait);
+    }
+
+    /**
+     * Decimate the visible range of the shown datasets to the chart width and redraw
+     */
+    render() {
+        this.renderPending = false;
+        if (!this.chart) {
+            return;
+        }
+
+        const start = performance.now();
+        this.applyTimeWindow();
+        this.applySuggestedRange();
+        const { min, max } = this.getVisibleRange();
+        const buckets = this.getBucketCount();
+
+        for (const dataset of this.chart.data.datasets) {
+            dataset.data = decimateMinMax(this.points.get(dataset), min, max, buckets);
+            // Curves between points a pixel apart would overshoot the real minimum and maximum
+            dataset.tension = dataset.data.length >= buckets ? 0 : undefined;
+        }
+
+        this.chart.update('none'); // 'none' for no animation on updates
+        this.renderedAt = performance.now();
+        this.renderCost = this.renderedAt - start;
+    }
+
+    /**
+     * Get the time range the chart will show
+     * @returns {Object} Object with min and max times (ms)
+     */
+    getVisibleRange() {
+        const oldest = this.timestamps[0];
+        const newest = this.timestamps[this.timestamps.length - 1];
+
+        if (this.followLive) {
+            return { min: this.timeWindow ? newest - this.timeWindow : oldest, max: newest };
+        }
+
+        // Zoomed or panned by the user
+        const xScale = this.chart.scales?.x;
+        return xScale ? { min: xScale.min, max: xScale.max } : { min: oldest, max: newest };
+    }
+
+    /**
+     * Get the number of decimation buckets, one per pixel column of the plot area
+     * @returns {number} Bucket count
+     */
+    getBucketCount() {
+        const area = this.chart.chartArea;
+        const width = area ? area.right - area.left : this.canvas.clientWidth;
+        return Math.max(1, Math.floor(width || 1000));
+    }
+
+    /**
+     * Register callback for changes of the follow live state, e.g. after zooming or panning
+     * @param {Function} callback - Function to call with (followLive)
+     */
+    onFollowChange(callback) {
+        this.onFollowChangeCallback = callback;
+    }
+
+    /**
+     * Keep the newest reading in view, or freeze the time axis where it is
+     * @param {boolean} follow - Whether to follow live data
+     */
+    setFollowLive(follow) {
+        if (this.followLive === follow) {
+            return;
+        }
+
+        this.followLive = follow;
+        if (follow) {
+            this.scheduleRender();
+        }
+        if (this.onFollowChangeCallback) {
+            this.onFollowChangeCallback(follow);
+        }
+    }
+
+    /**
+     * Show the most recent span of time and follow live data
+     * @param {number|null} ms - Span in milliseconds, or null for the whole history
+     */
+    setTimeWindow(ms) {
+        this.timeWindow = ms;
+
+        if (this.followLive) {
+            this.scheduleRender();
+        } else {
+            this.setFollowLive(true);
+        }
+    }
+
+    /**
+     * Move the time axis to the configured window ending at the newest reading
+     * Leaves the axis alone while the user is looking at another part of the history
+     */
+    applyTimeWindow() {
+        if (!this.followLive) {
+            return;
+        }
+
+        const xScale = this.chart.options.scales.x;
+        const oldest = this.timestamps[0];
+        const newest = this.timestamps[this.timestamps.length - 1];
+        const span = this.timeWindow || newest - oldest;
+
+        // Projections stretch the axis into the future by up to the shown span
+        const ahead = Math.max(0, ...this.projections
+            .filter(projection => projection.view === this.view)
+            .map(projection => projection.to.x - newest));
+        const end = newest + Math.min(ahead, span);
+
+        if (this.timeWindow && newest !== undefined) {
+            xScale.min = newest - this.timeWindow;
+            xScale.max = end;
+        } else {
+            xScale.min = undefined;
+            xScale.max = ahead > 0 ? end : undefined;
+        }
+    }
+
+    /**
+     * Switch the series shown on the chart
+     * @param {string} view - 'voltage', 'soc', 'total', 'spread', 'envelope', 'deviation', 'current' or 'temperature'
+     */
+    setView(view) {
+        if (!this.views[view]) {
+            throw new Error(`Unknown chart view: ${view}`);
+        }
+
+        this.view = view;
+        const config = this.views[view];
+        const yScale = this.chart.options.scales.y;
+
+        this.chart.data.datasets = Array.from(this.viewDatasets[view].values());
+        yScale.title.text = config.title;
+        yScale.beginAtZero = config.beginAtZero ?? false;
+        yScale.min = config.min;
+        yScale.max = config.max;
+        this.scheduleRender();
+    }
+
+    /**
+     * Replace chart contents with a complete history
+     * The point limit is raised so the whole history stays visible until the chart is cleared
+     * @param {Array} points - Array of { cellsData, socData, totalVoltage, current, temperatures, timestamp } objects
+     */
+    loadHistory(points) {
+        this.clear();
+        this.maxDataPoints = Math.max(this.defaultMaxDataPoints, points.length);
+
+        for (const point of points) {
+            this.appendCells(point.cellsData, point.timestamp, point.socData, point.totalVoltage, {
+                current: point.current,
+                temperatures: point.temperatures
+            });
+        }
+
+        this.scheduleRender();
     }
 
     /**
      * Clear all chart data
+     * The time axis follows live data again
      */
     clear() {
-        this.labels = [];
-        this.datasets.clear();
-        this.chart.data.labels = [];
+        this.timestamps = [];
+        for (const datasets of Object.values(this.viewDatasets)) {
+            datasets.clear();
+        }
+        this.points.clear();
+        this.cellColors.clear();
         this.chart.data.datasets = [];
         this.colorIndex = 0;
-        this.chart.update();
+        this.maxDataPoints = this.defaultMaxDataPoints;
+        this.setFollowLive(true);
+        this.scheduleRender();
     }
 
     /**
@@ -281,11 +717,54 @@ export class ChartManager {
         this.chart.update();
     }
 
+    /**
+     * Set horizontal reference lines
+     * @param {Array} lines - Array of { value, label, color } objects
+     */
+    setReferenceLines(lines) {
+        this.referenceLines = lines;
+        this.scheduleRender();
+    }
+
+    /**
+     * Set projected trends, replacing the previous ones
+     * @param {Array} projections - Array of { view, from, to, label, color } objects, with from and to as { x: ms, y }
+     */
+    setProjections(projections) {
+        this.projections = projections;
+        this.scheduleRender();
+    }
+
+    /**
+     * Get a y-axis maximum that keeps the highest reference line in view
+     * @returns {number|undefined} Suggested maximum, or undefined without lines
+     */
+    getReferenceMax() {
+        const values = this.referenceLines.map(line => line.value);
+        return values.length > 0 ? Math.max(...values) * 1.02 : undefined;
+    }
+
+    /**
+     * Widen the y-axis to keep the reference lines and projection targets of the view in sight
+     */
+    applySuggestedRange() {
+        const yScale = this.chart.options.scales.y;
+        const targets = this.projections
+            .filter(projection => projection.view === this.view)
+            .map(projection => projection.to.y);
+        const referenceMax = this.views[this.view].referenceLines ? this.getReferenceMax() : undefined;
+        const highs = referenceMax !== undefined ? [referenceMax, ...targets] : targets;
+
+        yScale.suggestedMin = targets.length > 0 ? Math.min(...targets) : undefined;
+        yScale.suggestedMax = highs.length > 0 ? Math.max(...highs) : undefined;
+    }
+
     /**
      * Set maximum number of data points to display
      * @param {number} max - Maximum data points
      */
     setMaxDataPoints(max) {
+        this.defaultMaxDataPoints = max;
         this.maxDataPoints = max;
     }
 
@@ -298,18 +777,22 @@ export class ChartManager {
     }
 
     /**
-     * Export chart data
-     * @returns {Object} Chart data with labels and datasets
+     * Export chart data at full resolution
+     * Cell values are aligned with the labels; cells missing from a reading have no value
+     * @returns {Object} Chart data with ISO timestamp labels and cell voltage datasets
      */
     exportData() {
         return {
-            labels: [...this.labels],
-            datasets: this.chart.data.datasets.map(ds => ({
-                label: ds.label,
-                data: [...ds.data],
-                borderColor: ds.borderColor,
-                backgroundColor: ds.backgroundColor
-            }))
+            labels: this.timestamps.map(time => new Date(time).toISOString()),
+            datasets: Array.from(this.datasets.values()).map(ds => {
+                const values = new Map(this.points.get(ds).map(point => [point.x, point.y]));
+                return {
+                    label: ds.label,
+                    data: this.timestamps.map(time => values.get(time)),
+                    borderColor: ds.borderColor,
+                    backgroundColor: ds.backgroundColor
+                };
+            })
         };
     }
 
@@ -318,7 +801,7 @@ export class ChartManager {
      * @returns {number} Number of data points
      */
     getDataPointCount() {
-        return this.labels.length;
+        return this.timestamps.length;
     }
 
     /**
@@ -0,0 +1,270 @@
+/**
+ * ChemistryProfiles - Module for battery chemistry voltage profiles
+ * Provides built-in and user-defined per-cell voltage limits and status bands
+ */
+
+// Per-cell voltages in volts. Bands are [min, max]; anything outside the warning band is 'danger'
+export const BUILT_IN_PROFILES = [
+    {
+        id: 'li-ion',
+        name: 'Li-ion',
+        minVoltage: 3.0,
+        nominalVoltage: 3.6,
+        maxVoltage: 4.2,
+        storageVoltage: 3.8,
+        bands: { good: [3.0, 4.2], warning: [2.5, 4.3] }
+    },
+    {
+        id: 'lipo',
+        name: 'LiPo',
+        minVoltage: 3.0,
+        nominalVoltage: 3.7,
+        maxVoltage: 4.2,
+        storageVoltage: 3.85,
+        bands: { good: [3.3, 4.2], warning: [3.0, 4.25] }
+    },
+    {
+        id: 'lipo-hv',
+        name: 'LiPo-HV',
+        minVoltage: 3.0,
+        nominalVoltage: 3.8,
+        maxVoltage: 4.35,
+        storageVoltage: 3.85,
+        bands: { good: [3.3, 4.35], warning: [3.0, 4.4] }
+    },
+    {
+        id: 'lifepo4',
+        name: 'LiFePO4',
+        minVoltage: 2.5,
+        nominalVoltage: 3.2,
+        maxVoltage: 3.65,
+        storageVoltage: 3.3,
+        bands: { good: [2.9, 3.65], warning: [2.5, 3.7] }
+    },
+    {
+        id: 'lto',
+        name: 'LTO',
+        minVoltage: 1.8,
+        nominalVoltage: 2.4,
+        maxVoltage: 2.85,
+        storageVoltage: 2.4,
+        bands: { good: [2.0, 2.8], warning: [1.8, 2.9] }
+    },
+    {
+        id: 'nimh',
+        name: 'NiMH',
+        minVoltage: 1.0,
+        nominalVoltage: 1.2,
+        maxVoltage: 1.45,
+        storageVoltage: 1.2,
+        bands: { good: [1.1, 1.45], warning: [0.9, 1.5] }
+    },
+    {
+        id: 'lead-acid',
+        name: 'Lead-acid (per cell)',
+        minVoltage: 1.75,
+        nominalVoltage: 2.0,
+        maxVoltage: 2.4,
+        storageVoltage: 2.12,
+        bands: { good: [1.95, 2.4], warning: [1.75, 2.45] }
+    }
+];
+
+export const DEFAULT_PROFILE_ID = 'li-ion';
+
+// Cell and pack temperature bands in °C, used by profiles without their own temperatureBands.
+// Covers the discharge range common to lithium cells; charging below 0 °C is outside the good band.
+export const DEFAULT_TEMPERATURE_BANDS = { good: [0, 45], warning: [-10, 60] };
+
+/**
+ * Find a built-in profile by ID
+ * @param {string} id - Profile ID
+ * @returns {Object|undefined} Profile object
+ */
+export function getBuiltInProfile(id) {
+    return BUILT_IN_PROFILES.find(profile => profile.id === id);
+}
+
+export class ChemistryProfiles {
+    constructor(storageKey = 'battery-monitor.chemistry') {
+        this.storageKey = storageKey;
+        this.customProfiles = [];
+        this.activeId = DEFAULT_PROFILE_ID;
+        this.onChangeCallback = null;
+
+        this.load();
+    }
+
+    /**
+     * Register callback for active profile changes
+     * @param {Function} callback - Function to call with the new active profile
+     */
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    /**
+     * Load custom profiles and the active selection from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) {
+                this.customProfiles = Array.isArray(stored.customProfiles) ? stored.customProfiles : [];
+                this.activeId = this.get(stored.activeId) ? stored.activeId : DEFAULT_PROFILE_ID;
+            }
+        } catch (error) {
+            console.warn('Failed to load chemistry profiles:', error);
+        }
+    }
+
+    /**
+     * Persist custom profiles and the active selection to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            activeId: this.activeId,
+            customProfiles: this.customProfiles
+        }));
+    }
+
+    /**
+     * Get all profiles, built-in first
+     * @returns {Array} Array of profile objects
+     */
+    getAll() {
+        return [...BUILT_IN_PROFILES, ...this.customProfiles];
+    }
+
+    /**
+     * Get a profile by ID
+     * @param {string} id - Profile ID
+     * @returns {Object|undefined} Profile object
+     */
+    get(id) {
+        return this.getAll().find(profile => profile.id === id);
+    }
+
+    /**
+     * Check if a profile is user-defined
+     * @param {string} id - Profile ID
+     * @returns {boolean}
+     */
+    isCustom(id) {
+        return this.customProfiles.some(profile => profile.id === id);
+    }
+
+    /**
+     * Get the active profile
+     * @returns {Object} Profile object
+     */
+    getActive() {
+        return this.get(this.activeId) || getBuiltInProfile(DEFAULT_PROFILE_ID);
+    }
+
+    /**
+     * Set the active profile
+     * @param {string} id - Profile ID
+     */
+    setActive(id) {
+        if (!this.get(id)) {
+            throw new Error(`Unknown chemistry profile: ${id}`);
+        }
+
+        this.activeId = id;
+        this.save();
+
+        if (this.onChangeCallback) {
+            this.onChangeCallback(this.getActive());
+        }
+    }
+
+    /**
+     * Create or update a user-defined profile
+     * @param {Object} profile - Profile object (ID is generated for new profiles)
+     * @returns {Object} Saved profile
+     */
+    saveCustom(profile) {
+        const errors = this.validate(profile);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        if (getBuiltInProfile(profile.id)) {
+            throw new Error('Built-in profiles cannot be modified.');
+        }
+
+        const saved = { ...profile, id: profile.id || `custom-${Date.now()}` };
+        const index = this.customProfiles.findIndex(p => p.id === saved.id);
+
+        if (index >= 0) {
+            this.customProfiles[index] = saved;
+        } else {
+            this.customProfiles.push(saved);
+        }
+
+        this.save();
+
+        if (saved.id === this.activeId && this.onChangeCallback) {
+            this.onChangeCallback(saved);
+        }
+
+        return saved;
+    }
+
+    /**
+     * Delete a user-defined profile
+     * @param {string} id - Profile ID
+     */
+    deleteCustom(id) {
+        this.customProfiles = this.customProfiles.filter(profile => profile.id !== id);
+
+        if (this.activeId === id) {
+            this.setActive(DEFAULT_PROFILE_ID);
+        } else {
+            this.save();
+        }
+    }
+
+    /**
+     * Validate a profile
+     * @param {Object} profile - Profile object
+     * @returns {Array<string>} Validation error messages (empty if valid)
+     */
+    validate(profile) {
+        const errors = [];
+        const values = [
+            profile.minVoltage, profile.nominalVoltage, profile.maxVoltage, profile.storageVoltage,
+            ...(profile.bands?.good || []), ...(profile.bands?.warning || [])
+        ];
+
+        if (!profile.name || !profile.name.trim()) {
+            errors.push('Name is required.');
+        }
+
+        if (values.length !== 8 || !values.every(Number.isFinite)) {
+            errors.push('All voltages must be numbers.');
+            return errors;
+        }
+
+        if (!(profile.minVoltage < profile.nominalVoltage && profile.nominalVoltage < profile.maxVoltage)) {
+            errors.push('Voltages must satisfy min < nominal < max.');
+        }
+
+        const [goodMin, goodMax] = profile.bands.good;
+        const [warningMin, warningMax] = profile.bands.warning;
+        if (!(warningMin <= goodMin && goodMin < goodMax && goodMax <= warningMax)) {
+            errors.push('The good band must lie inside the warning band.');
+        }
+
+        return errors;
+    }
+}
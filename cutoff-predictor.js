@@ -0,0 +1,189 @@
+/**
+ * CutoffPredictor - Module for predicting the time until a pack reaches its cutoff or full-charge voltage
+ * Fits the recent voltage trend of every cell and the pack total, and projects when the weakest cell
+ * crosses the chemistry's limit
+ */
+
+import { linearRegression } from './regression.js';
+import { PACK_SERIES } from './session-stats.js';
+
+export class CutoffPredictor {
+    constructor() {
+        this.window = 120000; // Span of recent readings the trend is fitted over (ms)
+        this.minSpan = 10000; // Shortest span worth predicting from (ms)
+        this.minSamples = 5;
+        this.series = new Map(); // Map of cell name (or PACK_SERIES) to recent readings as { time, voltage }
+        this.cellCount = 0;
+    }
+
+    /**
+     * Add a reading to the trend
+     * @param {Object} data - Parsed battery data
+     */
+    addSample(data) {
+        const validCells = data.cells.filter(cell => cell.individualVoltage > 0.1);
+        if (validCells.length === 0) {
+            return;
+        }
+
+        const time = data.timestamp.getTime();
+        this.cellCount = validCells.length;
+        for (const cell of validCells) {
+            this.addValue(cell.name, time, cell.individualVoltage);
+        }
+        this.addValue(PACK_SERIES, time, data.totalVoltage);
+    }
+
+    /**
+     * Add a value to one series, dropping readings older than the window
+     * @private
+     * @param {string} name - Cell name or PACK_SERIES
+     * @param {number} time - Reading time (ms)
+     * @param {number} voltage - Voltage
+     */
+    addValue(name, time, voltage) {
+        if (!this.series.has(name)) {
+            this.series.set(name, []);
+        }
+
+        const readings = this.series.get(name);
+        readings.push({ time: time, voltage: voltage });
+        while (readings[0].time < time - this.window) {
+            readings.shift();
+        }
+    }
+
+    /**
+     * Fit the trend of one series
+     * @private
+     * @param {string} name - Cell name or PACK_SERIES
+     * @returns {Object|null} Object with slope and slopeError (V/min), value (fitted voltage at the newest reading)
+     *                        and time (ms), or null with too few readings
+     */
+    fit(name) {
+        const readings = this.series.get(name) || [];
+        if (readings.length < this.minSamples) {
+            return null;
+        }
+
+        const newest = readings[readings.length - 1].time;
+        if (newest - readings[0].time < this.minSpan) {
+            return null;
+        }
+
+        // Minutes before the newest reading, so the intercept is the fitted voltage now
+        const fit = linearRegression(readings.map(reading => ({
+            x: (reading.time - newest) / 60000,
+            y: reading.voltage
+        })));
+        if (!fit) {
+            return null;
+        }
+
+        return { slope: fit.slope, slopeError: fit.slopeError ?? 0, value: fit.intercept, time: newest };
+    }
+
+    /**
+     * Estimate when a trend reaches a target voltage
+     * The range assumes the true slope lies within two standard errors of the fitted one
+     * @private
+     * @param {Object} fit - Trend (see fit())
+     * @param {number} target - Target voltage
+     * @param {number} sign - -1 when discharging towards the target, 1 when charging
+     * @returns {Object|null} Object with minutes, low and high (minutes, high may be Infinity), at (ms),
+     *                        from and to ({ x, y } ends of the projection), or null if moving away from the target
+     */
+    estimate(fit, target, sign) {
+        const rate = fit.slope * sign; // V/min towards the target
+        if (rate <= 0) {
+            return null;
+        }
+
+        const remaining = Math.max(0, (target - fit.value) * sign);
+        const minutes = remaining / rate;
+        const slowest = rate - 2 * fit.slopeError;
+        const at = fit.time + minutes * 60000;
+
+        return {
+            minutes: minutes,
+            low: remaining / (rate + 2 * fit.slopeError),
+            high: slowest > 0 ? remaining / slowest : Infinity,
+            at: at,
+            from: { x: fit.time, y: fit.value },
+            to: { x: at, y: target }
+        };
+    }
+
+    /**
+     * Predict the time until the weakest cell reaches the cutoff (discharging) or full-charge (charging) voltage
+     * The direction follows the pack trend; a trend smaller than its noise counts as stable.
+     * @param {Object} profile - Chemistry profile with minVoltage and maxVoltage
+     * @returns {Object|null} Object with direction ('discharging', 'charging' or 'stable'), target (per-cell V),
+     *                        cell (estimate of the weakest cell with its name, or null), pack (estimate of the pack
+     *                        total, or null) and confidence ('high', 'medium' or 'low'), or null with too little data
+     */
+    predict(profile) {
+        const packFit = this.fit(PACK_SERIES);
+        if (!packFit) {
+            return null;
+        }
+
+        if (Math.abs(packFit.slope) <= 2 * packFit.slopeError) {
+            return { direction: 'stable', target: null, cell: null, pack: null, confidence: null };
+        }
+
+        const sign = packFit.slope < 0 ? -1 : 1;
+        const target = sign < 0 ? profile.minVoltage : profile.maxVoltage;
+
+        // The weakest cell is the one that gets there first
+        let cell = null;
+        for (const name of this.series.keys()) {
+            if (name === PACK_SERIES) {
+                continue;
+            }
+            // Cells missing from the latest reading (e.g. disconnected) have no current trend
+            const cellFit = this.fit(name);
+            const estimate = cellFit && cellFit.time === packFit.time ? this.estimate(cellFit, target, sign) : null;
+            if (estimate && (!cell || estimate.minutes < cell.minutes)) {
+                cell = { name: name, ...estimate };
+            }
+        }
+
+        const pack = this.estimate(packFit, target * this.cellCount, sign);
+        const headline = cell || pack;
+
+        return {
+            direction: sign < 0 ? 'discharging' : 'charging',
+            target: target,
+            cell: cell,
+            pack: pack,
+            confidence: headline ? this.getConfidence(headline) : null
+        };
+    }
+
+    /**
+     * Rate how narrow the range of an estimate is relative to the estimate
+     * @private
+     * @param {Object} estimate - Estimate (see estimate())
+     * @returns {string} 'high', 'medium' or 'low'
+     */
+    getConfidence(estimate) {
+        if (estimate.minutes === 0) {
+            return 'high';
+        }
+
+        const width = (estimate.high - estimate.low) / estimate.minutes;
+        if (width <= 0.25) {
+            return 'high';
+        }
+        return width <= 1 ? 'medium' : 'low';
+    }
+
+    /**
+     * Forget the trend
+     */
+    reset() {
+        this.series.clear();
+        this.cellCount = 0;
+    }
+}
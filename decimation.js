@@ -0,0 +1,86 @@
+/**
+ * Decimation - Module for reducing long time series to what a chart can show
+ * Keeps the lowest and highest point of every pixel column so spikes and dips survive downsampling
+ */
+
+/**
+ * Find the index of the first point at or after a time
+ * @param {Array} points - Points as { x, y }, sorted by x
+ * @param {number} x - Time to look for
+ * @returns {number} Index, or points.length if every point is earlier
+ */
+export function findIndex(points, x) {
+    let low = 0;
+    let high = points.length;
+
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (points[middle].x < x) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * Downsample the points within a time range with min/max bucketing
+ * The range is split into equal buckets and each bucket keeps its lowest and highest point in time order.
+ * The points just outside the range are kept so lines run to the edges of the chart.
+ * @param {Array} points - Points as { x, y }, sorted by x
+ * @param {number} min - Start of the range
+ * @param {number} max - End of the range
+ * @param {number} buckets - Number of buckets, usually the chart width in pixels
+ * @returns {Array} At most 2 * buckets + 2 points, or the points in range unchanged if there are fewer
+ */
+export function decimateMinMax(points, min, max, buckets) {
+    const start = Math.max(0, findIndex(points, min) - 1);
+    const end = Math.min(points.length, findIndex(points, max) + 1);
+
+    if (end - start <= buckets * 2 + 2) {
+        return points.slice(start, end);
+    }
+
+    const result = [points[start]];
+    const bucketWidth = (max - min) / buckets;
+    let bucket = null;
+    let low = null;
+    let high = null;
+
+    const flush = () => {
+        if (low === high) {
+            result.push(low);
+        } else if (low.x < high.x) {
+            result.push(low, high);
+        } else {
+            result.push(high, low);
+        }
+    };
+
+    for (let i = start + 1; i < end - 1; i++) {
+        const point = points[i];
+        const index = Math.floor((point.x - min) / bucketWidth);
+
+        if (index !== bucket) {
+            if (low) {
+                flush();
+            }
+            bucket = index;
+            low = point;
+            high = point;
+        } else if (point.y < low.y) {
+            low = point;
+        } else if (point.y > high.y) {
+            high = point;
+        }
+    }
+
+    if (low) {
+        flush();
+    }
+    result.push(points[end - 1]);
+
+    return result;
+}
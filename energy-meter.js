@@ -0,0 +1,136 @@
+/**
+ * EnergyMeter - Module for coulomb counting and energy tracking over a session
+ * Integrates the pack current and power of readings that have a current sensor into delivered and absorbed
+ * charge (Ah) and energy (Wh), and estimates the remaining capacity
+ */
+
+export class EnergyMeter {
+    constructor() {
+        this.maxGap = 300000; // Longer gaps between readings (e.g. while disconnected) are not integrated (ms)
+        this.minSocChange = 10; // Smallest SoC change a capacity can be measured over (%)
+        this.reset();
+    }
+
+    /**
+     * Add a reading to the totals
+     * The current between two readings is taken as the mean of both (trapezoidal rule); positive current
+     * counts as discharged, negative as charged
+     * @param {Object} data - Parsed battery data with SoC applied
+     */
+    addSample(data) {
+        if (data.current === null || data.current === undefined) {
+            // Readings without current (e.g. a board without the sensor) interrupt the integration
+            this.last = null;
+            return;
+        }
+
+        const time = data.timestamp.getTime();
+        const power = data.current * data.totalVoltage;
+
+        if (this.last) {
+            const elapsed = time - this.last.time;
+            if (elapsed > 0 && elapsed <= this.maxGap) {
+                const hours = elapsed / 3600000;
+                this.accumulate('ah', (this.last.current + data.current) / 2 * hours);
+                this.accumulate('wh', (this.last.power + power) / 2 * hours);
+                this.duration += elapsed;
+            }
+        }
+
+        if (this.startSoc === null && data.soc !== null && data.soc !== undefined) {
+            this.startSoc = data.soc;
+            this.startNetAh = this.getNet('ah');
+        }
+
+        if (data.soc !== null && data.soc !== undefined) {
+            this.lastSoc = data.soc;
+        }
+        this.last = { time: time, current: data.current, power: power };
+        this.count++;
+        this.peakCurrent = Math.max(this.peakCurrent, Math.abs(data.current));
+    }
+
+    /**
+     * Add charge or energy to the discharged or charged total by its sign
+     * @private
+     * @param {string} unit - 'ah' or 'wh'
+     * @param {number} amount - Amount, positive when discharged
+     */
+    accumulate(unit, amount) {
+        if (amount >= 0) {
+            this.discharged[unit] += amount;
+        } else {
+            this.charged[unit] -= amount;
+        }
+    }
+
+    /**
+     * Get the net amount taken out of the pack
+     * @private
+     * @param {string} unit - 'ah' or 'wh'
+     * @returns {number} Discharged minus charged
+     */
+    getNet(unit) {
+        return this.discharged[unit] - this.charged[unit];
+    }
+
+    /**
+     * Get the session totals and capacity estimates
+     * The remaining capacity starts from the SoC of the first reading (estimated from voltage, so most accurate
+     * when the session starts at rest) and subtracts the charge counted since. The measured capacity is the
+     * charge counted per SoC change, and is skewed when the load depresses the voltage at either end.
+     * @param {number} capacity - Rated capacity (mAh), 0 to use the measured capacity
+     * @returns {Object|null} Object with discharged and charged ({ ah, wh }), netAh, netWh, current (A), power (W),
+     *                        peakCurrent (A), duration (ms of integrated time), measuredCapacity and remaining (mAh,
+     *                        null when unknown) and remainingPercent, or null before any reading with current;
+     *                        current and power are null while the latest reading has no current
+     */
+    get(capacity = 0) {
+        if (this.count === 0) {
+            return null;
+        }
+
+        // Charge counted since the first SoC, against the SoC change over the same span
+        let measuredCapacity = null;
+        const counted = (this.getNet('ah') - this.startNetAh) * 1000;
+        const socChange = this.startSoc !== null && this.lastSoc !== null ? this.startSoc - this.lastSoc : 0;
+        if (Math.abs(socChange) >= this.minSocChange && Math.sign(socChange) === Math.sign(counted)) {
+            measuredCapacity = counted / (socChange / 100);
+        }
+
+        const total = capacity > 0 ? capacity : measuredCapacity;
+        let remaining = null;
+        if (total && this.startSoc !== null) {
+            remaining = Math.min(total, Math.max(0, total * this.startSoc / 100 - counted));
+        }
+
+        return {
+            discharged: { ...this.discharged },
+            charged: { ...this.charged },
+            netAh: this.getNet('ah'),
+            netWh: this.getNet('wh'),
+            current: this.last ? this.last.current : null,
+            power: this.last ? this.last.power : null,
+            peakCurrent: this.peakCurrent,
+            duration: this.duration,
+            measuredCapacity: measuredCapacity,
+            remaining: remaining,
+            remainingPercent: remaining !== null ? remaining / total * 100 : null
+        };
+    }
+
+    /**
+     * Forget all totals
+     */
+    reset() {
+        this.discharged = { ah: 0, wh: 0 };
+        this.charged = { ah: 0, wh: 0 };
+        this.duration = 0;
+        this.peakCurrent = 0;
+        this.startSoc = null; // Pack SoC of the first reading with one (%)
+        this.startNetAh = 0; // Net charge counted before that reading (Ah)
+        this.lastSoc = null; // Pack SoC of the latest reading with one (%)
+        this.last = null; // Latest reading with current as { time, current, power }, null after an interruption
+        this.count = 0; // Readings with current
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * Frame formats - Machine-friendly single-line frame formats for BatteryParser
+ * A format is an object with id, name, lineBased, detect(frame) and parse(frame, data)
+ */
+
+/**
+ * Fill a parsed data object from individual cell voltages
+ * Cumulative tap voltages are derived so line-based frames look like text reports downstream
+ * @param {Object} data - Parsed data object to fill
+ * @param {Array<number>} voltages - Individual cell voltages, first cell first
+ * @param {number} total - Pack voltage reported by the device (summed from the cells if missing)
+ * @throws {Error} If a cell voltage is not a number, so the frame counts as unrecognized
+ */
+export function fillFromCellVoltages(data, voltages, total) {
+    const invalid = voltages.findIndex(voltage => !Number.isFinite(voltage));
+    if (invalid !== -1) {
+        throw new Error(`Cell ${invalid + 1} voltage is not a number`);
+    }
+
+    let cumulative = 0;
+
+    voltages.forEach((voltage, index) => {
+        const number = index + 1;
+        cumulative += voltage;
+
+        data.cells.push({
+            name: `${number}S`,
+            number: number,
+            voltage: cumulative,
+            individualVoltage: voltage,
+            raw: null,
+            module: null,
+            pin: null
+        });
+
+        data.individualCells.push({
+            name: `${number}S`,
+            number: number,
+            individualVoltage: voltage
+        });
+    });
+
+    data.cellCount = voltages.length;
+    data.totalVoltage = Number.isFinite(total) ? total : cumulative;
+}
+
+/**
+ * Add a temperature sensor reading to a parsed data object
+ * @param {Object} data - Parsed data object to fill
+ * @param {number|null} cellNumber - Number of the cell the sensor sits on, or null for a pack sensor
+ * @param {string|null} name - Sensor name (cell sensors are named after their cell, e.g. '1S')
+ * @param {number} temperature - Temperature (°C); non-numeric values are skipped
+ */
+export function addTemperature(data, cellNumber, name, temperature) {
+    if (!Number.isFinite(temperature)) {
+        return;
+    }
+
+    data.temperatures.push({
+        name: cellNumber !== null ? `${cellNumber}S` : name,
+        cellNumber: cellNumber,
+        temperature: temperature
+    });
+}
+
+/**
+ * Newline-delimited JSON, one object per reading:
+ * {"cells":[3.712,3.705,3.701,3.702],"total":14.82}
+ * Optional keys: "current" (A), "shunt" (shunt RAW value), "temp" (pack °C) and "cellTemps" (°C per cell)
+ */
+export const JSON_LINES_FORMAT = {
+    id: 'json',
+    name: 'JSON lines',
+    lineBased: true,
+
+    detect(frame) {
+        return frame.startsWith('{') && frame.endsWith('}') && frame.includes('"cells"');
+    },
+
+    parse(frame, data) {
+        let json;
+        try {
+            json = JSON.parse(frame);
+        } catch (error) {
+            throw new Error(`Malformed JSON frame: ${error.message}`);
+        }
+
+        if (!Array.isArray(json.cells)) {
+            throw new Error('JSON frame has no "cells" array');
+        }
+
+        // A missing or null total is summed from the cells (Number(null) would be 0)
+        const hasTotal = json.total !== null && json.total !== undefined;
+        const total = hasTotal ? Number(json.total) : NaN;
+        if (hasTotal && !Number.isFinite(total)) {
+            throw new Error('JSON frame total is not a number');
+        }
+        fillFromCellVoltages(data, json.cells.map(Number), total);
+
+        if (Number.isFinite(json.current)) {
+            data.current = json.current;
+        }
+        if (Number.isInteger(json.shunt)) {
+            data.shuntRaw = json.shunt;
+        }
+        if (Array.isArray(json.cellTemps)) {
+            json.cellTemps.forEach((temperature, index) => addTemperature(data, index + 1, null, temperature));
+        }
+        addTemperature(data, null, 'Pack', json.temp);
+    }
+};
+
+/**
+ * Compact key=value line, one per reading (comma, semicolon or whitespace separated):
+ * total=14.82,c1=3.712,c2=3.705,c3=3.701,c4=3.702
+ * Optional keys: i (current, A), shunt (shunt RAW value), temp (pack °C) and t1, t2... (°C per cell).
+ * Missing cell numbers are treated as disconnected (0V); unknown keys are ignored.
+ */
+export const KEY_VALUE_FORMAT = {
+    id: 'kv',
+    name: 'key=value',
+    lineBased: true,
+
+    detect(frame) {
+        return /^([A-Za-z]\w*=[-+\d.eE]+[,;\s]*)+$/.test(frame) && /(^|[,;\s])c\d+=/.test(frame);
+    },
+
+    parse(frame, data) {
+        const values = {};
+        for (const pair of frame.split(/[,;\s]+/)) {
+            const [key, value] = pair.split('=');
+            if (key && value !== undefined) {
+                values[key.toLowerCase()] = parseFloat(value);
+            }
+        }
+
+        const voltages = [];
+        for (const [key, value] of Object.entries(values)) {
+            const match = key.match(/^c(\d+)$/);
+            if (match && parseInt(match[1]) > 0) {
+                voltages[parseInt(match[1]) - 1] = value;
+            }
+        }
+
+        // The detect pattern lets through values such as "." or "e" that are no number
+        if (values.total !== undefined && !Number.isFinite(values.total)) {
+            throw new Error('key=value frame total is not a number');
+        }
+        fillFromCellVoltages(data, Array.from(voltages, voltage => voltage ?? 0), values.total);
+
+        if (Number.isFinite(values.i)) {
+            data.current = values.i;
+        }
+        if (Number.isInteger(values.shunt)) {
+            data.shuntRaw = values.shunt;
+        }
+        for (const [key, value] of Object.entries(values)) {
+            const match = key.match(/^t(\d+)$/);
+            if (match && parseInt(match[1]) > 0) {
+                addTemperature(data, parseInt(match[1]), null, value);
+            }
+        }
+        addTemperature(data, null, 'Pack', values.temp);
+    }
+};
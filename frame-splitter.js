@@ -0,0 +1,109 @@
+/**
+ * FrameSplitter - Module for splitting received text into complete frames
+ * Shared by the browser readers and the command-line logger so both split frames identically
+ */
+
+// Line printed by the reader firmware after every complete reading
+export const FRAME_SEPARATOR = '==========================================================';
+
+export class FrameSplitter {
+    constructor() {
+        this.buffer = '';
+        this.lineFrameMatcher = null;
+        this.maxBuffer = 10000; // Characters kept while waiting for a separator
+    }
+
+    /**
+     * Recognize single-line frames (e.g. JSON lines) in addition to separator-delimited frames
+     * @param {Function|null} matcher - Function returning true if a trimmed line is a complete frame
+     */
+    setLineFrameMatcher(matcher) {
+        this.lineFrameMatcher = matcher;
+    }
+
+    /**
+     * Add received text and take out every frame it completes
+     * @param {string} chunk - Received text, split anywhere
+     * @returns {Array<string>} Complete frames in the order they were received, trimmed
+     */
+    push(chunk) {
+        const frames = [];
+
+        // Add chunk to buffer
+        this.buffer += chunk;
+
+        // Emit single-line frames first; they carry no separator
+        if (this.lineFrameMatcher) {
+            frames.push(...this.extractLineFrames());
+        }
+
+        // Split by separator line
+        const parts = this.buffer.split(FRAME_SEPARATOR);
+
+        // Process all complete readings (all parts except the last)
+        for (let i = 0; i < parts.length - 1; i++) {
+            const reading = parts[i].trim();
+            if (reading) {
+                frames.push(reading);
+            }
+        }
+
+        // Keep the last incomplete part in buffer
+        this.buffer = parts[parts.length - 1];
+
+        // Prevent buffer overflow
+        if (this.buffer.length > this.maxBuffer) {
+            console.warn('Buffer overflow, clearing');
+            this.buffer = '';
+        }
+
+        return frames;
+    }
+
+    /**
+     * Take complete lines that are frames on their own out of the buffer
+     * @private
+     * @returns {Array<string>} Single-line frames, preceded by any separator-delimited frames completed before them
+     */
+    extractLineFrames() {
+        const lastNewline = this.buffer.lastIndexOf('\n');
+        if (lastNewline === -1) {
+            return [];
+        }
+
+        const lines = this.buffer.slice(0, lastNewline).split('\n');
+        const frames = [];
+        let remaining = [];
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (this.lineFrameMatcher(trimmed)) {
+                // Separator-delimited frames completed before this line come first, so frames stay in order
+                const parts = remaining.join('\n').split(FRAME_SEPARATOR);
+                for (const part of parts.slice(0, -1)) {
+                    if (part.trim()) {
+                        frames.push(part.trim());
+                    }
+                }
+                frames.push(trimmed);
+                // Other text before a single-line frame (e.g. command responses) cannot belong to a text frame
+                remaining = [];
+            } else {
+                remaining.push(line);
+            }
+        }
+
+        // Lines of a separator-delimited frame in progress stay buffered
+        const rest = this.buffer.slice(lastNewline + 1);
+        this.buffer = remaining.length > 0 ? remaining.join('\n') + '\n' + rest : rest;
+
+        return frames;
+    }
+
+    /**
+     * Drop a partially received frame
+     */
+    reset() {
+        this.buffer = '';
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * ImbalanceAnalyzer - Module for cell imbalance analysis
+ * Computes per-cell deviation, tracks the spread over a session and estimates passive balancing work
+ */
+
+import { linearRegression } from './regression.js';
+
+export class ImbalanceAnalyzer {
+    constructor(storageKey = 'battery-monitor.balance') {
+        this.storageKey = storageKey;
+        this.settings = {
+            capacity: 0, // Cell capacity (mAh); 0 disables bleed estimates
+            tolerance: 20 // Deviation considered balanced (mV)
+        };
+        this.samples = []; // Spread history as { time, spread } in ms and mV
+        this.maxSamples = 10000;
+
+        this.load();
+    }
+
+    /**
+     * Load settings from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) {
+                this.settings = { ...this.settings, ...stored };
+            }
+        } catch (error) {
+            console.warn('Failed to load balance settings:', error);
+        }
+    }
+
+    /**
+     * Persist settings to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Update settings
+     * @param {Object} settings - Partial settings object
+     */
+    configure(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.save();
+    }
+
+    /**
+     * Analyze the imbalance of a reading
+     * Expects cell SoC to be set by SocEstimator.apply(); bleed estimates are skipped without it
+     * @param {Object} data - Parsed battery data
+     * @returns {Object|null} Analysis, or null with fewer than two connected cells
+     */
+    analyze(data) {
+        const validCells = data.cells.filter(cell => cell.individualVoltage > 0.1);
+        if (validCells.length < 2) {
+            return null;
+        }
+
+        const voltages = validCells.map(cell => cell.individualVoltage);
+        const mean = voltages.reduce((a, b) => a + b, 0) / voltages.length;
+        const tolerance = this.settings.tolerance;
+
+        const cells = validCells.map(cell => {
+            const deviation = (cell.individualVoltage - mean) * 1000;
+            return {
+                name: cell.name,
+                voltage: cell.individualVoltage,
+                soc: cell.soc ?? null,
+                deviation: deviation,
+                outlier: deviation > tolerance ? 'high' : deviation < -tolerance ? 'low' : null
+            };
+        });
+
+        // Highest first
+        const ranking = [...cells].sort((a, b) => b.voltage - a.voltage);
+        const lowest = ranking[ranking.length - 1];
+
+        // Passive balancing bleeds every high cell down to the lowest one
+        const recommendations = ranking
+            .filter(cell => (cell.voltage - lowest.voltage) * 1000 > tolerance)
+            .map(cell => {
+                const excess = (cell.voltage - lowest.voltage) * 1000;
+                const bleed = this.estimateBleed(cell, lowest);
+                return {
+                    name: cell.name,
+                    excess: excess,
+                    bleed: bleed,
+                    message: `Cell ${cell.name} is ${excess.toFixed(0)} mV high`
+                        + (bleed !== null ? `, bleed ~${bleed.toFixed(0)} mAh` : '')
+                };
+            });
+
+        return {
+            mean: mean,
+            spread: (ranking[0].voltage - lowest.voltage) * 1000,
+            cells: cells,
+            ranking: ranking,
+            lowest: lowest,
+            recommendations: recommendations,
+            balanced: recommendations.length === 0
+        };
+    }
+
+    /**
+     * Estimate the charge to bleed from a cell to match a reference cell
+     * @private
+     * @param {Object} cell - Analyzed cell
+     * @param {Object} reference - Analyzed reference (lowest) cell
+     * @returns {number|null} Charge in mAh, or null without capacity or SoC
+     */
+    estimateBleed(cell, reference) {
+        if (!(this.settings.capacity > 0) || cell.soc === null || reference.soc === null) {
+            return null;
+        }
+
+        return Math.max(0, cell.soc - reference.soc) / 100 * this.settings.capacity;
+    }
+
+    /**
+     * Record the spread of a reading for the session trend
+     * @param {Object} data - Parsed battery data
+     */
+    addSample(data) {
+        const analysis = this.analyze(data);
+        if (!analysis) {
+            return;
+        }
+
+        this.samples.push({ time: data.timestamp.getTime(), spread: analysis.spread });
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Get the spread trend over the recorded samples
+     * @returns {Object|null} Object with current, min and max spread (mV), rate (mV/h, null over
+     *                        too short a span) and duration (ms), or null without samples
+     */
+    getSpreadTrend() {
+        if (this.samples.length === 0) {
+            return null;
+        }
+
+        const spreads = this.samples.map(sample => sample.spread);
+        const first = this.samples[0].time;
+        const duration = this.samples[this.samples.length - 1].time - first;
+
+        // Least-squares slope, in hours so the rate reads as mV/h
+        const fit = linearRegression(this.samples.map(sample => ({
+            x: (sample.time - first) / 3600000,
+            y: sample.spread
+        })));
+        const rate = fit ? fit.slope : null;
+
+        return {
+            current: spreads[spreads.length - 1],
+            min: Math.min(...spreads),
+            max: Math.max(...spreads),
+            rate: rate,
+            duration: duration
+        };
+    }
+
+    /**
+     * Forget the spread history
+     */
+    reset() {
+        this.samples = [];
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * LabelSets - Module for firmware label sets used by the text report parser
+ * Provides built-in and user-defined label dictionaries and builds the parsing regexes from them
+ */
+
+// Words printed by the firmware; the report structure is the same for every language
+export const BUILT_IN_LABEL_SETS = [
+    {
+        id: 'pt',
+        name: 'Português',
+        header: 'LEITURA ATUAL',
+        total: 'BATERIA TOTAL',
+        cell: 'Cel',
+        module: 'Módulo',
+        voltage: 'Tensão',
+        current: 'Corrente',
+        temperature: 'Temp'
+    },
+    {
+        id: 'en',
+        name: 'English',
+        header: 'CURRENT READING',
+        total: 'BATTERY TOTAL',
+        cell: 'Cell',
+        module: 'Module',
+        voltage: 'Voltage',
+        current: 'Current',
+        temperature: 'Temp'
+    }
+];
+
+export const LABEL_FIELDS = ['header', 'total', 'cell', 'module', 'voltage'];
+
+// Labels of the current and temperature lines; sets without them parse voltages only
+export const OPTIONAL_LABEL_FIELDS = ['current', 'temperature'];
+
+/**
+ * Escape a label for use inside a regex
+ * @param {string} text - Label text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the text report regexes for a label set
+ * @param {Object} labels - Label set
+ * @returns {Object} Regex patterns: totalVoltage, individualCell, moduleHeader, pinData, and packCurrent,
+ *                   cellTemperature and sensorTemperature when the set has the optional labels
+ */
+export function buildPatterns(labels) {
+    const total = escapeRegExp(labels.total);
+    const cell = escapeRegExp(labels.cell);
+    const module = escapeRegExp(labels.module);
+    const voltage = escapeRegExp(labels.voltage);
+
+    const patterns = {
+        totalVoltage: new RegExp(`${total} \\((\\d+)S\\):\\s+([-\\d.]+)V`),
+        individualCell: new RegExp(`${cell}\\s+(\\d+):\\s+([-\\d.]+)V`),
+        moduleHeader: new RegExp(`${module}\\s+(\\d+)\\s+\\(0x([0-9A-Fa-f]+)\\):`),
+        pinData: new RegExp(`A(\\d+)\\s+\\((\\d+)S\\):\\s+RAW=([-\\d]+)\\s+${voltage}=([-\\d.]+)V`)
+    };
+
+    // "Corrente: -2.345A (RAW=-1172)", the shunt RAW value being optional
+    if (labels.current) {
+        const current = escapeRegExp(labels.current);
+        patterns.packCurrent = new RegExp(`${current}:\\s+([-\\d.]+)A(?:\\s+\\(RAW=([-\\d]+)\\))?`);
+    }
+
+    // "Temp Cel 1: 25.3C" for a cell sensor, "Temp Pack: 31.0C" for any other named sensor
+    if (labels.temperature) {
+        const temperature = escapeRegExp(labels.temperature);
+        patterns.cellTemperature = new RegExp(`${temperature}\\s+${cell}\\s+(\\d+):\\s+([-\\d.]+)\\s*°?C`);
+        patterns.sensorTemperature = new RegExp(`${temperature}\\s+([^\\s:]+):\\s+([-\\d.]+)\\s*°?C`);
+    }
+
+    return patterns;
+}
+
+export class LabelSets {
+    constructor(storageKey = 'battery-monitor.labels') {
+        this.storageKey = storageKey;
+        this.customSets = [];
+        this.onChangeCallback = null;
+
+        this.load();
+    }
+
+    /**
+     * Register callback for label set changes
+     * @param {Function} callback - Function to call with all label sets
+     */
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+
+    /**
+     * Load custom label sets from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            this.customSets = Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Failed to load label sets:', error);
+        }
+    }
+
+    /**
+     * Persist custom label sets to localStorage and notify listeners
+     */
+    save() {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.customSets));
+        }
+
+        if (this.onChangeCallback) {
+            this.onChangeCallback(this.getAll());
+        }
+    }
+
+    /**
+     * Get all label sets, built-in first
+     * @returns {Array} Array of label set objects
+     */
+    getAll() {
+        return [...BUILT_IN_LABEL_SETS, ...this.customSets];
+    }
+
+    /**
+     * Get a label set by ID
+     * @param {string} id - Label set ID
+     * @returns {Object|undefined} Label set object
+     */
+    get(id) {
+        return this.getAll().find(labels => labels.id === id);
+    }
+
+    /**
+     * Check if a label set is user-defined
+     * @param {string} id - Label set ID
+     * @returns {boolean}
+     */
+    isCustom(id) {
+        return this.customSets.some(labels => labels.id === id);
+    }
+
+    /**
+     * Create or update a user-defined label set
+     * @param {Object} labels - Label set object (ID is generated for new sets)
+     * @returns {Object} Saved label set
+     */
+    saveCustom(labels) {
+        const errors = this.validate(labels);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        if (BUILT_IN_LABEL_SETS.some(set => set.id === labels.id)) {
+            throw new Error('Built-in label sets cannot be modified.');
+        }
+
+        const saved = { ...labels, id: labels.id || `custom-${Date.now()}` };
+        const index = this.customSets.findIndex(set => set.id === saved.id);
+
+        if (index >= 0) {
+            this.customSets[index] = saved;
+        } else {
+            this.customSets.push(saved);
+        }
+
+        this.save();
+        return saved;
+    }
+
+    /**
+     * Delete a user-defined label set
+     * @param {string} id - Label set ID
+     */
+    deleteCustom(id) {
+        this.customSets = this.customSets.filter(labels => labels.id !== id);
+        this.save();
+    }
+
+    /**
+     * Validate a label set
+     * @param {Object} labels - Label set object
+     * @returns {Array<string>} Validation error messages (empty if valid)
+     */
+    validate(labels) {
+        const errors = [];
+
+        if (!labels.name || !labels.name.trim()) {
+            errors.push('Name is required.');
+        }
+
+        const missing = LABEL_FIELDS.filter(field => !labels[field] || !labels[field].trim());
+        if (missing.length > 0) {
+            errors.push(`Labels are required: ${missing.join(', ')}.`);
+        }
+
+        return errors;
+    }
+}
@@ -0,0 +1,286 @@
+/**
+ * LogReplayer - Module for replaying recorded raw serial captures
+ * Feeds a captured log frame by frame into a SerialReader so it goes through the real pipeline
+ */
+
+import { FRAME_SEPARATOR } from './serial-reader.js';
+
+export class LogReplayer {
+    constructor(reader) {
+        this.reader = reader;
+        this.frames = [];
+        this.fileName = '';
+        this.position = 0; // Index of the next frame to play
+        this.currentIndex = -1; // Index of the frame being emitted
+        this.speed = 1; // Playback multiplier, Infinity for instant
+        this.frameInterval = 1000; // Time between frames in the capture (ms)
+        this.startTime = new Date();
+        this.isPlaying = false;
+        this.timer = null;
+        this.feedToken = 0;
+        this.batchSize = 100; // Frames fed per tick when replaying instantly
+        this.onProgressCallback = null;
+        this.onResetCallback = null;
+    }
+
+    /**
+     * Register callback for playback progress
+     * @param {Function} callback - Function to call with { position, total, isPlaying }
+     */
+    onProgress(callback) {
+        this.onProgressCallback = callback;
+    }
+
+    /**
+     * Register callback fired before the timeline is rebuilt by a seek
+     * @param {Function} callback - Function to call to clear dashboard state
+     */
+    onReset(callback) {
+        this.onResetCallback = callback;
+    }
+
+    /**
+     * Notify progress listeners
+     * @private
+     */
+    _notifyProgress() {
+        if (this.onProgressCallback) {
+            this.onProgressCallback({
+                position: this.position,
+                total: this.frames.length,
+                isPlaying: this.isPlaying
+            });
+        }
+    }
+
+    /**
+     * Load a raw serial capture
+     * @param {string} text - Raw text captured from the device
+     * @param {Object} options - Load options
+     * @param {string} options.fileName - Name of the capture file
+     * @param {Date} options.endTime - Time the capture ended (e.g. file modification time)
+     * @param {number} options.frameInterval - Time between frames in ms
+     * @returns {number} Number of frames found
+     */
+    load(text, { fileName = '', endTime = new Date(), frameInterval = this.frameInterval } = {}) {
+        this.pause();
+
+        const frames = this.splitFrames(text);
+
+        if (frames.length === 0) {
+            throw new Error('No complete frames found in log');
+        }
+
+        this.frames = frames;
+        this.fileName = fileName;
+        this.frameInterval = frameInterval;
+        this.startTime = new Date(endTime.getTime() - frames.length * frameInterval);
+        this.position = 0;
+        this.currentIndex = -1;
+        this.reader.frameSplitter.reset();
+
+        console.log(`Loaded log "${fileName}" with ${frames.length} frames`);
+        this._notifyProgress();
+        return frames.length;
+    }
+
+    /**
+     * Split a capture into complete frames, in capture order
+     * Separator-delimited frames keep their separator; single-line frames recognized by
+     * the reader's line frame matcher become frames of their own
+     * @param {string} text - Raw text captured from the device
+     * @returns {Array<string>} Frames, each ready to be fed to the reader
+     */
+    splitFrames(text) {
+        const matcher = this.reader.frameSplitter.lineFrameMatcher;
+        const frames = [];
+        let pending = [];
+
+        for (const line of text.replace(/\r\n/g, '\n').split('\n')) {
+            const separatorIndex = line.indexOf(FRAME_SEPARATOR);
+
+            if (separatorIndex >= 0) {
+                pending.push(line.slice(0, separatorIndex));
+                if (pending.join('').trim()) {
+                    frames.push(pending.join('\n') + FRAME_SEPARATOR + '\n');
+                }
+                pending = [line.slice(separatorIndex + FRAME_SEPARATOR.length)];
+            } else if (matcher && matcher(line.trim())) {
+                frames.push(line.trim() + '\n');
+            } else {
+                pending.push(line);
+            }
+        }
+
+        // Text after the last separator is an incomplete frame and is dropped
+        return frames;
+    }
+
+    /**
+     * Unload the current capture and stop playback
+     */
+    unload() {
+        this.pause();
+        this.frames = [];
+        this.fileName = '';
+        this.position = 0;
+        this.currentIndex = -1;
+        this.reader.frameSplitter.reset();
+    }
+
+    /**
+     * Check if a capture is loaded
+     * @returns {boolean}
+     */
+    isLoaded() {
+        return this.frames.length > 0;
+    }
+
+    /**
+     * Get the capture time of the frame currently being emitted
+     * @returns {Date} Estimated capture time
+     */
+    getFrameTime() {
+        return new Date(this.startTime.getTime() + Math.max(0, this.currentIndex) * this.frameInterval);
+    }
+
+    /**
+     * Set playback speed
+     * @param {number} speed - Multiplier (1-100), or Infinity for instant
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+
+        // Reschedule so the new speed applies immediately
+        if (this.isPlaying) {
+            this.pause();
+            this.play();
+        }
+    }
+
+    /**
+     * Start or resume playback
+     */
+    play() {
+        if (this.isPlaying || !this.isLoaded()) {
+            return;
+        }
+
+        if (this.position >= this.frames.length) {
+            // Restart from the beginning when at the end
+            this.seek(0).then(() => this.play());
+            return;
+        }
+
+        this.isPlaying = true;
+        this._notifyProgress();
+
+        if (this.speed === Infinity) {
+            const token = this.feedToken;
+            this._feedRange(this.position, this.frames.length, token).then(() => {
+                if (token === this.feedToken) {
+                    this.isPlaying = false;
+                    this._notifyProgress();
+                }
+            });
+        } else {
+            this._scheduleNext();
+        }
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.isPlaying = false;
+        this.feedToken++;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        this._notifyProgress();
+    }
+
+    /**
+     * Jump to a frame, rebuilding the dashboard state up to that point
+     * @param {number} index - Frame index to continue playing from
+     */
+    async seek(index) {
+        const wasPlaying = this.isPlaying;
+        this.pause();
+
+        const target = Math.max(0, Math.min(index, this.frames.length));
+        const token = this.feedToken;
+
+        if (this.onResetCallback) {
+            this.onResetCallback();
+        }
+
+        this.reader.frameSplitter.reset();
+        this.position = 0;
+        await this._feedRange(0, target, token);
+
+        if (wasPlaying && token === this.feedToken) {
+            this.play();
+        }
+    }
+
+    /**
+     * Schedule the next frame at the current speed
+     * @private
+     */
+    _scheduleNext() {
+        const delay = this.frameInterval / this.speed;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (!this.isPlaying) {
+                return;
+            }
+
+            this._emitFrame(this.position);
+
+            if (this.position >= this.frames.length) {
+                this.isPlaying = false;
+                this._notifyProgress();
+            } else {
+                this._scheduleNext();
+            }
+        }, delay);
+    }
+
+    /**
+     * Feed a range of frames as fast as possible, yielding between batches
+     * @private
+     * @param {number} from - First frame index
+     * @param {number} to - Frame index to stop before
+     * @param {number} token - Feed token; feeding stops if it changes
+     */
+    async _feedRange(from, to, token) {
+        for (let i = from; i < to; i++) {
+            if (token !== this.feedToken) {
+                return;
+            }
+
+            this._emitFrame(i);
+
+            if ((i - from + 1) % this.batchSize === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+    }
+
+    /**
+     * Push one frame through the reader
+     * @private
+     * @param {number} index - Frame index
+     */
+    _emitFrame(index) {
+        this.currentIndex = index;
+        this.reader.processData(this.frames[index]);
+        this.position = index + 1;
+        this._notifyProgress();
+    }
+}
@@ -0,0 +1,337 @@
+/**
+ * MqttPublisher - Module for publishing readings to an MQTT broker
+ * Connects over MQTT-over-WebSocket with the mqtt.js browser client and queues readings while the broker is unreachable
+ */
+
+import { normalizeWebSocketUrl } from './websocket-reader.js';
+
+export const DEFAULT_MQTT_SETTINGS = {
+    url: 'ws://localhost:9001',
+    clientId: '',
+    username: '',
+    password: '',
+    topicPrefix: 'battery-monitor',
+    qos: 0,
+    retain: true, // Retain reading topics so new subscribers get the last reading
+    autoConnect: false // Connect when the page loads
+};
+
+export class MqttPublisher {
+    constructor(storageKey = 'battery-monitor.mqtt') {
+        this.storageKey = storageKey;
+        this.settings = { ...DEFAULT_MQTT_SETTINGS };
+        this.client = null;
+        this.status = 'disconnected';
+        this.statusMessage = '';
+        this.queue = []; // Readings and status updates waiting for the broker, each as an array of messages
+        this.maxQueue = 500;
+        this.onStatusChangeCallback = null;
+
+        this.load();
+    }
+
+    /**
+     * Load settings from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) {
+                this.settings = { ...this.settings, ...stored };
+            }
+        } catch (error) {
+            console.warn('Failed to load MQTT settings:', error);
+        }
+    }
+
+    /**
+     * Persist settings to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Validate and update settings
+     * Takes effect on the next connection
+     * @param {Object} settings - Partial settings object
+     */
+    configure(settings) {
+        const next = { ...this.settings, ...settings };
+        next.url = normalizeWebSocketUrl(next.url);
+        next.topicPrefix = next.topicPrefix.trim().replace(/^\/+|\/+$/g, '');
+
+        if (!next.topicPrefix || /[+#]/.test(next.topicPrefix)) {
+            throw new Error('Topic prefix is required and cannot contain + or #.');
+        }
+        if (![0, 1, 2].includes(next.qos)) {
+            throw new Error('QoS must be 0, 1 or 2.');
+        }
+
+        this.settings = next;
+        this.save();
+    }
+
+    /**
+     * Check if the mqtt.js client library is loaded
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof mqtt !== 'undefined';
+    }
+
+    /**
+     * Register callback for connection status changes
+     * @param {Function} callback - Function to call with (status, message)
+     */
+    onStatusChange(callback) {
+        this.onStatusChangeCallback = callback;
+    }
+
+    /**
+     * Update connection status and notify listeners
+     * @param {string} status - Status: 'connecting', 'connected', 'reconnecting', 'disconnected', 'error'
+     * @param {string} message - Optional message
+     */
+    updateStatus(status, message = '') {
+        this.status = status;
+        this.statusMessage = message;
+        if (this.onStatusChangeCallback) {
+            this.onStatusChangeCallback(status, message);
+        }
+    }
+
+    /**
+     * Get the availability topic
+     * @returns {string} Topic
+     */
+    getStatusTopic() {
+        return `${this.settings.topicPrefix}/status`;
+    }
+
+    /**
+     * Connect to the broker
+     * mqtt.js keeps retrying on its own until disconnect() is called
+     */
+    connect() {
+        if (!this.isSupported()) {
+            throw new Error('MQTT client library not loaded. Check that the mqtt.js CDN is reachable.');
+        }
+
+        if (this.client) {
+            console.log('Already connected to MQTT broker.');
+            return;
+        }
+
+        const { url, clientId, username, password } = this.settings;
+        this.updateStatus('connecting', `Connecting to ${url}...`);
+
+        this.client = mqtt.connect(url, {
+            clientId: clientId || `battery-monitor-${Math.random().toString(16).slice(2, 10)}`,
+            username: username || undefined,
+            password: password || undefined,
+            reconnectPeriod: 5000,
+            connectTimeout: 10000,
+            // The broker marks the monitor offline if the page goes away without disconnecting
+            will: { topic: this.getStatusTopic(), payload: 'offline', qos: 1, retain: true }
+        });
+
+        this.client.on('connect', () => {
+            this.client.publish(this.getStatusTopic(), 'online', { qos: 1, retain: true });
+            this.flushQueue();
+            this.updateStatus('connected', `Connected to ${url}`);
+            console.log('MQTT connected');
+        });
+
+        this.client.on('reconnect', () => {
+            this.updateStatus('reconnecting', `Reconnecting to ${url}...`);
+        });
+
+        this.client.on('offline', () => {
+            if (this.status === 'connected') {
+                this.updateStatus('reconnecting', 'Broker unreachable');
+            }
+        });
+
+        this.client.on('error', (error) => {
+            console.error('MQTT error:', error);
+            // Refused connections (e.g. bad credentials) will not succeed by retrying
+            if (error.code !== undefined && this.status !== 'connected') {
+                this.disconnect(error.message);
+            }
+        });
+    }
+
+    /**
+     * Disconnect from the broker, marking the monitor offline
+     * @param {string} error - Error that ended the connection, if any
+     */
+    disconnect(error = '') {
+        if (!this.client) {
+            this.updateStatus('disconnected', 'Disconnected from MQTT broker');
+            return;
+        }
+
+        const client = this.client;
+        this.client = null;
+
+        if (client.connected) {
+            client.publish(this.getStatusTopic(), 'offline', { qos: 1, retain: true });
+        }
+        client.end();
+
+        if (error) {
+            this.updateStatus('error', error);
+        } else {
+            this.updateStatus('disconnected', 'Disconnected from MQTT broker');
+        }
+        console.log('MQTT disconnected');
+    }
+
+    /**
+     * Build the messages of a reading
+     * @param {string} pack - Pack topic segment
+     * @param {Object} data - Parsed battery data
+     * @param {Object} summary - Summary statistics (see BatteryParser.getSummary())
+     * @returns {Array<Object>} Messages as { topic, payload }
+     */
+    buildMessages(pack, data, summary) {
+        const base = `${this.settings.topicPrefix}/${pack}`;
+        const reading = {
+            timestamp: data.timestamp.toISOString(),
+            format: data.format,
+            totalVoltage: data.totalVoltage,
+            cellCount: data.cellCount,
+            soc: data.soc ?? null,
+            minVoltage: summary.minVoltage,
+            maxVoltage: summary.maxVoltage,
+            spread: summary.voltageSpread,
+            current: data.current ?? null,
+            shuntRaw: data.shuntRaw ?? null,
+            maxTemperature: summary.maxTemperature ?? null,
+            cells: data.cells.map(cell => ({
+                number: cell.number,
+                voltage: cell.individualVoltage,
+                status: cell.status,
+                soc: cell.soc ?? null,
+                temperature: cell.temperature ?? null
+            })),
+            temperatures: (data.temperatures || []).map(sensor => ({
+                name: sensor.name,
+                cell: sensor.cellNumber,
+                temperature: sensor.temperature,
+                status: sensor.status
+            })),
+            modules: data.modules.map(module => ({
+                id: module.id,
+                address: module.address,
+                pins: module.pins.map(pin => ({ pin: pin.pin, cell: pin.cellNumber, raw: pin.raw, voltage: pin.voltage }))
+            }))
+        };
+
+        const messages = [
+            { topic: `${base}/reading`, payload: JSON.stringify(reading) },
+            { topic: `${base}/total_voltage`, payload: data.totalVoltage.toFixed(3) },
+            { topic: `${base}/spread`, payload: summary.voltageSpread.toFixed(3) }
+        ];
+        if (data.soc !== null && data.soc !== undefined) {
+            messages.push({ topic: `${base}/soc`, payload: data.soc.toFixed(1) });
+        }
+        if (data.current !== null && data.current !== undefined) {
+            messages.push({ topic: `${base}/current`, payload: data.current.toFixed(3) });
+        }
+
+        // Cell sensors are published under their cell, other sensors by name
+        for (const sensor of data.temperatures || []) {
+            const topic = sensor.cellNumber !== null
+                ? `${base}/cells/${sensor.cellNumber}/temperature`
+                : `${base}/temperatures/${sensor.name.replace(/[^\w-]/g, '_')}`;
+            messages.push({ topic: topic, payload: sensor.temperature.toFixed(1) });
+        }
+
+        for (const cell of data.cells) {
+            messages.push({ topic: `${base}/cells/${cell.number}/voltage`, payload: cell.individualVoltage.toFixed(3) });
+            messages.push({ topic: `${base}/cells/${cell.number}/status`, payload: cell.status });
+        }
+
+        for (const module of data.modules) {
+            for (const pin of module.pins) {
+                messages.push({ topic: `${base}/modules/${module.address}/${pin.pin}/raw`, payload: pin.raw.toString() });
+            }
+        }
+
+        return messages;
+    }
+
+    /**
+     * Publish a reading, or queue it while the broker is not connected
+     * @param {string} pack - Pack topic segment
+     * @param {Object} data - Parsed battery data
+     * @param {Object} summary - Summary statistics
+     */
+    publishReading(pack, data, summary) {
+        this.send(this.buildMessages(pack, data, summary));
+    }
+
+    /**
+     * Publish the data source status of a pack
+     * @param {string} pack - Pack topic segment
+     * @param {string} status - Data source status
+     */
+    publishPackStatus(pack, status) {
+        this.send([{ topic: `${this.settings.topicPrefix}/${pack}/source_status`, payload: status }]);
+    }
+
+    /**
+     * Publish messages now or add them to the offline queue
+     * Nothing is queued while publishing is switched off
+     * @private
+     * @param {Array<Object>} messages - Messages as { topic, payload }
+     */
+    send(messages) {
+        if (this.client && this.client.connected) {
+            this.publishMessages(messages);
+        } else if (this.client) {
+            this.queue.push(messages);
+            if (this.queue.length > this.maxQueue) {
+                this.queue.shift();
+            }
+        }
+    }
+
+    /**
+     * Publish queued readings in the order they were taken
+     * @private
+     */
+    flushQueue() {
+        const queued = this.queue;
+        this.queue = [];
+        if (queued.length > 0) {
+            console.log(`Publishing ${queued.length} queued readings`);
+        }
+
+        for (const messages of queued) {
+            this.publishMessages(messages);
+        }
+    }
+
+    /**
+     * Publish messages with the configured QoS and retain flag
+     * @private
+     * @param {Array<Object>} messages - Messages as { topic, payload }
+     */
+    publishMessages(messages) {
+        const options = { qos: this.settings.qos, retain: this.settings.retain };
+        for (const message of messages) {
+            this.client.publish(message.topic, message.payload, options);
+        }
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * PackList - Module for the list of monitored battery packs
+ * Persists pack names, data sources, last used devices and bridge addresses, and which pack is shown
+ */
+
+export class PackList {
+    constructor(storageKey = 'battery-monitor.packs') {
+        this.storageKey = storageKey;
+        this.packs = [{ id: 'pack-1', name: 'Pack 1', source: 'serial', portKey: null, websocketUrl: null }];
+        this.activeId = 'pack-1';
+
+        this.load();
+    }
+
+    /**
+     * Load the pack list from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && Array.isArray(stored.packs) && stored.packs.length > 0) {
+                this.packs = stored.packs;
+                this.activeId = stored.activeId;
+            }
+        } catch (error) {
+            console.warn('Failed to load pack list:', error);
+        }
+    }
+
+    /**
+     * Persist the pack list to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            packs: this.packs,
+            activeId: this.activeId
+        }));
+    }
+
+    /**
+     * Get a pack definition by ID
+     * @param {string} id - Pack ID
+     * @returns {Object|undefined} Pack definition
+     */
+    get(id) {
+        return this.packs.find(pack => pack.id === id);
+    }
+
+    /**
+     * Add a pack
+     * @param {string} name - Pack name (a numbered name is used if empty)
+     * @returns {Object} New pack definition
+     */
+    add(name = '') {
+        const pack = {
+            id: `pack-${Date.now()}`,
+            name: name.trim() || `Pack ${this.packs.length + 1}`,
+            source: 'serial',
+            portKey: null,
+            websocketUrl: null
+        };
+
+        this.packs.push(pack);
+        this.save();
+        return pack;
+    }
+
+    /**
+     * Update a pack definition
+     * @param {string} id - Pack ID
+     * @param {Object} changes - Partial definition (name, source, portKey or websocketUrl)
+     */
+    update(id, changes) {
+        const pack = this.get(id);
+        if (!pack) {
+            throw new Error(`Unknown pack: ${id}`);
+        }
+
+        if (changes.name !== undefined && !changes.name.trim()) {
+            throw new Error('Pack name is required.');
+        }
+
+        Object.assign(pack, changes);
+        this.save();
+    }
+
+    /**
+     * Remove a pack
+     * @param {string} id - Pack ID
+     */
+    remove(id) {
+        if (this.packs.length <= 1) {
+            throw new Error('At least one pack is required.');
+        }
+
+        this.packs = this.packs.filter(pack => pack.id !== id);
+        if (this.activeId === id) {
+            this.activeId = this.packs[0].id;
+        }
+        this.save();
+    }
+
+    /**
+     * Remember the pack shown on the dashboard
+     * @param {string} id - Pack ID
+     */
+    setActive(id) {
+        this.activeId = id;
+        this.save();
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * PackMonitor - Module for the state of one monitored battery pack
+ * Each pack has its own data sources, latest reading, chart history, balance tracking, statistics, cutoff prediction
+ * and health (energy counting and internal resistance), and its own ADC calibration
+ */
+
+import { SerialReader } from './serial-reader.js';
+import { SimulatedReader } from './simulated-reader.js';
+import { WebSocketReader } from './websocket-reader.js';
+import { ImbalanceAnalyzer } from './imbalance-analyzer.js';
+import { SessionStats } from './session-stats.js';
+import { CutoffPredictor } from './cutoff-predictor.js';
+import { EnergyMeter } from './energy-meter.js';
+import { ResistanceEstimator } from './resistance-estimator.js';
+import { AdcCalibration } from './adc-calibration.js';
+
+export class PackMonitor {
+    /**
+     * @param {Object} definition - Object with id, name, source, portKey and websocketUrl (see PackList)
+     * @param {ChemistryProfiles} chemistryProfiles - Optional source of user-defined profiles for the simulator
+     */
+    constructor(definition, chemistryProfiles = null) {
+        this.id = definition.id;
+        this.name = definition.name;
+        this.portKey = definition.portKey || null; // Device this pack was last connected to
+        this.websocketUrl = definition.websocketUrl || null; // Bridge address for the WebSocket source
+        this.serialReader = new SerialReader();
+        this.simulatedReader = new SimulatedReader(chemistryProfiles);
+        this.websocketReader = new WebSocketReader();
+        this.source = 'serial';
+        this.reader = this.serialReader; // Active data source
+        this.imbalanceAnalyzer = new ImbalanceAnalyzer();
+        this.sessionStats = new SessionStats();
+        this.cutoffPredictor = new CutoffPredictor();
+        this.energyMeter = new EnergyMeter();
+        this.resistanceEstimator = new ResistanceEstimator();
+        this.calibration = new AdcCalibration(`battery-monitor.calibration.${this.id}`);
+
+        // State
+        this.status = 'disconnected';
+        this.statusMessage = '';
+        this.lastReading = null;
+        this.readingCount = 0;
+        this.unrecognizedFrames = 0;
+        this.history = []; // Chart points as { cellsData, socData, totalVoltage, timestamp }
+        this.defaultMaxHistory = 50;
+        this.maxHistory = this.defaultMaxHistory;
+
+        this.selectSource(definition.source || 'serial');
+    }
+
+    /**
+     * Get every reader of the pack
+     * @returns {Array<SerialReader>} Serial, simulated and WebSocket reader
+     */
+    getReaders() {
+        return [this.serialReader, this.simulatedReader, this.websocketReader];
+    }
+
+    /**
+     * Select the data source
+     * @param {string} source - 'serial', 'simulator' or 'websocket'
+     */
+    selectSource(source) {
+        const readers = {
+            serial: this.serialReader,
+            simulator: this.simulatedReader,
+            websocket: this.websocketReader
+        };
+        this.source = readers[source] ? source : 'serial';
+        this.reader = readers[this.source];
+    }
+
+    /**
+     * Check if the data source is connected or reconnecting
+     * @returns {boolean}
+     */
+    isOnline() {
+        return this.status === 'connected' || this.status === 'reconnecting';
+    }
+
+    /**
+     * Store a processed reading and its chart point
+     * @param {Object} data - Parsed battery data
+     * @param {Object} point - Chart point as { cellsData, socData, timestamp }
+     */
+    addReading(data, point) {
+        this.lastReading = data;
+        this.readingCount++;
+
+        this.history.push(point);
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * Replace the chart history, e.g. with a recorded session
+     * The limit is raised so the whole history is kept until it is cleared, as on the chart
+     * @param {Array} points - Chart points
+     */
+    loadHistory(points) {
+        this.history = [...points];
+        this.maxHistory = Math.max(this.defaultMaxHistory, points.length);
+    }
+
+    /**
+     * Clear the chart history
+     */
+    clearHistory() {
+        this.history = [];
+        this.maxHistory = this.defaultMaxHistory;
+    }
+
+    /**
+     * Forget readings, history, balance tracking, statistics and voltage trend
+     */
+    reset() {
+        this.lastReading = null;
+        this.readingCount = 0;
+        this.unrecognizedFrames = 0;
+        this.imbalanceAnalyzer.reset();
+        this.sessionStats.reset();
+        this.cutoffPredictor.reset();
+        this.energyMeter.reset();
+        this.resistanceEstimator.reset();
+        this.clearHistory();
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * PortSettings - Module for remembering serial port settings per device
+ * Settings are keyed by USB vendor and product ID so each board keeps its own baud rate and framing
+ */
+
+import { DEFAULT_PORT_OPTIONS } from './serial-reader.js';
+
+export const BAUD_RATES = [300, 1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200, 230400, 460800, 921600];
+
+export class PortSettings {
+    constructor(storageKey = 'battery-monitor.ports') {
+        this.storageKey = storageKey;
+        this.devices = {}; // Port key to options
+        this.lastPortKey = null;
+
+        this.load();
+    }
+
+    /**
+     * Load per-device settings from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) {
+                this.devices = stored.devices || {};
+                this.lastPortKey = stored.lastPortKey || null;
+            }
+        } catch (error) {
+            console.warn('Failed to load port settings:', error);
+        }
+    }
+
+    /**
+     * Persist per-device settings to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            devices: this.devices,
+            lastPortKey: this.lastPortKey
+        }));
+    }
+
+    /**
+     * Get the settings of a device, falling back to the defaults
+     * @param {string} key - Port key (see SerialReader.getPortKey())
+     * @returns {Object} Port options
+     */
+    get(key) {
+        return { ...DEFAULT_PORT_OPTIONS, ...this.devices[key] };
+    }
+
+    /**
+     * Save the settings of a device
+     * @param {string} key - Port key
+     * @param {Object} options - Port options
+     */
+    set(key, options) {
+        const errors = this.validate(options);
+        if (errors.length > 0) {
+            throw new Error(errors.join(' '));
+        }
+
+        this.devices[key] = { ...this.get(key), ...options };
+        this.save();
+    }
+
+    /**
+     * Remember the device used for the last connection
+     * @param {string} key - Port key
+     */
+    setLastPort(key) {
+        this.lastPortKey = key;
+        this.save();
+    }
+
+    /**
+     * Validate port options
+     * @param {Object} options - Port options
+     * @returns {Array<string>} Validation error messages (empty if valid)
+     */
+    validate(options) {
+        const errors = [];
+
+        if (!Number.isInteger(options.baudRate) || options.baudRate <= 0) {
+            errors.push('Baud rate must be a positive whole number.');
+        }
+        if (![7, 8].includes(options.dataBits)) {
+            errors.push('Data bits must be 7 or 8.');
+        }
+        if (![1, 2].includes(options.stopBits)) {
+            errors.push('Stop bits must be 1 or 2.');
+        }
+        if (!['none', 'even', 'odd'].includes(options.parity)) {
+            errors.push('Parity must be none, even or odd.');
+        }
+        if (!['none', 'hardware'].includes(options.flowControl)) {
+            errors.push('Flow control must be none or hardware.');
+        }
+        if (!Number.isInteger(options.bufferSize) || options.bufferSize <= 0 || options.bufferSize > 16777216) {
+            errors.push('Buffer size must be between 1 and 16777216 bytes.');
+        }
+
+        return errors;
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * Regression - Module for least-squares line fitting
+ * Shared by the spread trend, cell rate-of-change and cutoff calculations
+ */
+
+/**
+ * Fit a straight line through points with ordinary least squares
+ * @param {Array} points - Points as { x, y }
+ * @returns {Object|null} Object with slope, intercept and slopeError (standard error of the slope, null with
+ *                        only two points), or null with fewer than two distinct x values
+ */
+export function linearRegression(points) {
+    if (points.length < 2) {
+        return null;
+    }
+
+    let sumX = 0;
+    let sumY = 0;
+    for (const point of points) {
+        sumX += point.x;
+        sumY += point.y;
+    }
+    const meanX = sumX / points.length;
+    const meanY = sumY / points.length;
+
+    let numerator = 0;
+    let denominator = 0;
+    for (const point of points) {
+        numerator += (point.x - meanX) * (point.y - meanY);
+        denominator += (point.x - meanX) ** 2;
+    }
+
+    if (denominator === 0) {
+        return null;
+    }
+
+    const slope = numerator / denominator;
+    const intercept = meanY - slope * meanX;
+
+    // Scatter around the line widens the slope's uncertainty
+    let slopeError = null;
+    if (points.length > 2) {
+        let squaredResiduals = 0;
+        for (const point of points) {
+            squaredResiduals += (point.y - (intercept + slope * point.x)) ** 2;
+        }
+        slopeError = Math.sqrt(squaredResiduals / (points.length - 2) / denominator);
+    }
+
+    return { slope: slope, intercept: intercept, slopeError: slopeError };
+}
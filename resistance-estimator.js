@@ -0,0 +1,196 @@
+/**
+ * ResistanceEstimator - Module for estimating the internal resistance of every cell from load steps
+ * When the current changes sharply between two readings, the voltage change of each cell over the current
+ * change (ΔV/ΔI) is its DC internal resistance; the median of recent steps smooths out measurement noise
+ */
+
+import { PACK_SERIES } from './session-stats.js';
+
+// Cells this many times above the median cell resistance are flagged for retirement checks
+export const HIGH_RESISTANCE_RATIO = 1.5;
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Values (not modified)
+ * @returns {number|null} Median, or null for an empty list
+ */
+function median(values) {
+    if (values.length === 0) {
+        return null;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export class ResistanceEstimator {
+    constructor(storageKey = 'battery-monitor.resistance') {
+        this.storageKey = storageKey;
+        this.settings = {
+            minStep: 1, // Smallest current change between two readings counted as a load step (A)
+            maxStepTime: 5 // Longest time between the two readings of a load step (s)
+        };
+        this.maxEstimates = 20; // Recent steps kept per cell
+        this.estimates = new Map(); // Map of cell name (or PACK_SERIES) to recent estimates (mΩ)
+        this.previous = null; // Previous reading as { time, current, voltages (Map of name to V) }
+        this.steps = []; // Recent load steps as { time, deltaCurrent }
+        this.stepCount = 0;
+
+        this.load();
+    }
+
+    /**
+     * Load settings from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) {
+                this.settings = { ...this.settings, ...stored };
+            }
+        } catch (error) {
+            console.warn('Failed to load resistance settings:', error);
+        }
+    }
+
+    /**
+     * Persist settings to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Update settings
+     * @param {Object} settings - Partial settings object
+     */
+    configure(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.save();
+    }
+
+    /**
+     * Add a reading, estimating every cell's resistance if the current stepped since the previous one
+     * @param {Object} data - Parsed battery data
+     */
+    addSample(data) {
+        const validCells = data.cells.filter(cell => cell.individualVoltage > 0.1);
+        if (data.current === null || data.current === undefined || validCells.length === 0) {
+            this.previous = null;
+            return;
+        }
+
+        const time = data.timestamp.getTime();
+        const voltages = new Map(validCells.map(cell => [cell.name, cell.individualVoltage]));
+        voltages.set(PACK_SERIES, data.totalVoltage);
+
+        const previous = this.previous;
+        if (previous && time - previous.time <= this.settings.maxStepTime * 1000) {
+            const deltaCurrent = data.current - previous.current;
+            if (Math.abs(deltaCurrent) >= this.settings.minStep) {
+                this.addStep(previous.voltages, voltages, deltaCurrent, time);
+            }
+        }
+
+        this.previous = { time: time, current: data.current, voltages: voltages };
+    }
+
+    /**
+     * Estimate the resistance of every cell present on both sides of a load step
+     * Discharge current is positive, so more load (ΔI > 0) pulls the voltage down and R = -ΔV / ΔI
+     * @private
+     * @param {Map} before - Voltages before the step
+     * @param {Map} after - Voltages after the step
+     * @param {number} deltaCurrent - Current change (A)
+     * @param {number} time - Time of the step (ms)
+     */
+    addStep(before, after, deltaCurrent, time) {
+        for (const [name, voltage] of after) {
+            if (!before.has(name)) {
+                continue;
+            }
+
+            if (!this.estimates.has(name)) {
+                this.estimates.set(name, []);
+            }
+            const estimates = this.estimates.get(name);
+            estimates.push(-(voltage - before.get(name)) / deltaCurrent * 1000);
+            if (estimates.length > this.maxEstimates) {
+                estimates.shift();
+            }
+        }
+
+        this.stepCount++;
+        this.steps.push({ time: time, deltaCurrent: deltaCurrent });
+        if (this.steps.length > this.maxEstimates) {
+            this.steps.shift();
+        }
+    }
+
+    /**
+     * Get the resistance estimate of one cell or the pack
+     * @param {string} name - Cell name or PACK_SERIES
+     * @returns {Object|null} Object with name, resistance (median, mΩ), min and max (mΩ) and count (steps kept),
+     *                        or null if no step was seen
+     */
+    get(name) {
+        const estimates = this.estimates.get(name);
+        if (!estimates || estimates.length === 0) {
+            return null;
+        }
+
+        return {
+            name: name,
+            resistance: median(estimates),
+            min: Math.min(...estimates),
+            max: Math.max(...estimates),
+            count: estimates.length
+        };
+    }
+
+    /**
+     * Get the resistance estimates of every cell and the pack
+     * Each cell also gets its resistance relative to the median cell, and is flagged above HIGH_RESISTANCE_RATIO
+     * @returns {Object} Object with cells (array sorted by cell number), pack (or null), median (mΩ, or null),
+     *                   stepCount and lastStep ({ time, deltaCurrent }, or null)
+     */
+    getAll() {
+        const cells = Array.from(this.estimates.keys())
+            .filter(name => name !== PACK_SERIES)
+            .sort((a, b) => parseInt(a) - parseInt(b))
+            .map(name => this.get(name));
+
+        const cellMedian = median(cells.map(cell => cell.resistance));
+        for (const cell of cells) {
+            cell.ratio = cellMedian > 0 ? cell.resistance / cellMedian : null;
+            cell.high = cell.ratio !== null && cell.ratio >= HIGH_RESISTANCE_RATIO;
+        }
+
+        return {
+            cells: cells,
+            pack: this.get(PACK_SERIES),
+            median: cellMedian,
+            stepCount: this.stepCount,
+            lastStep: this.steps.length > 0 ? this.steps[this.steps.length - 1] : null
+        };
+    }
+
+    /**
+     * Forget all estimates
+     */
+    reset() {
+        this.estimates.clear();
+        this.previous = null;
+        this.steps = [];
+        this.stepCount = 0;
+    }
+}
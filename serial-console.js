@@ -0,0 +1,144 @@
+/**
+ * SerialConsole - Module for the interactive serial console state
+ * Keeps the transcript, command history, saved macros and send settings
+ */
+
+export class SerialConsole {
+    constructor(storageKey = 'battery-monitor.console') {
+        this.storageKey = storageKey;
+        this.settings = {
+            lineEnding: 'crlf', // Key of LINE_ENDINGS in serial-reader.js
+            hex: false,
+            showFrameLines: false
+        };
+        this.history = []; // Sent commands, oldest first
+        this.maxHistory = 100;
+        this.historyIndex = null; // Position while browsing history, null when not browsing
+        this.macros = []; // Array of { name, command, lineEnding, hex }
+        this.entries = []; // Transcript as { time, type, text }
+        this.maxEntries = 1000;
+
+        this.load();
+    }
+
+    /**
+     * Load settings, history and macros from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) {
+                this.settings = { ...this.settings, ...stored.settings };
+                this.history = Array.isArray(stored.history) ? stored.history : [];
+                this.macros = Array.isArray(stored.macros) ? stored.macros : [];
+            }
+        } catch (error) {
+            console.warn('Failed to load console settings:', error);
+        }
+    }
+
+    /**
+     * Persist settings, history and macros to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            settings: this.settings,
+            history: this.history,
+            macros: this.macros
+        }));
+    }
+
+    /**
+     * Update send settings
+     * @param {Object} settings - Partial settings object
+     */
+    configure(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.save();
+    }
+
+    /**
+     * Add an entry to the transcript
+     * @param {string} type - 'sent', 'received', 'frame', 'info' or 'error'
+     * @param {string} text - Entry text
+     * @param {Date} time - Entry time (defaults to now)
+     * @returns {Object} Entry object
+     */
+    addEntry(type, text, time = new Date()) {
+        const entry = { time: time, type: type, text: text };
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+        return entry;
+    }
+
+    /**
+     * Clear the transcript
+     */
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * Remember a sent command, skipping immediate repeats
+     * @param {string} command - Command text
+     */
+    addToHistory(command) {
+        if (command && this.history[this.history.length - 1] !== command) {
+            this.history.push(command);
+            if (this.history.length > this.maxHistory) {
+                this.history.shift();
+            }
+            this.save();
+        }
+        this.historyIndex = null;
+    }
+
+    /**
+     * Step through the command history
+     * @param {number} direction - -1 for older, 1 for newer
+     * @returns {string|null} Command to show, '' past the newest entry, or null without history
+     */
+    navigateHistory(direction) {
+        if (this.history.length === 0) {
+            return null;
+        }
+
+        const index = this.historyIndex === null ? this.history.length : this.historyIndex;
+        const next = Math.max(0, Math.min(this.history.length, index + direction));
+        this.historyIndex = next === this.history.length ? null : next;
+
+        return this.historyIndex === null ? '' : this.history[this.historyIndex];
+    }
+
+    /**
+     * Save a command macro
+     * @param {Object} macro - Object with name, command, lineEnding and hex
+     */
+    addMacro(macro) {
+        if (!macro.name || !macro.command) {
+            throw new Error('A macro needs a name and a command.');
+        }
+
+        this.macros.push(macro);
+        this.save();
+    }
+
+    /**
+     * Delete a command macro
+     * @param {number} index - Macro index
+     */
+    removeMacro(index) {
+        this.macros.splice(index, 1);
+        this.save();
+    }
+}
@@ -3,6 +3,54 @@
  * Handles connection, disconnection, and reading data from serial port
  */
 
+import { FrameSplitter } from './frame-splitter.js';
+
+export { FRAME_SEPARATOR } from './frame-splitter.js';
+
+// Port settings used when none are given; signals are applied right after opening
+export const DEFAULT_PORT_OPTIONS = {
+    baudRate: 115200,
+    dataBits: 8,
+    stopBits: 1,
+    parity: 'none',
+    flowControl: 'none',
+    bufferSize: 255,
+    dataTerminalReady: true,
+    requestToSend: true
+};
+
+// Line endings that can be appended to written commands
+export const LINE_ENDINGS = {
+    none: '',
+    lf: '\n',
+    cr: '\r',
+    crlf: '\r\n'
+};
+
+// SerialPort to the SerialReader using it; a reader keeps its port claimed while reconnecting to it, so packs with
+// identical adapters do not take over each other's devices
+const claimedPorts = new Map();
+
+/**
+ * Parse hex text such as "01 0A ff" or "0x01,0x0a" into bytes
+ * @param {string} text - Hex bytes separated by spaces, commas or colons (or not separated)
+ * @returns {Uint8Array} Bytes
+ */
+export function parseHex(text) {
+    const hex = text.trim()
+        .split(/[\s,:]+/)
+        .filter(token => token)
+        .map(token => token.replace(/^0x/i, ''))
+        .map(token => token.length % 2 ? '0' + token : token)
+        .join('');
+
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+        throw new Error(`Invalid hex data: ${text}`);
+    }
+
+    return Uint8Array.from(hex.match(/../g) || [], byte => parseInt(byte, 16));
+}
+
 export class SerialReader {
     constructor() {
         this.port = null;
@@ -11,11 +59,49 @@ export class SerialReader {
         this.isConnected = false;
         this.onDataCallback = null;
         this.onStatusChangeCallback = null;
+        this.onLineCallback = null;
+        this.onChunkCallback = null;
         this.readableStreamClosed = null;
         this.writableStreamClosed = null;
-        this.buffer = '';
+        this.frameSplitter = new FrameSplitter();
+        this.lineBuffer = '';
+        this.portOptions = null; // Options the open port was opened with
         this.keepReading = false;
         this.isDisconnecting = false;
+
+        // Automatic reconnection after the device goes away
+        this.autoReconnect = true;
+        this.reconnectDelays = [1000, 2000, 5000, 10000, 30000]; // Backoff in ms, last value repeats
+        this.isReconnecting = false;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.lastPort = null; // Port and options of the last successful connection
+        this.lastPortOptions = null;
+        this.portEventsWatched = false;
+    }
+
+    /**
+     * Register callback for every received line, frame or not
+     * @param {Function} callback - Function to call with each line (without line ending)
+     */
+    onLine(callback) {
+        this.onLineCallback = callback;
+    }
+
+    /**
+     * Register callback for every received chunk, exactly as read from the port
+     * @param {Function} callback - Function to call with (chunk, receiveTime)
+     */
+    onChunk(callback) {
+        this.onChunkCallback = callback;
+    }
+
+    /**
+     * Recognize single-line frames (e.g. JSON lines) in addition to separator-delimited frames
+     * @param {Function|null} matcher - Function returning true if a trimmed line is a complete frame
+     */
+    setLineFrameMatcher(matcher) {
+        this.frameSplitter.setLineFrameMatcher(matcher);
     }
 
     /**
@@ -36,7 +122,7 @@ export class SerialReader {
 
     /**
      * Update connection status and notify listeners
-     * @param {string} status - Status: 'connected', 'disconnected', 'error'
+     * @param {string} status - Status: 'connecting', 'connected', 'reconnecting', 'disconnected', 'error'
      * @param {string} message - Optional message
      */
     updateStatus(status, message = '') {
@@ -54,16 +140,104 @@ export class SerialReader {
         return 'serial' in navigator;
     }
 
+    /**
+     * Get the ports this site was previously granted access to
+     * @returns {Promise<Array<SerialPort>>} Granted ports
+     */
+    async getPorts() {
+        return this.isSupported() ? navigator.serial.getPorts() : [];
+    }
+
+    /**
+     * Ask the user to pick a port
+     * @returns {Promise<SerialPort>} Selected port
+     */
+    async requestPort() {
+        return navigator.serial.requestPort();
+    }
+
+    /**
+     * Get a stable key identifying the device behind a port
+     * @param {SerialPort} port - Serial port
+     * @returns {string} "vvvv:pppp" USB vendor and product ID in hex, or "serial" without USB info
+     */
+    static getPortKey(port) {
+        const { usbVendorId, usbProductId } = port.getInfo();
+        if (usbVendorId === undefined) {
+            return 'serial';
+        }
+
+        const hex = (id) => (id ?? 0).toString(16).padStart(4, '0');
+        return `${hex(usbVendorId)}:${hex(usbProductId)}`;
+    }
+
+    /**
+     * Claim a port for this reader, releasing the port it claimed before
+     * @private
+     * @param {SerialPort} port - Serial port
+     */
+    claimPort(port) {
+        this.releasePort();
+        claimedPorts.set(port, this);
+    }
+
+    /**
+     * Release the port claimed by this reader
+     * @private
+     */
+    releasePort() {
+        for (const [port, reader] of claimedPorts) {
+            if (reader === this) {
+                claimedPorts.delete(port);
+            }
+        }
+    }
+
+    /**
+     * Check if a port is open or claimed by another reader
+     * @private
+     * @param {SerialPort} port - Serial port
+     * @returns {boolean}
+     */
+    isPortTaken(port) {
+        return Boolean(port.readable) || (claimedPorts.has(port) && claimedPorts.get(port) !== this);
+    }
+
+    /**
+     * Set the DTR and RTS control signals of the open port
+     * @param {Object} signals - Object with dataTerminalReady and/or requestToSend booleans
+     */
+    async setSignals(signals) {
+        if (!this.port || !this.isConnected) {
+            throw new Error('Cannot set signals. Port is not connected.');
+        }
+
+        await this.port.setSignals(signals);
+        console.log('Signals set:', signals);
+    }
+
     /**
      * Connect to serial port
-     * Opens port picker dialog and establishes connection
+     * Opens the port picker dialog unless a port is given, and establishes connection
+     * @param {Object|number} options - Port options (see DEFAULT_PORT_OPTIONS) plus an optional
+     *                                  previously granted port; a number is taken as the baud rate
      */
-    async connect(baudRate = 115200) {
+    async connect(options = {}) {
+        if (typeof options === 'number') {
+            options = { baudRate: options };
+        }
+        const { port, ...portOptions } = options;
+        const settings = { ...DEFAULT_PORT_OPTIONS, ...portOptions };
+
         if (!this.isSupported()) {
             this.updateStatus('error', 'Web Serial API not supported. Use Chrome/Edge browser.');
             throw new Error('Web Serial API not supported');
         }
 
+        // A manual connection replaces any pending automatic one
+        this.cancelReconnect();
+        this.watchPortEvents();
+
         // Check if already connecting
         if (this.isDisconnecting) {
             console.log('Still disconnecting, please wait...');
@@ -85,46 +259,190 @@ export class SerialReader {
         try {
             this.updateStatus('connecting', 'Connecting...');
 
-            // Request port from user
-            this.port = await navigator.serial.requestPort();
+            // Use the given port or request one from the user
+            this.port = port || await this.requestPort();
 
-            // Open port with common baud rates for Arduino/ESP
-            await this.port.open({
-                baudRate: baudRate,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                flowControl: 'none'
+            await this.openPort(settings);
+            this.updateStatus('connected', `Connected to serial port at ${settings.baudRate} baud`);
+            console.log('Serial port connected successfully');
+        } catch (error) {
+            console.error('Connection error:', error);
+            // Clean up on connection failure
+            await this._cleanupConnection();
+            this.releasePort();
+            this.updateStatus('error', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Open this.port with the given options and start reading
+     * @private
+     * @param {Object} settings - Complete port options
+     */
+    async openPort(settings) {
+        await this.port.open({
+                baudRate: settings.baudRate,
+                dataBits: settings.dataBits,
+                stopBits: settings.stopBits,
+                parity: settings.parity,
+                flowControl: settings.flowControl,
+                bufferSize: settings.bufferSize
             });
 
-            // Setup text decoder stream
-            const textDecoder = new TextDecoderStream();
-            this.readableStreamClosed = this.port.readable.pipeTo(textDecoder.writable);
-            this.reader = textDecoder.readable.getReader();
+        await this.port.setSignals({
+            dataTerminalReady: settings.dataTerminalReady,
+            requestToSend: settings.requestToSend
+        });
+        this.portOptions = settings;
+        this.claimPort(this.port);
+        this.lastPort = this.port;
+        this.lastPortOptions = settings;
 
-            // Setup writer
-            this.writer = this.port.writable.getWriter();
+        // Setup text decoder stream
+        const textDecoder = new TextDecoderStream();
+        this.readableStreamClosed = this.port.readable.pipeTo(textDecoder.writable);
+        this.reader = textDecoder.readable.getReader();
 
-            this.keepReading = true;
-            this.isDisconnecting = false;
-            this.updateStatus('connected', 'Connected to serial port');
-            console.log('Serial port connected successfully');
+        // Setup writer
+        this.writer = this.port.writable.getWriter();
 
-            // Start reading in background
-            this.readLoop().catch(error => {
-                if (!this.isDisconnecting && error.name !== 'NetworkError' && error.name !== 'AbortError') {
-                    console.error('Error in read loop:', error);
-                    this.updateStatus('error', `Read error: ${error.message}`);
-                }
-            });
+        this.keepReading = true;
+        this.isDisconnecting = false;
 
+        // Start reading in background
+        this.readLoop().catch(error => {
+            if (!this.isDisconnecting && error.name !== 'NetworkError' && error.name !== 'AbortError') {
+                console.error('Error in read loop:', error);
+                this.updateStatus('error', `Read error: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Listen for granted ports being plugged in and out
+     * @private
+     */
+    watchPortEvents() {
+        if (this.portEventsWatched || !('serial' in navigator)) {
+            return;
+        }
+        this.portEventsWatched = true;
+
+        navigator.serial.addEventListener('disconnect', (event) => {
+            if (event.target === this.port && this.isConnected) {
+                this.handleConnectionLost('Device unplugged');
+            }
+        });
+
+        // Retry right away when the lost device comes back instead of waiting for the backoff
+        navigator.serial.addEventListener('connect', (event) => {
+            if (this.reconnectTimer && this.lastPort && !this.isPortTaken(event.target)
+                && SerialReader.getPortKey(event.target) === SerialReader.getPortKey(this.lastPort)) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+                this.attemptReconnect(event.target);
+            }
+        });
+    }
+
+    /**
+     * Release a port that went away without being disconnected and start reconnecting
+     * @private
+     * @param {string} reason - Why the connection was lost
+     */
+    async handleConnectionLost(reason) {
+        if (this.isReconnecting || this.isDisconnecting) {
+            return;
+        }
+
+        console.warn('Connection lost:', reason);
+        this.isReconnecting = this.autoReconnect;
+        this.isDisconnecting = true;
+        await this._cleanupConnection();
+
+        // Disconnect may have been clicked while the port was being released
+        if (!this.isReconnecting) {
+            this.releasePort();
+            this.updateStatus('disconnected', reason);
+            return;
+        }
+
+        this.reconnectAttempt = 0;
+        this.scheduleReconnect(reason);
+    }
+
+    /**
+     * Schedule the next reconnection attempt using the backoff delays
+     * @private
+     * @param {string} reason - Why the port is not connected
+     */
+    scheduleReconnect(reason) {
+        const delay = this.reconnectDelays[Math.min(this.reconnectAttempt, this.reconnectDelays.length - 1)];
+        this.updateStatus('reconnecting', `${reason}. Reconnecting in ${delay / 1000}s (attempt ${this.reconnectAttempt + 1})`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.attemptReconnect();
+        }, delay);
+    }
+
+    /**
+     * Try to reopen the last port with its last options
+     * @private
+     * @param {SerialPort|null} port - Port that just reappeared, or null to look it up
+     */
+    async attemptReconnect(port = null) {
+        if (!this.isReconnecting) {
+            return;
+        }
+        this.reconnectAttempt++;
+
+        try {
+            // A replugged device may come back as a new port object with the same USB IDs
+            if (!port) {
+                const key = SerialReader.getPortKey(this.lastPort);
+                const ports = await this.getPorts();
+                // Skip ports open or claimed elsewhere, e.g. an identical adapter of another pack
+                port = ports.find(granted => granted === this.lastPort)
+                    || ports.find(granted => SerialReader.getPortKey(granted) === key && !this.isPortTaken(granted));
+            }
+            if (!port) {
+                throw new Error('Device not present');
+            }
+
+            // Claimed before opening, so another pack reconnecting at the same time skips it
+            this.claimPort(port);
+            this.port = port;
+            await this.openPort(this.lastPortOptions);
         } catch (error) {
-            console.error('Connection error:', error);
-            // Clean up on connection failure
+            console.log(`Reconnect attempt ${this.reconnectAttempt} failed:`, error.message);
+            this.claimPort(this.lastPort);
             await this._cleanupConnection();
-            this.updateStatus('error', error.message);
-            throw error;
+            if (this.isReconnecting && !this.reconnectTimer) {
+                this.scheduleReconnect(error.message);
+            }
+            return;
+        }
+
+        // Disconnect may have been clicked while the port was opening
+        if (!this.isReconnecting) {
+            await this._cleanupConnection();
+            this.releasePort();
+            return;
         }
+
+        this.isReconnecting = false;
+        this.updateStatus('connected', `Reconnected to serial port at ${this.lastPortOptions.baudRate} baud`);
+        console.log('Serial port reconnected');
+    }
+
+    /**
+     * Stop automatic reconnection
+     */
+    cancelReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.isReconnecting = false;
     }
 
     /**
@@ -137,6 +455,9 @@ export class SerialReader {
 
                 if (done) {
                     console.log('Stream closed by device');
+                    if (this.keepReading && !this.isDisconnecting) {
+                        this.handleConnectionLost('Stream closed by device');
+                    }
                     break;
                 }
 
@@ -148,6 +469,9 @@ export class SerialReader {
             // Only treat as error if not expected disconnection
             if (error.name === 'NetworkError' || error.name === 'AbortError' || this.isDisconnecting) {
                 console.log('Serial connection closed');
+                if (error.name === 'NetworkError' && !this.isDisconnecting) {
+                    this.handleConnectionLost('Device lost');
+                }
             } else {
                 throw error; // Re-throw unexpected errors
             }
@@ -159,28 +483,41 @@ export class SerialReader {
      * @param {string} chunk - Data chunk from serial port
      */
     processData(chunk) {
-        // Add chunk to buffer
-        this.buffer += chunk;
-
-        // Split by separator line
-        const separator = '==========================================================';
-        const parts = this.buffer.split(separator);
-
-        // Process all complete readings (all parts except the last)
-        for (let i = 0; i < parts.length - 1; i++) {
-            const reading = parts[i].trim();
-            if (reading && this.onDataCallback) {
-                this.onDataCallback(reading);
+        if (this.onChunkCallback) {
+            this.onChunkCallback(chunk, new Date());
+        }
+
+        // Pass raw lines on (e.g. to a console) before framing
+        if (this.onLineCallback) {
+            this.emitLines(chunk);
+        }
+
+        for (const frame of this.frameSplitter.push(chunk)) {
+            if (this.onDataCallback) {
+                this.onDataCallback(frame);
             }
         }
+    }
+
+    /**
+     * Emit every complete line received so far
+     * @private
+     * @param {string} chunk - Data chunk from serial port
+     */
+    emitLines(chunk) {
+        this.lineBuffer += chunk;
 
-        // Keep the last incomplete part in buffer
-        this.buffer = parts[parts.length - 1];
+        const lines = this.lineBuffer.split('\n');
+        this.lineBuffer = lines.pop();
+
+        for (const line of lines) {
+            this.onLineCallback(line.replace(/\r$/, ''));
+        }
 
-        // Prevent buffer overflow
-        if (this.buffer.length > 10000) {
-            console.warn('Buffer overflow, clearing');
-            this.buffer = '';
+        // A device that never sends a newline should not grow the buffer forever
+        if (this.lineBuffer.length > 10000) {
+            this.onLineCallback(this.lineBuffer);
+            this.lineBuffer = '';
         }
     }
 
@@ -188,6 +525,15 @@ export class SerialReader {
      * Disconnect from serial port
      */
     async disconnect() {
+        if (this.isReconnecting) {
+            this.cancelReconnect();
+            if (!this.port) {
+                this.releasePort();
+                this.updateStatus('disconnected', 'Stopped reconnecting');
+                return;
+            }
+        }
+
         if (this.isDisconnecting) {
             console.log('Already disconnecting...');
             return;
@@ -215,6 +561,7 @@ export class SerialReader {
             this.writableStreamClosed = null;
             this.isDisconnecting = false;
         }
+        this.releasePort();
 
         // Always update status to disconnected
         this.updateStatus('disconnected', 'Disconnected from serial port');
@@ -275,7 +622,8 @@ export class SerialReader {
         this.readableStreamClosed = null;
         this.writableStreamClosed = null;
         this.isDisconnecting = false;
-        this.buffer = '';
+        this.frameSplitter.reset();
+        this.lineBuffer = '';
 
         console.log('Cleanup completed - port released');
     }
@@ -295,19 +643,36 @@ export class SerialReader {
         }
     }
 
+    /**
+     * Encode data for writing
+     * @param {string} data - Text, or hex bytes in hex mode
+     * @param {Object} options - Write options
+     * @param {string} options.lineEnding - Line ending appended to text: 'crlf', 'lf', 'cr' or 'none'
+     * @param {boolean} options.hex - Treat data as hex bytes (no line ending is added)
+     * @returns {Uint8Array} Bytes to write
+     */
+    encode(data, { lineEnding = 'crlf', hex = false } = {}) {
+        if (hex) {
+            return parseHex(data);
+        }
+
+        return new TextEncoder().encode(data + (LINE_ENDINGS[lineEnding] ?? LINE_ENDINGS.crlf));
+    }
+
     /**
      * Write data to serial port
      * @param {string} data - Data to write
+     * @param {Object} options - Write options (see encode())
      */
-    async write(data) {
+    async write(data, options = {}) {
         if (!this.writer || this.isDisconnecting) {
             throw new Error('Cannot write. Port is not connected.');
         }
 
         console.log('Sending:', data);
+        const encodedData = this.encode(data, options);
 
         try {
-            const encodedData = new TextEncoder().encode(data + '\r\n');
             await this.writer.write(encodedData);
         } catch (error) {
             if (!this.isDisconnecting) {
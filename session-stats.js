@@ -0,0 +1,226 @@
+/**
+ * SessionStats - Module for per-cell and pack statistics over a session
+ * Tracks min/max/mean/standard deviation, time spent in each status band and the rate of change of
+ * every cell and the pack total
+ */
+
+import { linearRegression } from './regression.js';
+
+// Series name of the pack total
+export const PACK_SERIES = 'Pack';
+
+const STATUSES = ['good', 'warning', 'danger'];
+
+export class SessionStats {
+    constructor(storageKey = 'battery-monitor.stats') {
+        this.storageKey = storageKey;
+        this.settings = {
+            rateWindow: 60 // Span of recent readings the rate of change is fitted over (s)
+        };
+        this.series = new Map(); // Map of cell name (or PACK_SERIES) to running statistics
+        this.maxGap = 300000; // Longer gaps between readings (e.g. while disconnected) add no band time (ms)
+        this.startedAt = null;
+        this.lastTime = null;
+
+        this.load();
+    }
+
+    /**
+     * Load settings from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored) {
+                this.settings = { ...this.settings, ...stored };
+            }
+        } catch (error) {
+            console.warn('Failed to load statistics settings:', error);
+        }
+    }
+
+    /**
+     * Persist settings to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Update settings
+     * @param {Object} settings - Partial settings object
+     */
+    configure(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.save();
+        this.trimRecent();
+    }
+
+    /**
+     * Add a reading to the statistics
+     * Band time is credited to the status each cell had since the previous reading
+     * @param {Object} data - Parsed battery data
+     */
+    addSample(data) {
+        const validCells = data.cells.filter(cell => cell.individualVoltage > 0.1);
+        if (validCells.length === 0) {
+            return;
+        }
+
+        const time = data.timestamp.getTime();
+        const elapsed = this.lastTime !== null ? time - this.lastTime : 0;
+        const countTime = elapsed > 0 && elapsed <= this.maxGap;
+
+        if (this.startedAt === null) {
+            this.startedAt = time;
+        }
+        this.lastTime = time;
+
+        for (const cell of validCells) {
+            this.addValue(cell.name, time, cell.individualVoltage, cell.status, countTime ? elapsed : 0);
+        }
+
+        // The pack is in the band of its worst cell
+        const packStatus = STATUSES[Math.max(...validCells.map(cell => STATUSES.indexOf(cell.status)))];
+        this.addValue(PACK_SERIES, time, data.totalVoltage, packStatus, countTime ? elapsed : 0);
+    }
+
+    /**
+     * Add a value to the statistics of one series
+     * @private
+     * @param {string} name - Cell name or PACK_SERIES
+     * @param {number} time - Reading time (ms)
+     * @param {number} voltage - Voltage
+     * @param {string} status - Status of the reading
+     * @param {number} elapsed - Time since the previous reading to credit to the previous status (ms)
+     */
+    addValue(name, time, voltage, status, elapsed) {
+        let series = this.series.get(name);
+        if (!series) {
+            series = {
+                count: 0,
+                min: Infinity,
+                max: -Infinity,
+                mean: 0,
+                m2: 0, // Sum of squared differences from the mean (Welford)
+                statusTime: { good: 0, warning: 0, danger: 0 },
+                status: null,
+                recent: [] // Readings within the rate window as { time, voltage }
+            };
+            this.series.set(name, series);
+        }
+
+        series.count++;
+        series.min = Math.min(series.min, voltage);
+        series.max = Math.max(series.max, voltage);
+        const delta = voltage - series.mean;
+        series.mean += delta / series.count;
+        series.m2 += delta * (voltage - series.mean);
+
+        if (series.status && series.statusTime[series.status] !== undefined) {
+            series.statusTime[series.status] += elapsed;
+        }
+        series.status = status;
+
+        series.recent.push({ time: time, voltage: voltage });
+        this.trimSeries(series, time);
+    }
+
+    /**
+     * Drop readings older than the rate window from every series
+     * @private
+     */
+    trimRecent() {
+        if (this.lastTime === null) {
+            return;
+        }
+
+        for (const series of this.series.values()) {
+            this.trimSeries(series, this.lastTime);
+        }
+    }
+
+    /**
+     * Drop readings older than the rate window from one series
+     * @private
+     * @param {Object} series - Running statistics
+     * @param {number} now - Time of the newest reading (ms)
+     */
+    trimSeries(series, now) {
+        const oldest = now - this.settings.rateWindow * 1000;
+        while (series.recent.length > 0 && series.recent[0].time < oldest) {
+            series.recent.shift();
+        }
+    }
+
+    /**
+     * Get the statistics of one series
+     * @param {string} name - Cell name or PACK_SERIES
+     * @returns {Object|null} Object with name, count, min, max, mean and stdDev (V), statusTime (ms per status)
+     *                        and rate (mV/min, null over too short a span), or null if not seen
+     */
+    get(name) {
+        const series = this.series.get(name);
+        if (!series) {
+            return null;
+        }
+
+        // Least-squares slope, in minutes so the rate reads as mV/min
+        const first = series.recent.length > 0 ? series.recent[0].time : 0;
+        const fit = linearRegression(series.recent.map(reading => ({
+            x: (reading.time - first) / 60000,
+            y: reading.voltage * 1000
+        })));
+
+        return {
+            name: name,
+            count: series.count,
+            min: series.min,
+            max: series.max,
+            mean: series.mean,
+            stdDev: series.count > 1 ? Math.sqrt(series.m2 / (series.count - 1)) : 0,
+            statusTime: { ...series.statusTime },
+            rate: fit ? fit.slope : null
+        };
+    }
+
+    /**
+     * Get the statistics of every cell and the pack
+     * Each cell also gets its rate relative to the mean cell rate, which shows a cell sagging faster than its neighbours
+     * @returns {Object} Object with cells (array in first-seen order), pack (or null) and duration (ms)
+     */
+    getAll() {
+        const cells = Array.from(this.series.keys())
+            .filter(name => name !== PACK_SERIES)
+            .map(name => this.get(name));
+
+        const rates = cells.map(cell => cell.rate).filter(rate => rate !== null);
+        const meanRate = rates.length > 0 ? rates.reduce((a, b) => a + b, 0) / rates.length : null;
+        for (const cell of cells) {
+            cell.relativeRate = cell.rate !== null && meanRate !== null ? cell.rate - meanRate : null;
+        }
+
+        return {
+            cells: cells,
+            pack: this.get(PACK_SERIES),
+            duration: this.startedAt !== null ? this.lastTime - this.startedAt : 0
+        };
+    }
+
+    /**
+     * Forget all statistics
+     */
+    reset() {
+        this.series.clear();
+        this.startedAt = null;
+        this.lastTime = null;
+    }
+}
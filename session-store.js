@@ -0,0 +1,258 @@
+/**
+ * SessionStore - Module for persisting recording sessions in IndexedDB
+ * Stores session metadata and every parsed reading so full histories survive reloads
+ */
+
+export class SessionStore {
+    constructor(dbName = 'battery-monitor') {
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.db = null;
+    }
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        if (!this.isSupported()) {
+            throw new Error('IndexedDB not supported');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                    sessions.createIndex('startedAt', 'startedAt');
+                }
+
+                if (!db.objectStoreNames.contains('readings')) {
+                    const readings = db.createObjectStore('readings', { keyPath: 'id', autoIncrement: true });
+                    readings.createIndex('sessionId', 'sessionId');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    /**
+     * Run a function inside a transaction and resolve when it completes
+     * @private
+     * @param {Array<string>} storeNames - Object stores used by the transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the transaction, may return a result
+     * @returns {Promise<*>} Value returned by the callback
+     */
+    async _transaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            let result;
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+            result = callback(transaction);
+        });
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @private
+     * @param {IDBRequest} request - Request to wait for
+     * @returns {Promise<*>} Request result
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Start a new recording session
+     * @param {Object} info - Session information
+     * @param {string} info.name - Session name
+     * @param {string} info.packName - Name of the battery pack under test
+     * @param {string} info.notes - Free-form notes
+     * @returns {Promise<Object>} Created session
+     */
+    async createSession({ name = '', packName = '', notes = '' } = {}) {
+        const startedAt = new Date();
+        const session = {
+            name: name || `Session ${startedAt.toLocaleString('pt-BR')}`,
+            packName: packName,
+            notes: notes,
+            startedAt: startedAt,
+            stoppedAt: null,
+            lastReadingAt: null,
+            readingCount: 0
+        };
+
+        await this._transaction(['sessions'], 'readwrite', (transaction) => {
+            const request = transaction.objectStore('sessions').add(session);
+            request.onsuccess = () => {
+                session.id = request.result;
+            };
+        });
+
+        return session;
+    }
+
+    /**
+     * Mark a session as stopped
+     * @param {number} id - Session ID
+     * @returns {Promise<Object>} Updated session
+     */
+    async stopSession(id) {
+        return this.updateSession(id, { stoppedAt: new Date() });
+    }
+
+    /**
+     * Update session metadata (rename, notes, etc.)
+     * @param {number} id - Session ID
+     * @param {Object} changes - Fields to update
+     * @returns {Promise<Object>} Updated session
+     */
+    async updateSession(id, changes) {
+        let updated = null;
+
+        await this._transaction(['sessions'], 'readwrite', (transaction) => {
+            const store = transaction.objectStore('sessions');
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (!request.result) {
+                    return;
+                }
+                updated = { ...request.result, ...changes, id: id };
+                store.put(updated);
+            };
+        });
+
+        if (!updated) {
+            throw new Error(`Session ${id} not found`);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Append a parsed reading to a session
+     * @param {number} sessionId - Session ID
+     * @param {Object} reading - Parsed battery data
+     */
+    async addReading(sessionId, reading) {
+        await this._transaction(['sessions', 'readings'], 'readwrite', (transaction) => {
+            transaction.objectStore('readings').add({
+                sessionId: sessionId,
+                timestamp: reading.timestamp,
+                data: reading
+            });
+
+            const sessions = transaction.objectStore('sessions');
+            const request = sessions.get(sessionId);
+            request.onsuccess = () => {
+                const session = request.result;
+                if (session) {
+                    session.readingCount++;
+                    session.lastReadingAt = reading.timestamp;
+                    sessions.put(session);
+                }
+            };
+        });
+    }
+
+    /**
+     * List all sessions, newest first
+     * @returns {Promise<Array>} Array of session objects
+     */
+    async listSessions() {
+        const sessions = await this._transaction(['sessions'], 'readonly', (transaction) => {
+            return this._request(transaction.objectStore('sessions').getAll());
+        });
+
+        return sessions.sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    /**
+     * Get a single session
+     * @param {number} id - Session ID
+     * @returns {Promise<Object|undefined>} Session object
+     */
+    async getSession(id) {
+        return this._transaction(['sessions'], 'readonly', (transaction) => {
+            return this._request(transaction.objectStore('sessions').get(id));
+        });
+    }
+
+    /**
+     * Get every reading recorded in a session, in arrival order
+     * @param {number} sessionId - Session ID
+     * @returns {Promise<Array>} Array of parsed battery data objects
+     */
+    async getReadings(sessionId) {
+        const records = await this._transaction(['readings'], 'readonly', (transaction) => {
+            return this._request(transaction.objectStore('readings').index('sessionId').getAll(sessionId));
+        });
+
+        return records
+            .sort((a, b) => a.id - b.id)
+            .map(record => record.data);
+    }
+
+    /**
+     * Delete a session and all of its readings
+     * @param {number} id - Session ID
+     */
+    async deleteSession(id) {
+        await this._transaction(['sessions', 'readings'], 'readwrite', (transaction) => {
+            transaction.objectStore('sessions').delete(id);
+
+            const request = transaction.objectStore('readings').index('sessionId').openKeyCursor(IDBKeyRange.only(id));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    transaction.objectStore('readings').delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    /**
+     * Export a session with its full reading history
+     * @param {number} id - Session ID
+     * @returns {Promise<Object>} Object with session metadata and readings
+     */
+    async exportSession(id) {
+        const session = await this.getSession(id);
+        if (!session) {
+            throw new Error(`Session ${id} not found`);
+        }
+
+        const readings = await this.getReadings(id);
+        return { session, readings };
+    }
+}
@@ -0,0 +1,403 @@
+/**
+ * SimulatedReader - Module for simulating a battery reader without hardware
+ * Generates frames in the reader firmware's text format and feeds them through SerialReader's frame splitting
+ */
+
+import { SerialReader, FRAME_SEPARATOR } from './serial-reader.js';
+import { getBuiltInProfile, DEFAULT_PROFILE_ID } from './chemistry-profiles.js';
+import { BUILT_IN_LABEL_SETS } from './label-sets.js';
+
+// Volts per RAW count per series tap, matching the reader's dividers
+const RAW_LSB_PER_TAP = 0.000175;
+const PINS_PER_MODULE = 4;
+const FIRST_MODULE_ADDRESS = 0x48;
+
+// Amps per shunt RAW count (INA226 2.5 µV LSB across a 1 mΩ shunt)
+const SHUNT_LSB_AMPS = 0.0025;
+const AMBIENT_TEMPERATURE = 25;
+
+// Section titles printed between the labelled lines, per firmware language
+const SECTION_TITLES = {
+    pt: { cells: 'Tensões Individuais', sensors: 'Corrente e Temperatura', debug: 'Debug (RAW e Tensões Totais por Pino)' },
+    en: { cells: 'Individual Voltages', sensors: 'Current and Temperature', debug: 'Debug (RAW and Total Voltages per Pin)' }
+};
+
+export class SimulatedReader extends SerialReader {
+    constructor(chemistryProfiles = null) {
+        super();
+        this.chemistryProfiles = chemistryProfiles; // Optional source of user-defined profiles
+        this.timer = null;
+        this.voltages = [];
+        this.elapsed = 0; // Simulated time since the cells were reset (ms)
+        this.settings = {
+            cellCount: 4,
+            chemistry: DEFAULT_PROFILE_ID, // Chemistry profile ID
+            mode: 'discharge', // 'discharge', 'charge' or 'idle'
+            slope: 5, // Pack-wide voltage change per cell (mV/min)
+            noise: 3, // Peak measurement noise (mV)
+            driftCells: 1, // Number of cells drifting away from the others
+            driftRate: 2, // Extra drift of drifting cells (mV/min)
+            current: 0, // Load or charge current (A); 0 leaves out the current and temperature readings
+            loadSteps: 0, // Time between load steps, the current alternating between full and half (s); 0 for a steady load
+            resistance: 20, // Internal resistance per cell (mΩ); drifting cells have twice as much
+            interval: 1000, // Time between frames (ms)
+            format: 'text', // Output format: 'text', 'json' or 'kv'
+            labels: 'pt', // Firmware language of the text format: 'pt' or 'en'
+            disconnectedPinRate: 0, // Probability of a pin reading RAW=-1 (%)
+            garbledLineRate: 0, // Probability of a garbled line (%)
+            truncatedFrameRate: 0 // Probability of a frame being cut short (%)
+        };
+    }
+
+    /**
+     * The simulator works in every browser
+     * @returns {boolean}
+     */
+    isSupported() {
+        return true;
+    }
+
+    /**
+     * Update simulator settings, restarting the cell model if the pack changed
+     * @param {Object} settings - Partial settings object
+     */
+    configure(settings) {
+        const previous = this.settings;
+        this.settings = { ...this.settings, ...settings };
+
+        if (previous.cellCount !== this.settings.cellCount || previous.chemistry !== this.settings.chemistry) {
+            this.resetCells();
+        }
+
+        // Apply a new interval immediately
+        if (this.timer && previous.interval !== this.settings.interval) {
+            this.stopTimer();
+            this.startTimer();
+        }
+    }
+
+    /**
+     * Get the chemistry profile used by the simulation
+     * @returns {Object} Chemistry profile
+     */
+    getChemistry() {
+        const id = this.settings.chemistry;
+        return (this.chemistryProfiles && this.chemistryProfiles.get(id))
+            || getBuiltInProfile(id)
+            || getBuiltInProfile(DEFAULT_PROFILE_ID);
+    }
+
+    /**
+     * Reset every cell to the chemistry's nominal voltage with a small spread
+     */
+    resetCells() {
+        const chemistry = this.getChemistry();
+        this.voltages = Array.from({ length: this.settings.cellCount }, () =>
+            chemistry.nominalVoltage + (Math.random() - 0.5) * 0.02
+        );
+        this.elapsed = 0;
+    }
+
+    /**
+     * "Connect" to the simulated device and start emitting frames
+     */
+    async connect() {
+        if (this.isConnected) {
+            console.log('Already connected.');
+            return;
+        }
+
+        this.updateStatus('connecting', 'Starting simulator...');
+
+        if (this.voltages.length !== this.settings.cellCount) {
+            this.resetCells();
+        }
+
+        this.frameSplitter.reset();
+        this.lineBuffer = '';
+        this.keepReading = true;
+        this.startTimer();
+        this.updateStatus('connected', 'Connected to simulated reader');
+        console.log('Simulator started');
+    }
+
+    /**
+     * Stop emitting frames
+     */
+    async disconnect() {
+        this.stopTimer();
+        this.keepReading = false;
+        this.frameSplitter.reset();
+        this.lineBuffer = '';
+        this.updateStatus('disconnected', 'Simulator stopped');
+        console.log('Simulator stopped');
+    }
+
+    /**
+     * Answer commands like a minimal firmware console
+     * Supports "help", "status" and "interval <ms>"; anything else gets an error response
+     * @param {string} data - Data to write
+     * @param {Object} options - Write options (see SerialReader.encode())
+     */
+    async write(data, options = {}) {
+        if (!this.isConnected) {
+            throw new Error('Cannot write. Port is not connected.');
+        }
+
+        // Validates hex input the same way a real port would
+        this.encode(data, options);
+        console.log('Simulator received:', data);
+
+        const [command, argument] = options.hex ? ['<binary>'] : data.trim().split(/\s+/);
+        let response;
+
+        if (command === 'help') {
+            response = 'Commands: help, status, interval <ms>';
+        } else if (command === 'status') {
+            response = `OK cells=${this.settings.cellCount} interval=${this.settings.interval} mode=${this.settings.mode}`;
+        } else if (command === 'interval' && parseInt(argument) >= 50) {
+            this.configure({ interval: parseInt(argument) });
+            response = `OK interval=${this.settings.interval}`;
+        } else {
+            response = `ERR unknown command: ${command}`;
+        }
+
+        // Respond after a short delay, like a device over the wire
+        setTimeout(() => {
+            if (this.isConnected) {
+                this.processData(response + '\r\n');
+            }
+        }, 20);
+    }
+
+    /**
+     * Start the frame timer
+     * @private
+     */
+    startTimer() {
+        this.timer = setInterval(() => this.tick(), this.settings.interval);
+    }
+
+    /**
+     * Stop the frame timer
+     * @private
+     */
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Advance the cell model and emit one frame
+     * @private
+     */
+    tick() {
+        this.step(this.settings.interval);
+
+        let frame = this.generateFrame();
+
+        if (this.chance(this.settings.truncatedFrameRate)) {
+            // Cut the frame mid-way, like a device reset; the next frame runs into it
+            frame = frame.slice(0, Math.floor(Math.random() * frame.length * 0.8));
+        }
+
+        // Deliver in a few chunks to exercise buffering like a real port
+        const chunkCount = 1 + Math.floor(Math.random() * 3);
+        const chunkSize = Math.ceil(frame.length / chunkCount);
+        for (let i = 0; i < frame.length; i += chunkSize) {
+            this.processData(frame.slice(i, i + chunkSize));
+        }
+    }
+
+    /**
+     * Advance cell voltages by a time step
+     * @param {number} dt - Time step in milliseconds
+     */
+    step(dt) {
+        this.elapsed += dt;
+        const chemistry = this.getChemistry();
+        const minutes = dt / 60000;
+        const direction = { discharge: -1, charge: 1, idle: 0 }[this.settings.mode] ?? 0;
+
+        this.voltages = this.voltages.map((voltage, index) => {
+            let change = direction * this.settings.slope * minutes;
+
+            // The last N cells drift in the direction of travel (or downwards when idle)
+            if (index >= this.voltages.length - this.settings.driftCells) {
+                change += (direction || -1) * this.settings.driftRate * minutes;
+            }
+
+            const next = voltage + change / 1000;
+            return Math.min(chemistry.maxVoltage * 1.02, Math.max(chemistry.minVoltage * 0.9, next));
+        });
+    }
+
+    /**
+     * Generate a complete frame in the configured output format
+     * @returns {string} Frame text including the trailing separator or line ending
+     */
+    generateFrame() {
+        // Current through the internal resistance pulls the terminal voltage down while discharging
+        const sensors = this.generateSensors(this.voltages.length);
+        const current = sensors ? sensors.current : 0;
+        const noisy = this.voltages.map((v, i) => v
+            - current * this.getCellResistance(i) / 1000
+            + (Math.random() * 2 - 1) * this.settings.noise / 1000);
+
+        // Cumulative tap voltages, as measured by the ADC pins
+        const taps = [];
+        noisy.reduce((sum, v) => {
+            taps.push(sum + v);
+            return sum + v;
+        }, 0);
+
+        const channelCount = Math.ceil(noisy.length / PINS_PER_MODULE) * PINS_PER_MODULE;
+        const pins = [];
+        for (let i = 0; i < channelCount; i++) {
+            const tapNumber = i + 1;
+            const connected = i < taps.length && !this.chance(this.settings.disconnectedPinRate);
+            pins.push(connected
+                ? { tapNumber, raw: Math.round(taps[i] / (tapNumber * RAW_LSB_PER_TAP)), voltage: taps[i] }
+                : { tapNumber, raw: -1, voltage: -0.001 });
+        }
+
+        // Individual voltages are the differences between measured taps
+        const individual = noisy.map((_, i) => pins[i].voltage - (i > 0 ? pins[i - 1].voltage : 0));
+        const total = pins[noisy.length - 1].voltage;
+
+        // Newer firmware emits one machine-friendly line per reading
+        if (this.settings.format === 'json' || this.settings.format === 'kv') {
+            const line = this.settings.format === 'json'
+                ? JSON.stringify({
+                    cells: individual.map(v => Number(v.toFixed(3))),
+                    total: Number(total.toFixed(2)),
+                    ...(sensors ? {
+                        current: Number(sensors.current.toFixed(3)),
+                        shunt: sensors.shuntRaw,
+                        temp: Number(sensors.packTemperature.toFixed(1)),
+                        cellTemps: sensors.cellTemperatures.map(t => Number(t.toFixed(1)))
+                    } : {})
+                })
+                : [
+                    `total=${total.toFixed(2)}`,
+                    ...individual.map((v, i) => `c${i + 1}=${v.toFixed(3)}`),
+                    ...(sensors ? [
+                        `i=${sensors.current.toFixed(3)}`,
+                        `shunt=${sensors.shuntRaw}`,
+                        `temp=${sensors.packTemperature.toFixed(1)}`,
+                        ...sensors.cellTemperatures.map((t, i) => `t${i + 1}=${t.toFixed(1)}`)
+                    ] : [])
+                ].join(',');
+
+            return (this.chance(this.settings.garbledLineRate) ? this.garble(line) : line) + '\r\n';
+        }
+
+        const labels = BUILT_IN_LABEL_SETS.find(set => set.id === this.settings.labels) || BUILT_IN_LABEL_SETS[0];
+        const titles = SECTION_TITLES[labels.id];
+
+        const lines = [
+            `--- ${labels.header} ---`,
+            `${labels.total} (${noisy.length}S): ${total.toFixed(2)}V`,
+            '',
+            `--- ${titles.cells} ---`,
+            ...individual.map((v, i) => `  ${labels.cell} ${i + 1}: ${v.toFixed(3)}V`),
+            ''
+        ];
+
+        if (sensors) {
+            lines.push(
+                `--- ${titles.sensors} ---`,
+                `  ${labels.current}: ${sensors.current.toFixed(3)}A (RAW=${sensors.shuntRaw})`,
+                ...sensors.cellTemperatures.map((t, i) => `  ${labels.temperature} ${labels.cell} ${i + 1}: ${t.toFixed(1)}C`),
+                `  ${labels.temperature} Pack: ${sensors.packTemperature.toFixed(1)}C`,
+                ''
+            );
+        }
+
+        lines.push(`--- ${titles.debug} ---`);
+
+        for (let m = 0; m < channelCount / PINS_PER_MODULE; m++) {
+            const address = (FIRST_MODULE_ADDRESS + m).toString(16).toUpperCase();
+            lines.push(`${labels.module} ${m + 1} (0x${address}):`);
+            for (let p = 0; p < PINS_PER_MODULE; p++) {
+                const pin = pins[m * PINS_PER_MODULE + p];
+                lines.push(`  A${p} (${pin.tapNumber}S): RAW=${pin.raw}  ${labels.voltage}=${pin.voltage.toFixed(3)}V`);
+            }
+            lines.push('');
+        }
+
+        const garbled = lines.map(line =>
+            line && this.chance(this.settings.garbledLineRate) ? this.garble(line) : line
+        );
+
+        return garbled.join('\r\n') + FRAME_SEPARATOR + '\r\n';
+    }
+
+    /**
+     * Get the internal resistance of a cell
+     * @private
+     * @param {number} index - Cell index
+     * @returns {number} Resistance (mΩ)
+     */
+    getCellResistance(index) {
+        const drifting = index >= this.voltages.length - this.settings.driftCells;
+        return this.settings.resistance * (drifting ? 2 : 1);
+    }
+
+    /**
+     * Generate current and temperature sensor readings
+     * Cells warm up with the current; cells further along the pack sit closer to the load and run warmer
+     * @private
+     * @param {number} cellCount - Number of cells
+     * @returns {Object|null} Object with current (A, positive while discharging), shuntRaw, packTemperature and
+     *                        cellTemperatures (°C), or null with the current setting at 0
+     */
+    generateSensors(cellCount) {
+        if (!this.settings.current) {
+            return null;
+        }
+
+        const direction = { discharge: 1, charge: -1, idle: 0 }[this.settings.mode] ?? 0;
+        const steps = this.settings.loadSteps > 0 ? Math.floor(this.elapsed / (this.settings.loadSteps * 1000)) : 0;
+        const load = this.settings.current * (steps % 2 === 0 ? 1 : 0.5);
+        const shuntRaw = Math.round(direction * load * (1 + (Math.random() * 2 - 1) * 0.01) / SHUNT_LSB_AMPS);
+        const current = shuntRaw * SHUNT_LSB_AMPS;
+        const heating = Math.abs(current) * 0.8;
+
+        return {
+            current: current,
+            shuntRaw: shuntRaw,
+            packTemperature: AMBIENT_TEMPERATURE + heating * 0.5 + Math.random() * 0.2,
+            cellTemperatures: Array.from({ length: cellCount }, (_, i) =>
+                AMBIENT_TEMPERATURE + heating * (1 + i * 0.1) + Math.random() * 0.2)
+        };
+    }
+
+    /**
+     * Corrupt a line the way noise on the wire would
+     * @private
+     * @param {string} line - Original line
+     * @returns {string} Garbled line
+     */
+    garble(line) {
+        const chars = line.split('');
+        const corruptions = 1 + Math.floor(Math.random() * 4);
+        for (let i = 0; i < corruptions; i++) {
+            const index = Math.floor(Math.random() * chars.length);
+            chars[index] = String.fromCharCode(33 + Math.floor(Math.random() * 94));
+        }
+        return chars.join('');
+    }
+
+    /**
+     * Roll a percentage chance
+     * @private
+     * @param {number} percent - Probability in percent
+     * @returns {boolean}
+     */
+    chance(percent) {
+        return percent > 0 && Math.random() * 100 < percent;
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * SocEstimator - Module for estimating state of charge from open-circuit voltage
+ * Interpolates per-chemistry OCV curves, with optional user-supplied curves imported from CSV
+ */
+
+// Resting cell voltage (V) to state of charge (%) points, ascending by voltage
+export const OCV_CURVES = {
+    'li-ion': [
+        [3.00, 0], [3.30, 5], [3.45, 10], [3.55, 20], [3.62, 30], [3.68, 40],
+        [3.74, 50], [3.80, 60], [3.87, 70], [3.95, 80], [4.05, 90], [4.20, 100]
+    ],
+    'lipo': [
+        [3.27, 0], [3.61, 5], [3.69, 10], [3.73, 20], [3.77, 30], [3.80, 40],
+        [3.84, 50], [3.87, 60], [3.95, 70], [4.02, 80], [4.11, 90], [4.20, 100]
+    ],
+    'lipo-hv': [
+        [3.30, 0], [3.60, 5], [3.70, 10], [3.76, 20], [3.80, 30], [3.84, 40],
+        [3.88, 50], [3.93, 60], [4.00, 70], [4.08, 80], [4.18, 90], [4.35, 100]
+    ],
+    'lifepo4': [
+        [2.50, 0], [3.00, 5], [3.13, 10], [3.20, 20], [3.23, 30], [3.26, 40],
+        [3.28, 50], [3.30, 60], [3.31, 70], [3.32, 80], [3.34, 90], [3.40, 95], [3.65, 100]
+    ],
+    'lto': [
+        [1.80, 0], [2.10, 5], [2.20, 10], [2.25, 20], [2.28, 30], [2.31, 40],
+        [2.34, 50], [2.37, 60], [2.41, 70], [2.46, 80], [2.55, 90], [2.85, 100]
+    ],
+    'nimh': [
+        [1.00, 0], [1.10, 5], [1.15, 10], [1.18, 20], [1.20, 30], [1.22, 40],
+        [1.23, 50], [1.25, 60], [1.27, 70], [1.29, 80], [1.32, 90], [1.40, 100]
+    ],
+    'lead-acid': [
+        [1.75, 0], [1.92, 10], [1.94, 20], [1.97, 30], [1.99, 40], [2.02, 50],
+        [2.04, 60], [2.06, 70], [2.08, 80], [2.10, 90], [2.12, 100]
+    ]
+};
+
+export class SocEstimator {
+    constructor(storageKey = 'battery-monitor.ocv-curves') {
+        this.storageKey = storageKey;
+        this.customCurves = {}; // Profile ID to imported curve
+
+        this.load();
+    }
+
+    /**
+     * Load imported curves from localStorage
+     */
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            this.customCurves = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Failed to load OCV curves:', error);
+        }
+    }
+
+    /**
+     * Persist imported curves to localStorage
+     */
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(this.customCurves));
+    }
+
+    /**
+     * Get the OCV curve for a chemistry profile
+     * Imported curves take precedence; profiles without a curve fall back to a linear min-max curve
+     * @param {Object} profile - Chemistry profile
+     * @returns {Array} Array of [voltage, soc] points
+     */
+    getCurve(profile) {
+        return this.customCurves[profile.id]
+            || OCV_CURVES[profile.id]
+            || [[profile.minVoltage, 0], [profile.maxVoltage, 100]];
+    }
+
+    /**
+     * Check if a profile uses an imported curve
+     * @param {string} profileId - Profile ID
+     * @returns {boolean}
+     */
+    hasCustomCurve(profileId) {
+        return profileId in this.customCurves;
+    }
+
+    /**
+     * Set an imported curve for a profile
+     * @param {string} profileId - Profile ID
+     * @param {Array} curve - Array of [voltage, soc] points
+     */
+    setCustomCurve(profileId, curve) {
+        this.customCurves[profileId] = curve;
+        this.save();
+    }
+
+    /**
+     * Remove an imported curve, reverting to the built-in one
+     * @param {string} profileId - Profile ID
+     */
+    removeCustomCurve(profileId) {
+        delete this.customCurves[profileId];
+        this.save();
+    }
+
+    /**
+     * Estimate state of charge for a cell voltage
+     * @param {number} voltage - Cell voltage
+     * @param {Object} profile - Chemistry profile
+     * @returns {number} State of charge (0-100 %)
+     */
+    estimate(voltage, profile) {
+        const curve = this.getCurve(profile);
+
+        if (voltage <= curve[0][0]) {
+            return curve[0][1];
+        }
+
+        const last = curve[curve.length - 1];
+        if (voltage >= last[0]) {
+            return last[1];
+        }
+
+        // Linear interpolation between the surrounding points
+        for (let i = 1; i < curve.length; i++) {
+            const [v1, soc1] = curve[i];
+            if (voltage <= v1) {
+                const [v0, soc0] = curve[i - 1];
+                return soc0 + (soc1 - soc0) * (voltage - v0) / (v1 - v0);
+            }
+        }
+
+        return last[1];
+    }
+
+    /**
+     * Annotate a reading with per-cell and pack state of charge
+     * Cells at or below 0.1V (disconnected) get a null SoC and are excluded from the pack value
+     * @param {Object} data - Parsed data object
+     * @param {Object} profile - Chemistry profile
+     */
+    apply(data, profile) {
+        const values = [];
+
+        for (const cell of data.cells) {
+            if (cell.individualVoltage > 0.1) {
+                cell.soc = this.estimate(cell.individualVoltage, profile);
+                values.push(cell.soc);
+            } else {
+                cell.soc = null;
+            }
+        }
+
+        data.soc = values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+    }
+
+    /**
+     * Parse an OCV curve from CSV text
+     * Expects "voltage,soc" rows (comma, semicolon or tab separated); a header row is skipped.
+     * SoC may be given in percent (0-100) or as a fraction (0-1).
+     * @param {string} text - CSV text
+     * @returns {Array} Array of [voltage, soc] points, ascending by voltage
+     */
+    parseCSV(text) {
+        const points = [];
+
+        for (const line of text.split(/\r?\n/)) {
+            const fields = line.split(/[,;\t]/).map(field => field.trim());
+            if (fields.length < 2) continue;
+
+            const voltage = parseFloat(fields[0]);
+            const soc = parseFloat(fields[1]);
+            if (Number.isFinite(voltage) && Number.isFinite(soc)) {
+                points.push([voltage, soc]);
+            }
+        }
+
+        if (points.length < 2) {
+            throw new Error('An OCV curve needs at least two "voltage,soc" rows.');
+        }
+
+        points.sort((a, b) => a[0] - b[0]);
+
+        if (Math.max(...points.map(point => point[1])) <= 1) {
+            points.forEach(point => { point[1] *= 100; });
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            if (points[i][0] === points[i - 1][0]) {
+                throw new Error(`Duplicate voltage ${points[i][0]}V in OCV curve.`);
+            }
+            if (points[i][1] < points[i - 1][1]) {
+                throw new Error('State of charge must increase with voltage.');
+            }
+        }
+
+        return points;
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * TrafficMonitor - Module for recording raw serial traffic
+ * Keeps received chunks with timestamps, frame boundaries and per-line recognition
+ */
+
+export class TrafficMonitor {
+    /**
+     * @param {Function} lineMatcher - Function returning true if a complete line belongs to a known frame format
+     */
+    constructor(lineMatcher) {
+        this.lineMatcher = lineMatcher;
+        this.entries = [];
+        this.maxEntries = 5000;
+        this.nextId = 1;
+        this.pendingLine = ''; // Start of a line split across chunks
+        this.stats = { bytes: 0, chunks: 0, frames: 0, unrecognizedLines: 0 };
+    }
+
+    /**
+     * Record a received chunk
+     * Each chunk is split into segments at line endings; completed lines are checked against the line matcher
+     * @param {string} chunk - Received text
+     * @param {Date} time - Receive time
+     * @returns {Object} Entry object
+     */
+    addChunk(chunk, time = new Date()) {
+        const parts = chunk.split('\n');
+        const segments = parts.map((text, index) => {
+            const lineEnd = index < parts.length - 1;
+            if (!lineEnd) {
+                return { text: text, lineEnd: false, recognized: null };
+            }
+
+            // The whole line may have started in an earlier chunk
+            const line = (this.pendingLine + text).replace(/\r$/, '');
+            this.pendingLine = '';
+
+            const recognized = this.lineMatcher(line);
+            if (!recognized) {
+                this.stats.unrecognizedLines++;
+            }
+            return { text: text, lineEnd: true, recognized: recognized };
+        });
+
+        this.pendingLine += parts[parts.length - 1];
+        this.stats.bytes += chunk.length;
+        this.stats.chunks++;
+
+        return this.push({ type: 'chunk', time: time, text: chunk, segments: segments });
+    }
+
+    /**
+     * Record a frame boundary
+     * @param {string} raw - Frame text handed to the parser
+     * @param {Object} data - Parsed data (format is null if the frame was not recognized)
+     * @param {Date} time - Time the frame completed
+     * @returns {Object} Entry object
+     */
+    addFrame(raw, data, time = new Date()) {
+        this.stats.frames++;
+        return this.push({ type: 'frame', time: time, raw: raw, data: data, format: data.format });
+    }
+
+    /**
+     * Add an entry, dropping the oldest when full
+     * @private
+     * @param {Object} entry - Entry without ID
+     * @returns {Object} Entry with ID
+     */
+    push(entry) {
+        entry.id = this.nextId++;
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+        return entry;
+    }
+
+    /**
+     * Get an entry by ID
+     * @param {number} id - Entry ID
+     * @returns {Object|undefined} Entry object
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id);
+    }
+
+    /**
+     * Check if an entry matches a search query
+     * @param {Object} entry - Entry object
+     * @param {string} query - Case-insensitive search text; empty matches everything
+     * @returns {boolean}
+     */
+    matches(entry, query) {
+        if (!query) {
+            return true;
+        }
+
+        const text = entry.type === 'chunk' ? entry.text : entry.raw;
+        return text.toLowerCase().includes(query.toLowerCase());
+    }
+
+    /**
+     * Get the recorded traffic as received, without timestamps
+     * The result can be opened again with log replay
+     * @returns {string} Raw text
+     */
+    getRawLog() {
+        return this.entries
+            .filter(entry => entry.type === 'chunk')
+            .map(entry => entry.text)
+            .join('');
+    }
+
+    /**
+     * Forget all recorded traffic
+     */
+    clear() {
+        this.entries = [];
+        this.pendingLine = '';
+        this.stats = { bytes: 0, chunks: 0, frames: 0, unrecognizedLines: 0 };
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * WebSocketReader - Module for reading battery data over a WebSocket
+ * Receives the reader's serial output from a network bridge (e.g. a Raspberry Pi next to the hardware,
+ * or an ESP32 streaming over Wi-Fi) and feeds it through SerialReader's frame splitting
+ */
+
+import { SerialReader } from './serial-reader.js';
+
+// Address suggested when no URL was entered yet
+export const DEFAULT_WEBSOCKET_URL = 'ws://raspberrypi.local:8765';
+
+/**
+ * Check and normalize a WebSocket URL
+ * http(s) addresses are accepted and turned into ws(s) addresses
+ * @param {string} url - URL entered by the user
+ * @returns {string} WebSocket URL
+ */
+export function normalizeWebSocketUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url.trim());
+    } catch (error) {
+        throw new Error(`Invalid WebSocket URL: ${url}`);
+    }
+
+    if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+        parsed.protocol = parsed.protocol === 'https:' ? 'wss:' : 'ws:';
+    }
+    if (parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') {
+        throw new Error('WebSocket URL must start with ws:// or wss://');
+    }
+
+    return parsed.toString();
+}
+
+export class WebSocketReader extends SerialReader {
+    constructor() {
+        super();
+        this.socket = null;
+        this.url = null; // URL of the last connection, used to reconnect
+        this.decoder = null;
+    }
+
+    /**
+     * Check if WebSockets are supported
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof WebSocket !== 'undefined';
+    }
+
+    /**
+     * Connect to a WebSocket bridge
+     * Text messages and binary messages (UTF-8) are both treated as received serial data
+     * @param {Object} options - Object with url
+     */
+    async connect({ url } = {}) {
+        if (!this.isSupported()) {
+            this.updateStatus('error', 'WebSockets are not supported by this browser.');
+            throw new Error('WebSocket not supported');
+        }
+
+        // A manual connection replaces any pending automatic one
+        this.cancelReconnect();
+
+        if (this.socket && this.isConnected) {
+            console.log('Already connected.');
+            return;
+        }
+
+        try {
+            this.url = normalizeWebSocketUrl(url || '');
+            this.updateStatus('connecting', `Connecting to ${this.url}...`);
+            await this.openSocket();
+            this.updateStatus('connected', `Connected to ${this.url}`);
+            console.log('WebSocket connected successfully');
+        } catch (error) {
+            console.error('Connection error:', error);
+            await this._cleanupConnection();
+            this.updateStatus('error', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Open a socket to this.url and wait until it is open
+     * @private
+     */
+    openSocket() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            socket.binaryType = 'arraybuffer';
+            this.socket = socket;
+            this.decoder = new TextDecoder();
+            let opened = false;
+
+            socket.addEventListener('open', () => {
+                opened = true;
+                this.keepReading = true;
+                this.isDisconnecting = false;
+                resolve();
+            });
+
+            socket.addEventListener('message', (event) => {
+                if (socket !== this.socket || !this.keepReading) {
+                    return;
+                }
+
+                const chunk = typeof event.data === 'string'
+                    ? event.data
+                    : this.decoder.decode(event.data, { stream: true });
+                if (chunk) {
+                    this.processData(chunk);
+                }
+            });
+
+            // Browsers hide the reason of a failed connection; the close event follows the error event
+            socket.addEventListener('close', (event) => {
+                if (!opened) {
+                    reject(new Error(`Cannot connect to ${this.url}`));
+                } else if (socket === this.socket && this.keepReading && !this.isDisconnecting) {
+                    this.handleConnectionLost(event.reason || `Connection closed (code ${event.code})`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Try to reopen the socket to the last URL
+     * @private
+     */
+    async attemptReconnect() {
+        if (!this.isReconnecting) {
+            return;
+        }
+        this.reconnectAttempt++;
+
+        try {
+            await this.openSocket();
+        } catch (error) {
+            console.log(`Reconnect attempt ${this.reconnectAttempt} failed:`, error.message);
+            await this._cleanupConnection();
+            if (this.isReconnecting && !this.reconnectTimer) {
+                this.scheduleReconnect(error.message);
+            }
+            return;
+        }
+
+        // Disconnect may have been clicked while the socket was opening
+        if (!this.isReconnecting) {
+            await this._cleanupConnection();
+            return;
+        }
+
+        this.isReconnecting = false;
+        this.updateStatus('connected', `Reconnected to ${this.url}`);
+        console.log('WebSocket reconnected');
+    }
+
+    /**
+     * Disconnect from the WebSocket bridge
+     */
+    async disconnect() {
+        this.cancelReconnect();
+        this.isDisconnecting = true;
+        await this._cleanupConnection();
+        this.updateStatus('disconnected', 'Disconnected from WebSocket');
+        console.log('WebSocket disconnected');
+    }
+
+    /**
+     * Close the socket and clear buffers
+     * @private
+     */
+    async _cleanupConnection() {
+        this.keepReading = false;
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            if (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN) {
+                socket.close();
+            }
+        }
+
+        this.decoder = null;
+        this.isDisconnecting = false;
+        this.frameSplitter.reset();
+        this.lineBuffer = '';
+    }
+
+    /**
+     * Send data to the bridge
+     * Text is sent as a text message and hex bytes as a binary message
+     * @param {string} data - Data to write
+     * @param {Object} options - Write options (see SerialReader.encode())
+     */
+    async write(data, options = {}) {
+        if (!this.socket || !this.isConnected) {
+            throw new Error('Cannot write. WebSocket is not connected.');
+        }
+
+        console.log('Sending:', data);
+        const encodedData = this.encode(data, options);
+        this.socket.send(options.hex ? encodedData : new TextDecoder().decode(encodedData));
+    }
+}